@@ -0,0 +1,198 @@
+// Time-windowed anchor batches.
+//
+// Every anchored hash is recorded as a leaf of the batch whose window contains
+// its arrival time. Once a window has closed, the batch is sealed: its leaves
+// are sorted, a Merkle root is computed, the root is handed to the configured
+// publisher, and each receipt in the batch is re-signed with its leaf index and
+// inclusion proof. Sealing is idempotent and safe to run from several
+// instances; the first instance to create the batch record owns the root, and
+// only the instance holding the publishing lease publishes it.
+import crypto from "crypto";
+import { ANCHOR_BATCH_WINDOW_SEC } from "../config.js";
+import { openStore, makeRecord } from "../stores/index.js";
+import { getReceipt, updateReceipt } from "../receipts-kv.js";
+import { merkleRoot, inclusionProof, MERKLE_ALGORITHM } from "./merkle.js";
+import { getPublisher } from "./publishers.js";
+import { log } from "../log.js";
+
+const WINDOW_MS = ANCHOR_BATCH_WINDOW_SEC * 1000;
+const SEAL_GRACE_MS = 5_000; // tolerate clock skew between instances
+// How long a publishing claim holds before another instance may take over;
+// well above the publisher's own 30 s request timeout
+const PUBLISH_LEASE_MS = 120_000;
+
+const leavesStore  = () => openStore("anchor_leaves");
+const openStoreIdx = () => openStore("anchor_open");
+const batchesStore = () => openStore("anchor_batches");
+
+export function batchWindow(now = Date.now()) {
+  const start = Math.floor(now / WINDOW_MS) * WINDOW_MS;
+  return {
+    batchId: new Date(start).toISOString(),
+    closesAt: new Date(start + WINDOW_MS).toISOString()
+  };
+}
+
+function isDue(closesAt, now = Date.now()) {
+  return Date.parse(closesAt) + SEAL_GRACE_MS <= now;
+}
+
+/**
+ * Add a hash to the currently open batch.
+ *
+ * @param {string} hash - Evidence hash.
+ * @returns {Promise<{batchId: string, closesAt: string}>} The batch it joined.
+ */
+export async function enqueueLeaf(hash) {
+  const win = batchWindow();
+  await leavesStore().create(makeRecord(`${win.batchId}/${hash}`, { batchId: win.batchId, hash }));
+  await openStoreIdx().create(makeRecord(win.batchId, win));
+  return win;
+}
+
+async function batchLeaves(batchId) {
+  const records = await leavesStore().list({ prefix: `${batchId}/` });
+  return [...new Set(records.map(r => r.value.hash))].sort();
+}
+
+export async function getBatch(batchId) {
+  const record = await batchesStore().get(batchId);
+  return record ? record.value : null;
+}
+
+// Claim the right to publish a batch. Returns the batch when this caller won
+// the claim or the batch is already published, otherwise null.
+async function claimPublishing(batchId, owner) {
+  const now = Date.now();
+  const { value } = await batchesStore().update(batchId, (v) => {
+    if (v.status !== "publishing") return v;
+    if (v.publishingBy && Date.parse(v.publishingUntil) > now) return v;
+    return { ...v, publishingBy: owner, publishingUntil: new Date(now + PUBLISH_LEASE_MS).toISOString() };
+  });
+  return value.status === "published" || value.publishingBy === owner ? value : null;
+}
+
+/**
+ * Seal a closed batch: compute its root, publish it, and finalize its receipts.
+ * Returns the batch record, or null when the window is still open or another
+ * instance is publishing the batch right now.
+ *
+ * @throws when the publisher fails; the claim is released for a retry.
+ */
+export async function sealBatch(batchId, sign) {
+  const closesAt = new Date(Date.parse(batchId) + WINDOW_MS).toISOString();
+  if (!isDue(closesAt)) return null;
+
+  const leaves = await batchLeaves(batchId);
+  const { record } = await batchesStore().create(makeRecord(batchId, {
+    batchId,
+    closesAt,
+    algorithm: MERKLE_ALGORITHM,
+    root: merkleRoot(leaves),
+    leafCount: leaves.length,
+    leaves,
+    status: "publishing",
+    sealedAt: new Date().toISOString()
+  }));
+  let batch = record.value;
+
+  // A failed publish leaves the batch in "publishing"; the next pass retries it
+  if (batch.status !== "published") {
+    const owner = crypto.randomUUID();
+    batch = await claimPublishing(batchId, owner);
+    if (!batch) return null;
+    if (batch.status !== "published") {
+      let published;
+      try {
+        published = await getPublisher().publish(batch.root, batch);
+      } catch (e) {
+        await batchesStore().update(batchId, ({ publishingBy, publishingUntil, ...v }) => (publishingBy === owner ? v : { ...v, publishingBy, publishingUntil }));
+        throw e;
+      }
+      const { value } = await batchesStore().update(batchId, ({ publishingBy, publishingUntil, ...v }) => (
+        v.status === "published" ? v : { ...v, chain: published.chain, txid: published.txid, status: "published", publishedAt: new Date().toISOString() }
+      ));
+      batch = value;
+    }
+  }
+
+  for (const hash of batch.leaves) {
+    const receipt = await getReceipt(hash);
+    if (receipt) await finalizeReceipt(receipt, sign, batch);
+  }
+  await openStoreIdx().delete(batchId);
+  return batch;
+}
+
+// Seal every batch whose window has closed. Returns the sealed batches; a
+// batch that fails is logged and left for the next pass.
+export async function sealDueBatches(sign) {
+  const open = await openStoreIdx().list();
+  const sealed = [];
+  for (const r of open) {
+    if (!isDue(r.value.closesAt)) continue;
+    try {
+      const batch = await sealBatch(r.value.batchId, sign);
+      if (batch) sealed.push(batch);
+    } catch (e) {
+      log.error({ batchId: r.value.batchId, err: e.message }, "anchor batch seal failed");
+    }
+  }
+  return sealed;
+}
+
+/**
+ * Bring a pending receipt up to date with its batch. If the batch has closed
+ * but not been sealed yet, it is sealed on the spot. Receipts that are already
+ * final (or predate batching) are returned unchanged.
+ *
+ * @param {Object} receipt - Stored receipt.
+ * @param {(payload: Object) => Promise<string>} sign - Receipt signer.
+ * @param {Object} [knownBatch] - The receipt's batch, when the caller has it.
+ * @returns {Promise<Object>} The current receipt.
+ */
+export async function finalizeReceipt(receipt, sign, knownBatch) {
+  if (receipt?.anchor?.status !== "pending") return receipt;
+  const { batchId } = receipt.anchor;
+  let batch = knownBatch || await getBatch(batchId);
+  if (!batch || batch.status !== "published") {
+    try {
+      batch = await sealBatch(batchId, sign);
+    } catch (e) {
+      // A publisher outage must not break reads; the receipt stays pending
+      log.error({ batchId, err: e.message }, "anchor batch seal failed");
+      return receipt;
+    }
+    // sealBatch finalizes every receipt in the batch, including this one
+    return batch ? (await getReceipt(receipt.hash)) : receipt;
+  }
+
+  const { signature, ...body } = receipt;
+  const leafIndex = batch.leaves.indexOf(receipt.hash);
+  if (leafIndex < 0) {
+    // The leaf arrived after its batch was sealed (clock skew beyond the
+    // grace period); move it to the open batch rather than drop it.
+    const win = await enqueueLeaf(receipt.hash);
+    const moved = { ...body, anchor: { status: "pending", ...win } };
+    moved.signature = await sign(moved);
+    return updateReceipt(receipt.hash, moved);
+  }
+
+  const updated = {
+    ...body,
+    chain: batch.chain,
+    txid: batch.txid,
+    anchor: {
+      status: batch.txid ? "anchored" : "sealed",
+      batchId,
+      algorithm: batch.algorithm,
+      root: batch.root,
+      leafIndex,
+      leafCount: batch.leafCount,
+      proof: inclusionProof(batch.leaves, leafIndex),
+      publishedAt: batch.publishedAt
+    }
+  };
+  updated.signature = await sign(updated);
+  return updateReceipt(receipt.hash, updated);
+}
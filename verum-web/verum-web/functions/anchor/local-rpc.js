@@ -0,0 +1,61 @@
+// Local JSON-RPC stand-in for a chain that accepts Merkle roots. It keeps roots
+// in memory and hands back a deterministic pseudo-txid, which is enough to
+// exercise the jsonrpc publisher end to end without a real node.
+//
+//   node anchor/local-rpc.js [port]      (default 8545)
+//
+// Methods:
+//   vo_publishRoot(root, meta) -> txid
+//   vo_getRoot(txid)           -> { root, meta, height, publishedAt } | null
+import http from "http";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { log } from "../log.js";
+
+export function createLocalRpcServer() {
+  const byTxid = new Map();
+  let height = 0;
+
+  const methods = {
+    vo_publishRoot(root, meta = {}) {
+      if (typeof root !== "string" || !/^[a-f0-9]+$/.test(root)) {
+        throw Object.assign(new Error("invalid root"), { code: -32602 });
+      }
+      height += 1;
+      const txid = "0x" + crypto.createHash("sha256").update(`${height}:${root}`).digest("hex");
+      byTxid.set(txid, { root, meta, height, publishedAt: new Date().toISOString() });
+      return txid;
+    },
+    vo_getRoot(txid) {
+      return byTxid.get(txid) || null;
+    }
+  };
+
+  return http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      let msg;
+      try { msg = JSON.parse(body); } catch {
+        return reply(res, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "parse error" } });
+      }
+      const fn = methods[msg.method];
+      if (!fn) return reply(res, { jsonrpc: "2.0", id: msg.id, error: { code: -32601, message: "method not found" } });
+      try {
+        reply(res, { jsonrpc: "2.0", id: msg.id, result: fn(...(msg.params || [])) });
+      } catch (e) {
+        reply(res, { jsonrpc: "2.0", id: msg.id, error: { code: e.code || -32603, message: e.message } });
+      }
+    });
+  });
+}
+
+function reply(res, payload) {
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(payload));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2] || 8545);
+  createLocalRpcServer().listen(port, () => log.info({ port }, "local anchor rpc listening"));
+}
@@ -0,0 +1,81 @@
+// Binary Merkle tree over evidence hashes.
+//
+// Leaves and interior nodes are domain-separated (0x00 / 0x01 prefixes, as in
+// RFC 6962) so a leaf can never be passed off as an interior node. Levels are
+// built pairwise; an odd node at the end of a level is promoted unchanged.
+// All hashing is SHA-512 to match the evidence hashes themselves.
+import crypto from "crypto";
+
+export const MERKLE_ALGORITHM = "sha512-rfc6962";
+
+function h(prefix, ...parts) {
+  const hash = crypto.createHash("sha512").update(Buffer.from([prefix]));
+  for (const p of parts) hash.update(p);
+  return hash.digest();
+}
+
+export function leafHash(hex) {
+  return h(0x00, Buffer.from(hex, "hex")).toString("hex");
+}
+
+function nodeHash(leftHex, rightHex) {
+  return h(0x01, Buffer.from(leftHex, "hex"), Buffer.from(rightHex, "hex")).toString("hex");
+}
+
+function buildLevels(leaves) {
+  const levels = [leaves.map(leafHash)];
+  while (levels[levels.length - 1].length > 1) {
+    const prev = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      next.push(i + 1 < prev.length ? nodeHash(prev[i], prev[i + 1]) : prev[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+/**
+ * Compute the Merkle root of a list of hex hashes (order matters).
+ *
+ * @param {string[]} leaves - Hex-encoded evidence hashes.
+ * @returns {string|null} Hex root, or null for an empty list.
+ */
+export function merkleRoot(leaves) {
+  if (!leaves.length) return null;
+  const levels = buildLevels(leaves);
+  return levels[levels.length - 1][0];
+}
+
+/**
+ * Build the inclusion proof for the leaf at `index`.
+ *
+ * @param {string[]} leaves - Hex-encoded evidence hashes, in tree order.
+ * @param {number} index - Position of the leaf to prove.
+ * @returns {{side: "left"|"right", hash: string}[]} Sibling hashes from the leaf
+ *   up to the root; `side` is where the sibling sits relative to the path.
+ */
+export function inclusionProof(leaves, index) {
+  if (index < 0 || index >= leaves.length) throw new Error("leaf_index_out_of_range");
+  const levels = buildLevels(leaves);
+  const proof = [];
+  let i = index;
+  for (let l = 0; l < levels.length - 1; l++) {
+    const level = levels[l];
+    const sibling = i % 2 === 0 ? i + 1 : i - 1;
+    if (sibling < level.length) {
+      proof.push({ side: i % 2 === 0 ? "right" : "left", hash: level[sibling] });
+    }
+    i = Math.floor(i / 2);
+  }
+  return proof;
+}
+
+// Recompute the root from a leaf and its proof and compare.
+export function verifyInclusion(leafHex, proof, root) {
+  let acc = leafHash(leafHex);
+  for (const step of proof) {
+    acc = step.side === "left" ? nodeHash(step.hash, acc) : nodeHash(acc, step.hash);
+  }
+  return acc === root;
+}
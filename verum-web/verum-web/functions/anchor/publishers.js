@@ -0,0 +1,60 @@
+// Root publishers commit a batch's Merkle root somewhere outside our own
+// storage and return a transaction reference for it. ANCHOR_PUBLISHER selects:
+//
+//   none    - the root is kept in the batch store only (receipts say txid: null)
+//   jsonrpc - JSON-RPC 2.0 call to ANCHOR_RPC_URL; the result is the txid.
+//             `node anchor/local-rpc.js` starts a local stand-in for testing.
+import { fetch as undiciFetch } from "undici";
+import {
+  ANCHOR_PUBLISHER,
+  ANCHOR_RPC_URL,
+  ANCHOR_RPC_METHOD,
+  ANCHOR_CHAIN
+} from "../config.js";
+
+function nonePublisher() {
+  return {
+    kind: "none",
+    async publish() {
+      return { chain: null, txid: null };
+    }
+  };
+}
+
+function jsonRpcPublisher({ url, method, chain }) {
+  if (!url) throw new Error("ANCHOR_RPC_URL not set");
+  let nextId = 1;
+  return {
+    kind: "jsonrpc",
+    async publish(root, { batchId, leafCount }) {
+      const ac = new AbortController();
+      const timeout = setTimeout(() => ac.abort(), 30_000);
+      try {
+        const resp = await undiciFetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ jsonrpc: "2.0", id: nextId++, method, params: [root, { batchId, leafCount }] }),
+          signal: ac.signal
+        });
+        if (!resp.ok) throw new Error(`anchor rpc ${resp.status}: ${await resp.text()}`);
+        const json = await resp.json();
+        if (json.error) throw new Error(`anchor rpc error ${json.error.code}: ${json.error.message}`);
+        if (typeof json.result !== "string" || !json.result) throw new Error("anchor rpc returned no txid");
+        return { chain, txid: json.result };
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  };
+}
+
+export function getPublisher(kind = ANCHOR_PUBLISHER) {
+  switch (kind) {
+    case "none":
+      return nonePublisher();
+    case "jsonrpc":
+      return jsonRpcPublisher({ url: ANCHOR_RPC_URL, method: ANCHOR_RPC_METHOD, chain: ANCHOR_CHAIN });
+    default:
+      throw new Error(`unknown ANCHOR_PUBLISHER: ${kind}`);
+  }
+}
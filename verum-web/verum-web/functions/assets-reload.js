@@ -0,0 +1,53 @@
+// Runtime reload of the hashed assets (constitution, model pack, rules pack,
+// jurisdictions). config.js re-hashes the files and swaps its exported hashes
+// in place; this module re-validates rules and profiles, records the new rules
+// pack version, and optionally watches the assets directory so a file copy is
+// enough.
+import fs from "fs";
+import { ASSETS_DIR, reloadAssets } from "./config.js";
+import { getRulesPack } from "./rules/engine.js";
+import { getJurisdictions } from "./jurisdictions.js";
+import { recordRulesVersion } from "./manifest.js";
+
+/**
+ * Re-hash assets from disk and record the resulting rules pack version.
+ *
+ * @returns {Promise<Object>} reloadAssets() output plus `rulesErrors` and
+ *   `jurisdictionErrors` (validation problems of the new files) and
+ *   `activated` (the rules pack differs from the last recorded activation).
+ */
+export async function reloadAndRecord() {
+  const out = reloadAssets();
+  const rulesErrors = getRulesPack().errors;
+  const jurisdictionErrors = getJurisdictions().errors;
+  const { activated } = await recordRulesVersion();
+  return { ...out, rulesErrors, jurisdictionErrors, activated };
+}
+
+/**
+ * Watch ASSETS_DIR and reload after changes settle. Editors and deploy tools
+ * write files in several steps, so events are debounced.
+ *
+ * @param {Object} hooks
+ * @param {(out: Object) => void} [hooks.onReload] - Called when a hash changed.
+ * @param {(err: Error) => void} [hooks.onError]
+ * @param {number} [hooks.debounceMs]
+ * @returns {() => void} stops watching; a no-op when ASSETS_DIR is missing.
+ */
+export function watchAssets({ onReload, onError, debounceMs = 500 } = {}) {
+  if (!fs.existsSync(ASSETS_DIR)) return () => {};
+  let timer = null;
+  const watcher = fs.watch(ASSETS_DIR, { recursive: true }, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      reloadAndRecord()
+        .then(out => { if (out.changed.length) onReload?.(out); })
+        .catch(e => onError?.(e));
+    }, debounceMs);
+  });
+  watcher.on("error", e => onError?.(e));
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
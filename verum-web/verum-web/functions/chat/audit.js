@@ -0,0 +1,92 @@
+// Signed audit records for chat answers. The record holds only hashes and
+// model identifiers, never conversation text, so a party holding the
+// conversation can later prove what the assistant said while we store
+// nothing.
+//
+// Hash inputs (all SHA-512, hex):
+//   inputSha512         canonical JSON of the client messages as accepted,
+//                       [{ role, content }] with system messages removed
+//   systemPromptSha512  the server-side system prompt text
+//   answers[].sha512    each model's answer text (UTF-8)
+//   messageSha512       the answer returned to the client
+//   toolCalls[].resultSha512  canonical JSON of each tool result
+import { CONSTITUTION_HASH, MODELPACK_HASH, PRODUCT_ID, sha512Hex } from "../config.js";
+import { signPayload, verifyToken, canonicalJson } from "../signing.js";
+
+export const CHAT_AUDIT_TYPE = "vo-chat-audit";
+
+export function hashMessages(messages) {
+  return sha512Hex(canonicalJson(messages.map(m => ({ role: m.role, content: m.content }))));
+}
+
+/**
+ * Build and sign the audit record for one chat response.
+ *
+ * @param {Object} args
+ * @param {string} args.provider - Requested provider ("openai", "verum", ...).
+ * @param {Object[]} args.messages - Client messages as accepted (no system role).
+ * @param {string} args.systemPrompt
+ * @param {Object[]} args.answers - Normalized provider results, in consensus order.
+ * @param {Object} args.winner - The answer returned to the client.
+ * @param {string} [args.consensus]
+ * @param {{i: number, j: number, score: number}[]} [args.sims] - Indexes into `answers`.
+ * @param {string} [args.method] - Consensus scoring method.
+ * @param {number} [args.threshold] - Pass threshold applied to `sims`.
+ * @param {Object[]} [args.toolCalls] - Tools executed while answering.
+ * @param {Object} [args.jurisdiction] - jurisdictionRef() of the profile in the system prompt.
+ * @returns {Promise<{record: Object, jwt: string}>}
+ */
+export async function signChatAudit({ provider, messages, systemPrompt, answers, winner, consensus = null, sims = [], method = null, threshold = null, toolCalls = [], jurisdiction = null }) {
+  const record = {
+    type: CHAT_AUDIT_TYPE,
+    product: PRODUCT_ID,
+    provider,
+    inputSha512: hashMessages(messages),
+    systemPromptSha512: sha512Hex(systemPrompt),
+    answers: answers.map(a => ({ provider: a.provider, model: a.model, sha512: sha512Hex(a.message) })),
+    winner: { provider: winner.provider, model: winner.model },
+    messageSha512: sha512Hex(winner.message),
+    consensus,
+    consensusMethod: method,
+    threshold,
+    sims: (sims || []).map(s => ({ i: s.i, j: s.j, score: Number(s.score.toFixed(4)) })),
+    toolCalls: toolCalls.map(t => ({
+      ...(t.provider ? { provider: t.provider, model: t.model } : {}),
+      name: t.name,
+      resultSha512: sha512Hex(canonicalJson(t.ok ? t.result : { error: t.error }))
+    })),
+    jurisdiction,
+    constitutionHash: CONSTITUTION_HASH,
+    modelPackHash: MODELPACK_HASH,
+    issuedAt: new Date().toISOString()
+  };
+  return { record, jwt: await signPayload(record, { ttlSec: null }) };
+}
+
+/**
+ * Verify an audit JWT and, when supplied, the conversation it covers.
+ *
+ * @param {string} jwt
+ * @param {{messages?: Object[], message?: string}} [claims] - Client messages
+ *   and/or the answer text to check against the recorded hashes.
+ * @returns {Promise<{valid: boolean, record: Object|null, checks: Object[]}>}
+ */
+export async function verifyChatAudit(jwt, { messages, message } = {}) {
+  const checks = [];
+  let record = null;
+  try {
+    ({ payload: record } = await verifyToken(jwt));
+    checks.push({ name: "signature", status: record.type === CHAT_AUDIT_TYPE ? "pass" : "fail" });
+  } catch (e) {
+    checks.push({ name: "signature", status: "fail", detail: e.code || e.message });
+  }
+  if (record && messages) {
+    checks.push({ name: "input", status: hashMessages(messages) === record.inputSha512 ? "pass" : "fail" });
+  }
+  if (record && typeof message === "string") {
+    const h = sha512Hex(message);
+    const match = h === record.messageSha512 || (record.answers || []).some(a => a.sha512 === h);
+    checks.push({ name: "answer", status: match ? "pass" : "fail" });
+  }
+  return { valid: checks.every(c => c.status !== "fail"), record, checks };
+}
@@ -0,0 +1,164 @@
+// Claim extraction and comparison for consensus scoring. Answers are reduced
+// to the checkable facts they assert - numbers, dates, named entities and a
+// leading yes/no verdict - so two answers that word things differently can
+// agree, and two that differ on a single figure or name cannot. Everything
+// here is pure string processing and runs offline.
+
+export const CLAIM_TYPES = ["verdict", "date", "number", "entity"];
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const MONTH_RE = `(${MONTHS.join("|")}|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec)\\.?`;
+
+// Capitalized words that start sentences or decorate answers, not entities
+const NOT_ENTITIES = new Set([
+  "a", "an", "the", "yes", "no", "i", "it", "its", "this", "that", "these", "those", "there", "here",
+  "however", "therefore", "also", "but", "and", "or", "so", "if", "in", "on", "at", "for", "to", "of",
+  "as", "by", "with", "from", "note", "overall", "answer", "based", "according", "while", "when",
+  "although", "because", "since", "yet", "both", "each", "all", "some", "many", "most", "we", "you",
+  "they", "he", "she", "my", "our", "your", "their", "his", "her", "first", "second", "finally",
+  "step", "summary", "conclusion", "example", "please", "sure", "certainly", "is", "are", "was", "were"
+]);
+
+const pad = (n) => String(n).padStart(2, "0");
+const monthIndex = (m) => MONTHS.findIndex(x => x.startsWith(m.toLowerCase().replace(".", "").slice(0, 3))) + 1;
+
+// Pull dates out first so their digits are not also read as numbers
+function extractDates(text) {
+  const dates = [];
+  const take = (re, fn) => {
+    text = text.replace(re, (...m) => {
+      dates.push(fn(m));
+      return " ";
+    });
+  };
+  take(/\b(\d{4})-(\d{2})-(\d{2})\b/g, m => `${m[1]}-${m[2]}-${m[3]}`);
+  take(new RegExp(`\\b${MONTH_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, "gi"), m => `${m[3]}-${pad(monthIndex(m[1]))}-${pad(m[2])}`);
+  take(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE},?\\s+(\\d{4})\\b`, "gi"), m => `${m[3]}-${pad(monthIndex(m[2]))}-${pad(m[1])}`);
+  take(new RegExp(`\\b${MONTH_RE}\\s+(\\d{4})\\b`, "gi"), m => `${m[2]}-${pad(monthIndex(m[1]))}`);
+  return { dates, rest: text };
+}
+
+function extractNumbers(text) {
+  const out = [];
+  // Markdown list markers ("1. ", "2) ") are structure, not claims
+  const body = text.replace(/^\s*\d+[.)]\s+/gm, " ");
+  for (const m of body.matchAll(/(?<![\w.-])-?\d{1,3}(?:,\d{3})+(?:\.\d+)?%?|(?<![\w.-])-?\d+(?:\.\d+)?%?/g)) {
+    const pct = m[0].endsWith("%");
+    const n = Number(m[0].replace(/[,%]/g, ""));
+    if (Number.isFinite(n)) out.push(`${n}${pct ? "%" : ""}`);
+  }
+  return out;
+}
+
+const SENTENCE_START = /(?:^|[.!?:;]\s+|\n\s*(?:[-*]|\d+[.)])?\s*)$/;
+
+function extractEntities(text) {
+  const found = [];
+  for (const m of text.matchAll(/\b[A-Z][\w&'’-]*(?:\s+(?:of\s+|de\s+|la\s+|von\s+|van\s+)?[A-Z][\w&'’-]*)*/g)) {
+    const all = m[0].split(/\s+/);
+    // Drop leading sentence-start words such as "The" or "However"
+    const words = all.slice();
+    while (words.length && NOT_ENTITIES.has(words[0].toLowerCase())) words.shift();
+    const name = words.join(" ").toLowerCase().replace(/['’]s\b/g, "");
+    if (!name || /^\d/.test(name)) continue;
+    const ambiguous = all.length === 1 && SENTENCE_START.test(text.slice(0, m.index));
+    found.push({ name, ambiguous });
+  }
+  // A lone capitalized word opening a sentence ("Compute the hash") is only an
+  // entity if the answer also capitalizes it mid-sentence
+  const confirmed = new Set(found.filter(f => !f.ambiguous).map(f => f.name));
+  return found.filter(f => !f.ambiguous || confirmed.has(f.name)).map(f => f.name);
+}
+
+function extractVerdict(text) {
+  const m = /^[\s*_#>"'-]*(yes|no)\b/i.exec(text);
+  return m ? [m[1].toLowerCase()] : [];
+}
+
+/**
+ * Extract the checkable claims of one answer.
+ *
+ * @param {string} text
+ * @returns {{verdict: string[], date: string[], number: string[], entity: string[]}}
+ *   De-duplicated normalized values per claim type.
+ */
+export function extractClaims(text) {
+  const src = String(text || "");
+  const { dates, rest } = extractDates(src);
+  const uniq = (xs) => [...new Set(xs)];
+  return {
+    verdict: extractVerdict(src),
+    date: uniq(dates),
+    number: uniq(extractNumbers(rest)),
+    entity: uniq(extractEntities(rest))
+  };
+}
+
+// Within one claim type, values only one answer asserts are a dispute unless
+// that answer's values are a superset of the other's - extra detail is
+// elaboration, a different value is disagreement.
+function splitType(xs, ys) {
+  const sx = new Set(xs);
+  const sy = new Set(ys);
+  const shared = xs.filter(v => sy.has(v));
+  const nested = shared.length === Math.min(sx.size, sy.size);
+  const extra = nested ? [] : [...xs.filter(v => !sy.has(v)), ...ys.filter(v => !sx.has(v))];
+  return { shared, extra };
+}
+
+/**
+ * Compare two claim sets. Only claim types both answers address are compared:
+ * values both assert are agreed; values only one asserts are disputed unless
+ * one answer merely adds detail to the other. Opposite verdicts zero the score.
+ *
+ * @returns {{score: number|null, agreed: string[], disputed: string[]}}
+ *   `score` is the share of compared claims that are agreed (1 when nothing is
+ *   disputed), 0 on opposite verdicts and null when the answers share no
+ *   comparable claim type.
+ */
+export function compareClaims(a, b) {
+  const agreed = [];
+  const disputed = [];
+  for (const type of CLAIM_TYPES) {
+    if (!a[type].length || !b[type].length) continue;
+    const { shared, extra } = splitType(a[type], b[type]);
+    agreed.push(...shared.map(v => `${type}:${v}`));
+    disputed.push(...extra.map(v => `${type}:${v}`));
+  }
+  const total = agreed.length + disputed.length;
+  if (!total) return { score: null, agreed, disputed };
+  const verdictConflict = disputed.some(c => c.startsWith("verdict:"));
+  return { score: verdictConflict ? 0 : agreed.length / total, agreed, disputed };
+}
+
+/**
+ * Claim report across all answers. A claim type is reported once at least
+ * two answers address it; each value is then agreed when every one of those
+ * answers asserts it or adds it as detail to a shared core, and disputed
+ * otherwise.
+ *
+ * @param {{verdict: string[], date: string[], number: string[], entity: string[]}[]} claimSets
+ * @returns {{agreed: Object[], disputed: Object[]}} entries of { type, value, support }
+ *   where `support` lists the indexes of the answers asserting the value.
+ */
+export function claimReport(claimSets) {
+  const agreed = [];
+  const disputed = [];
+  for (const type of CLAIM_TYPES) {
+    const addressing = claimSets.map((c, i) => (c[type].length ? i : -1)).filter(i => i >= 0);
+    if (addressing.length < 2) continue;
+    const values = [...new Set(addressing.flatMap(i => claimSets[i][type]))];
+    // Values that conflict in some pair of answers
+    const conflicting = new Set();
+    for (const x of addressing) {
+      for (const y of addressing) {
+        if (x < y) splitType(claimSets[x][type], claimSets[y][type]).extra.forEach(v => conflicting.add(v));
+      }
+    }
+    for (const value of values) {
+      const support = addressing.filter(i => claimSets[i][type].includes(value));
+      (conflicting.has(value) ? disputed : agreed).push({ type, value, support });
+    }
+  }
+  return { agreed, disputed };
+}
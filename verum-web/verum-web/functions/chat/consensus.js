@@ -0,0 +1,153 @@
+// Consensus across several model answers: the OpenAI triple (three OpenAI
+// models) and the cross-provider "verum" panel configured by VERUM_PANEL.
+import { VERUM_PANEL, CONSENSUS_METHOD, CONSENSUS_THRESHOLD } from "../config.js";
+import { breakerAllowed, addUsage, getProvider, isConfigured } from "./providers/index.js";
+import { callWithTools } from "./tools.js";
+import { extractClaims, compareClaims, claimReport } from "./claims.js";
+
+export const OPENAI_MODELS = ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini"];
+
+// Default pass thresholds. Claim scores are the share of compared claims both
+// answers agree on (see compareClaims); the default of 1 fails a pair on any
+// disputed figure, date or name, and a lower CONSENSUS_THRESHOLD tolerates
+// some. Word-overlap scores are always judged against the jaccard threshold,
+// including pairs the claims method falls back on.
+export const CONSENSUS_METHODS = { jaccard: 0.6, claims: 1 };
+
+function normalizeText(s) {
+  return (s || "")
+    .replace(/\s+/g, " ")
+    .replace(/[^\w\s.,;:!?()-]/g, "")
+    .trim()
+    .toLowerCase();
+}
+export function jaccard(x, y) {
+  const a = new Set(normalizeText(x).split(" "));
+  const b = new Set(normalizeText(y).split(" "));
+  const inter = [...a].filter(w => b.has(w)).length;
+  const uni = new Set([...a, ...b]).size || 1;
+  return inter / uni;
+}
+
+/**
+ * 2-of-N agreement: score every answer pair, pass when some pair reaches the
+ * threshold of its basis. With method "claims" a pair is scored on its
+ * extracted claims and falls back to word overlap only when the answers share
+ * no claim type (`basis: "text"`); such pairs are held to the jaccard
+ * threshold, not the claims one.
+ *
+ * @param {Object[]} results - Normalized provider results.
+ * @param {{method?: string, threshold?: number}} [opts] - Defaults from config;
+ *   `threshold` applies to the method's own basis.
+ * @returns {Object} consensus ("pass" | "weak" | "fail"), pair, winner, sims
+ *   ({ i, j, score, basis, threshold, pass, disputed? }), method, threshold
+ *   and, for "claims", the claim report across all answers.
+ */
+export function consensus2of3(results, { method = CONSENSUS_METHOD, threshold = CONSENSUS_THRESHOLD } = {}) {
+  if (!(method in CONSENSUS_METHODS)) throw new Error(`unknown_consensus_method:${method}`);
+  const th = threshold ?? CONSENSUS_METHODS[method];
+  if (results.length === 0) return { consensus: "fail", method, threshold: th };
+  if (results.length === 1) return { consensus: "weak", winner: results[0], method, threshold: th };
+  const claimSets = method === "claims" ? results.map(r => extractClaims(r.message)) : null;
+  const textTh = method === "jaccard" ? th : CONSENSUS_METHODS.jaccard;
+  const sims = [];
+  for (let i = 0; i < results.length; i++) {
+    for (let j = i + 1; j < results.length; j++) {
+      const c = claimSets ? compareClaims(claimSets[i], claimSets[j]) : { score: null };
+      const sim = c.score === null
+        ? { i, j, score: jaccard(results[i].message, results[j].message), basis: "text", threshold: textTh }
+        : { i, j, score: c.score, basis: "claims", threshold: th, disputed: c.disputed };
+      sims.push({ ...sim, pass: sim.score >= sim.threshold });
+    }
+  }
+  // Passing pairs first, claim-based ahead of word overlap, then by score
+  const rank = (s) => (s.pass ? 2 : 0) + (s.basis === "claims" ? 1 : 0);
+  const best = sims.sort((x, y) => rank(y) - rank(x) || y.score - x.score)[0] || { pass: false };
+  const pass = best.pass;
+  const pair = pass ? [results[best.i], results[best.j]] : [];
+  const winner = pass ? (pair[0].message.length >= pair[1].message.length ? pair[0] : pair[1]) : null;
+  return {
+    consensus: pass ? "pass" : "fail", pair, winner, sims, method, threshold: th,
+    ...(claimSets ? { claims: claimReport(claimSets) } : {})
+  };
+}
+
+// The consensus fields callers pass on to clients
+function agreement(c) {
+  return { consensus: c.consensus, winner: c.winner, sims: c.sims, method: c.method, threshold: c.threshold, claims: c.claims };
+}
+
+// Tools executed by all members, tagged with the member that ran them
+function memberTools(successes) {
+  return successes.flatMap(s => s.toolCalls.map(t => ({ provider: s.provider, model: s.model, ...t })));
+}
+
+// Run one member call, reporting progress through the optional stream hooks:
+// onDelta(member, text) for each fragment, onTool(member, run) per executed
+// tool and onResult(member, result) once the member finishes or fails.
+function runMember(member, messages, temperature, { tools, signal, onDelta, onTool, onResult } = {}) {
+  const t0 = Date.now();
+  return callWithTools(member.provider, member.model, messages, temperature, {
+    tools,
+    signal,
+    onDelta: onDelta && ((d) => onDelta(member, d)),
+    onTool: onTool && ((run) => onTool(member, run))
+  }).then(
+    (value) => {
+      const latencyMs = Date.now() - t0;
+      onResult?.(member, { ok: true, usage: value.usage, finishReason: value.finishReason, latencyMs });
+      return { value, latencyMs };
+    },
+    (e) => {
+      const latencyMs = Date.now() - t0;
+      onResult?.(member, { ok: false, error: e?.message || String(e), kind: e?.kind || null, latencyMs });
+      throw Object.assign(e, { latencyMs });
+    }
+  );
+}
+
+export async function openaiTriple(messages, temperature = 0.2, overrideModel, hooks = {}) {
+  const models = overrideModel ? [overrideModel] : OPENAI_MODELS.filter(m => breakerAllowed(`openai:${m}`));
+  if (models.length === 0) models.push(OPENAI_MODELS[0]);
+  const settled = await Promise.allSettled(models.map(m => runMember({ provider: "openai", model: m }, messages, temperature, hooks)));
+  const successes = settled.filter(s => s.status === "fulfilled").map(s => s.value.value);
+  const errors = settled.filter(s => s.status === "rejected").map(s => s.reason?.message || String(s.reason));
+  const c = consensus2of3(successes);
+  return { successes, errors, ...agreement(c), usage: addUsage(successes), toolCalls: memberTools(successes) };
+}
+
+/**
+ * Fan out to the cross-provider panel and apply 2-of-3 agreement across the
+ * answers. Members whose provider has no API key are reported, not called.
+ *
+ * @param {Object[]} messages - Chat messages including the system prompt.
+ * @param {number} [temperature]
+ * @param {{provider: string, model: string}[]} [panel] - Defaults to VERUM_PANEL.
+ * @param {Object} [hooks] - `tools` to offer server-side tools; `signal`,
+ *   `onDelta`, `onTool` and `onResult` for streaming progress.
+ * @returns {Promise<Object>} successes, per-member `panel` results, consensus,
+ *   winner, sims, method, threshold, claims, executed `toolCalls` and the
+ *   summed `usage`.
+ */
+export async function verumPanel(messages, temperature = 0.2, panel = VERUM_PANEL, hooks = {}) {
+  const settled = await Promise.allSettled(panel.map(m => {
+    const adapter = getProvider(m.provider);
+    if (adapter && isConfigured(adapter)) return runMember(m, messages, temperature, hooks);
+    const kind = adapter ? "not_configured" : "bad_request";
+    const error = adapter ? `${m.provider}_not_configured` : `unknown_provider:${m.provider}`;
+    hooks.onResult?.(m, { ok: false, error, kind, latencyMs: 0 });
+    return Promise.reject(Object.assign(new Error(error), { kind, latencyMs: 0 }));
+  }));
+  const results = settled.map((s, i) => ({
+    provider: panel[i].provider,
+    model: panel[i].model,
+    ok: s.status === "fulfilled",
+    ...(s.status === "fulfilled"
+      ? { usage: s.value.value.usage, finishReason: s.value.value.finishReason }
+      : { error: s.reason?.message || String(s.reason), kind: s.reason?.kind || null }),
+    latencyMs: s.status === "fulfilled" ? s.value.latencyMs : s.reason?.latencyMs
+  }));
+  const successes = settled.filter(s => s.status === "fulfilled").map(s => s.value.value);
+  const c = consensus2of3(successes);
+  return { successes, panel: results, ...agreement(c), usage: addUsage(successes), toolCalls: memberTools(successes) };
+}
@@ -0,0 +1,80 @@
+// Anthropic Messages API adapter. System prompts travel in a separate field
+// and only user/assistant turns are allowed in `messages`; tool calls and
+// results are content blocks on those turns.
+import { ANTHROPICAPIKEY } from "../../config.js";
+import { classifyHttpError } from "./errors.js";
+
+const STOP_REASONS = { end_turn: "stop", stop_sequence: "stop", max_tokens: "length", tool_use: "tool_calls" };
+
+export default {
+  name: "anthropic",
+  defaultModel: "claude-3-5-haiku-20241022",
+  apiKey: () => ANTHROPICAPIKEY,
+  supportsTools: true,
+  buildRequest(model, messages, { temperature, maxTokens, stream, tools }) {
+    const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+    const turns = [];
+    for (const m of messages.filter(x => x.role !== "system")) {
+      if (m.role === "tool") {
+        const block = { type: "tool_result", tool_use_id: m.toolCallId, content: m.content };
+        // Consecutive tool results share one user turn
+        const prev = turns[turns.length - 1];
+        if (prev?.role === "user" && Array.isArray(prev.content) && prev.content[0]?.type === "tool_result") prev.content.push(block);
+        else turns.push({ role: "user", content: [block] });
+      } else if (m.toolCalls?.length) {
+        turns.push({
+          role: "assistant",
+          content: [
+            ...(m.content ? [{ type: "text", text: m.content }] : []),
+            ...m.toolCalls.map(c => ({ type: "tool_use", id: c.id, name: c.name, input: c.arguments }))
+          ]
+        });
+      } else {
+        turns.push({ role: m.role === "assistant" ? "assistant" : "user", content: m.content });
+      }
+    }
+    return {
+      url: "https://api.anthropic.com/v1/messages",
+      headers: { "x-api-key": ANTHROPICAPIKEY, "anthropic-version": "2023-06-01" },
+      body: {
+        model, max_tokens: maxTokens, temperature, system, messages: turns,
+        ...(tools?.length ? { tools: tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters })) } : {}),
+        ...(stream ? { stream: true } : {})
+      }
+    };
+  },
+  parseResponse(json, model) {
+    const inputTokens = json?.usage?.input_tokens || 0;
+    const outputTokens = json?.usage?.output_tokens || 0;
+    return {
+      message: (json?.content || []).filter(b => b.type === "text").map(b => b.text).join(""),
+      toolCalls: (json?.content || []).filter(b => b.type === "tool_use").map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+      model: json?.model || model,
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      finishReason: STOP_REASONS[json?.stop_reason] || json?.stop_reason || null
+    };
+  },
+  parseStreamEvent({ event, data }) {
+    const json = JSON.parse(data);
+    switch (event) {
+      case "message_start":
+        return { model: json.message?.model, usage: { inputTokens: json.message?.usage?.input_tokens || 0 } };
+      case "content_block_delta":
+        return { delta: json.delta?.type === "text_delta" ? json.delta.text : "" };
+      case "message_delta":
+        return {
+          finishReason: STOP_REASONS[json.delta?.stop_reason] || json.delta?.stop_reason || null,
+          usage: { outputTokens: json.usage?.output_tokens || 0 }
+        };
+      case "message_stop":
+        return { done: true };
+      case "error":
+        return { error: json.error?.message || "stream_error" };
+      default:
+        return {};
+    }
+  },
+  classifyError(status) {
+    return classifyHttpError(status);
+  }
+};
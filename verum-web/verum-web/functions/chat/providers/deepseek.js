@@ -0,0 +1,10 @@
+// DeepSeek speaks the OpenAI Chat Completions protocol.
+import { DEEPSEEKAPIKEY } from "../../config.js";
+import { openAICompatible } from "./openai.js";
+
+export default openAICompatible({
+  name: "deepseek",
+  url: "https://api.deepseek.com/chat/completions",
+  defaultModel: "deepseek-chat",
+  apiKey: () => DEEPSEEKAPIKEY
+});
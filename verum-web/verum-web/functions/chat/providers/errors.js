@@ -0,0 +1,23 @@
+// Error contract shared by every provider adapter. `kind` lets callers decide
+// whether a failure is worth retrying without parsing vendor payloads.
+export const ERROR_KINDS = ["auth", "rate_limit", "overloaded", "bad_request", "server", "timeout", "network", "not_configured", "breaker_open"];
+
+export class ProviderError extends Error {
+  constructor(provider, model, kind, message, status = null) {
+    super(message);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.model = model;
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+// Shared HTTP status mapping; adapters refine it where vendors differ
+export function classifyHttpError(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate_limit";
+  if (status === 529 || status === 503) return "overloaded";
+  if (status >= 400 && status < 500) return "bad_request";
+  return "server";
+}
@@ -0,0 +1,167 @@
+// Provider adapter registry.
+//
+// An adapter describes one LLM vendor:
+//   name             registry key, also the `provider` value in /v1/chat
+//   defaultModel     model used when the caller does not name one
+//   apiKey()         credential, or "" when the provider is not configured
+//   configured()     optional; overrides the apiKey() check for providers
+//                    that need no key (self-hosted, mock)
+//   deadlineMs       optional; per-call deadline overriding LLM_DEADLINE_MS
+//   complete(model, messages, { temperature, signal, onDelta, tools })
+//                    optional; in-process completion replacing the HTTP
+//                    request hooks below
+//   supportsTools    whether the vendor accepts `tools`
+//   buildRequest(model, messages, { temperature, maxTokens, stream, tools })
+//                    -> { url, headers, body } for a single completion
+//   parseResponse(json, model)
+//                    -> { message, toolCalls, model, usage, finishReason }
+//   parseStreamEvent({ event, data })
+//                    -> { delta, model, usage, finishReason, done, error },
+//                       every field optional, for one upstream SSE event
+//   classifyError(status, text)
+//                    -> error kind (see ERROR_KINDS)
+//
+// callProvider() runs any registered adapter and always resolves to the same
+// normalized shape, so routes never deal with vendor payloads.
+//
+// Tool turns use a vendor-neutral form that adapters translate:
+//   { role: "assistant", content, toolCalls: [{ id, name, arguments }] }
+//   { role: "tool", toolCallId, name, content }   (content is a JSON string)
+// `tools` are { name, description, parameters (JSON Schema) }.
+import { Agent, fetch as undiciFetch } from "undici";
+import openai from "./openai.js";
+import anthropic from "./anthropic.js";
+import deepseek from "./deepseek.js";
+import local from "./local.js";
+import mock from "./mock.js";
+import { ProviderError } from "./errors.js";
+import { resilientCall } from "../resilience.js";
+import { readSse } from "../sse.js";
+
+export { ERROR_KINDS, ProviderError, classifyHttpError } from "./errors.js";
+export { breakerAllowed } from "../resilience.js";
+
+const registry = new Map();
+
+export function registerProvider(adapter) {
+  registry.set(adapter.name, adapter);
+}
+export function getProvider(name) {
+  return registry.get(name) || null;
+}
+export function listProviders() {
+  return [...registry.keys()];
+}
+
+export function isConfigured(adapter) {
+  return adapter.configured ? adapter.configured() : Boolean(adapter.apiKey());
+}
+
+[openai, anthropic, deepseek, local, mock].forEach(registerProvider);
+
+// Keep-alive pool shared by all providers. undici needs its own dispatcher;
+// node:http agents are not accepted.
+const dispatcher = new Agent({ connections: 100, keepAliveTimeout: 15_000 });
+
+function kfetch(url, opts = {}) {
+  return undiciFetch(url, { dispatcher, ...opts });
+}
+
+/**
+ * Run one completion through a registered provider.
+ *
+ * @param {string} name - Provider name.
+ * @param {string} [model] - Model id; the adapter's default when omitted.
+ * @param {Object[]} messages - Chat messages (system messages included).
+ * @param {number} [temperature]
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - Aborts the upstream request (client went away).
+ * @param {(delta: string) => void} [opts.onDelta] - When set, the completion is
+ *   streamed and each text fragment is passed here as it arrives.
+ * @param {Object[]} [opts.tools] - Tool definitions offered to the model.
+ * @returns {Promise<{provider: string, model: string, message: string,
+ *   toolCalls?: Object[], usage: {inputTokens: number, outputTokens: number,
+ *   totalTokens: number}, finishReason: string|null}>}
+ * @throws {ProviderError}
+ */
+export async function callProvider(name, model, messages, temperature = 0.2, { signal, onDelta, tools } = {}) {
+  const adapter = registry.get(name);
+  if (!adapter) throw new ProviderError(name, model, "bad_request", `unknown_provider:${name}`);
+  const mdl = model || adapter.defaultModel;
+  if (!isConfigured(adapter)) throw new ProviderError(name, mdl, "not_configured", `${name}_not_configured`);
+
+  const stream = Boolean(onDelta);
+  const overHttp = async (deadlineSignal) => {
+    const { url, headers, body } = adapter.buildRequest(mdl, messages, { temperature, maxTokens: 2048, stream, tools });
+    let resp;
+    try {
+      resp = await kfetch(url, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: signal ? AbortSignal.any([deadlineSignal, signal]) : deadlineSignal
+      });
+    } catch (e) {
+      throw new ProviderError(name, mdl, "network", `${name} ${mdl} network: ${e.message}`);
+    }
+    if (!resp.ok) {
+      const txt = await resp.text();
+      const err = new ProviderError(name, mdl, adapter.classifyError(resp.status, txt), `${name} ${mdl} ${resp.status}: ${txt}`, resp.status);
+      err.retryAfter = resp.headers.get("retry-after");
+      throw err;
+    }
+    if (!stream) return { provider: name, ...adapter.parseResponse(await resp.json(), mdl) };
+    return { provider: name, ...await readStream(name, mdl, adapter, resp.body, onDelta) };
+  };
+  const inProcess = async (deadlineSignal) => ({
+    provider: name,
+    ...await adapter.complete(mdl, messages, {
+      temperature,
+      signal: signal ? AbortSignal.any([deadlineSignal, signal]) : deadlineSignal,
+      onDelta,
+      tools
+    })
+  });
+
+  return resilientCall(`${name}:${mdl}`, adapter.complete ? inProcess : overHttp, {
+    ...(adapter.deadlineMs ? { deadlineMs: adapter.deadlineMs } : {}),
+    // Caller mistakes, exhausted quotas and clients hanging up say nothing
+    // about provider health
+    countsAsFailure: (e) => e.kind !== "bad_request" && e.kind !== "auth" && !signal?.aborted,
+    onReject: (kind) => new ProviderError(name, mdl, kind, `${name} ${mdl} ${kind}`)
+  });
+}
+
+// Fold an upstream event stream into the normalized completion shape.
+// Errors after the first byte carry no HTTP status, so they are not retried.
+async function readStream(name, model, adapter, body, onDelta) {
+  const out = { message: "", model, usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 }, finishReason: null };
+  try {
+    for await (const ev of readSse(body)) {
+      const p = adapter.parseStreamEvent(ev);
+      if (p.error) throw new ProviderError(name, model, "server", `${name} ${model} stream: ${p.error}`);
+      if (p.model) out.model = p.model;
+      if (p.usage) Object.assign(out.usage, p.usage);
+      if (p.finishReason) out.finishReason = p.finishReason;
+      if (p.delta) {
+        out.message += p.delta;
+        onDelta(p.delta);
+      }
+      if (p.done) break;
+    }
+  } catch (e) {
+    if (e.name === "ProviderError") throw e;
+    throw new ProviderError(name, model, "network", `${name} ${model} stream: ${e.message}`);
+  }
+  out.usage.totalTokens = out.usage.inputTokens + out.usage.outputTokens;
+  return out;
+}
+
+// Sum normalized usage across several calls
+export function addUsage(results) {
+  return results.reduce((acc, r) => ({
+    inputTokens: acc.inputTokens + (r.usage?.inputTokens || 0),
+    outputTokens: acc.outputTokens + (r.usage?.outputTokens || 0),
+    totalTokens: acc.totalTokens + (r.usage?.totalTokens || 0)
+  }), { inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+}
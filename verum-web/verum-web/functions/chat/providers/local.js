@@ -0,0 +1,16 @@
+// Self-hosted model behind an OpenAI-compatible endpoint (llama.cpp server,
+// Ollama, vLLM). Configured by LOCAL_LLM_URL rather than an API key, so it
+// works in air-gapped deployments.
+import { LOCAL_LLM_URL, LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY, LOCAL_LLM_DEADLINE_MS } from "../../config.js";
+import { openAICompatible } from "./openai.js";
+
+export default openAICompatible({
+  name: "local",
+  url: () => `${LOCAL_LLM_URL}/chat/completions`,
+  defaultModel: LOCAL_LLM_MODEL,
+  apiKey: () => LOCAL_LLM_API_KEY,
+  configured: () => Boolean(LOCAL_LLM_URL),
+  // Tool support varies by server and model; answer without tools
+  supportsTools: false,
+  deadlineMs: LOCAL_LLM_DEADLINE_MS
+});
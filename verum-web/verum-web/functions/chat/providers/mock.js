@@ -0,0 +1,63 @@
+// Deterministic offline provider. The answer depends only on the model id and
+// the conversation, so the full /v1/chat flow - consensus included - can be
+// exercised without network access or keys. Model ids starting with
+// "dissent" give an answer that contradicts the others on a number and a
+// name, to drive the consensus failure path. When tools are offered and the
+// last user message contains a hex hash, the mock first calls get_receipt and
+// then answers from the tool result.
+import crypto from "crypto";
+import { MOCK_LLM } from "../../config.js";
+
+function answerFor(model, messages) {
+  const last = [...messages].reverse().find(m => m.role === "user")?.content || "";
+  const digest = crypto.createHash("sha256").update(JSON.stringify(messages)).digest("hex");
+  const count = parseInt(digest.slice(0, 4), 16) % 100;
+  const topic = last.replace(/\s+/g, " ").trim().slice(0, 80);
+  if (model.startsWith("dissent")) {
+    return `No. The Lisbon record lists ${count + 1} entries for "${topic}".`;
+  }
+  return `Yes. The Geneva record lists ${count} entries for "${topic}".`;
+}
+
+const words = (s) => s.split(/\s+/).filter(Boolean).length;
+
+function toolStep(messages, tools) {
+  const last = messages[messages.length - 1];
+  if (last?.role === "tool") {
+    return { message: `Yes. The ${last.name} tool reported: ${last.content.slice(0, 200)}`, toolCalls: [] };
+  }
+  const hash = /\b[a-f0-9]{64,128}\b/.exec(last?.content || "")?.[0];
+  if (hash && tools?.some(t => t.name === "get_receipt")) {
+    return { message: "", toolCalls: [{ id: "call_mock_1", name: "get_receipt", arguments: { hash } }] };
+  }
+  return null;
+}
+
+export default {
+  name: "mock",
+  defaultModel: "mock-1",
+  apiKey: () => "",
+  configured: () => MOCK_LLM,
+  supportsTools: true,
+  async complete(model, messages, { signal, onDelta, tools } = {}) {
+    const step = toolStep(messages, tools);
+    const message = step ? step.message : answerFor(model, messages);
+    const toolCalls = step?.toolCalls || [];
+    if (onDelta) {
+      for (const piece of message.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+        onDelta(piece);
+        await new Promise(r => setImmediate(r));
+      }
+    }
+    const inputTokens = messages.reduce((n, m) => n + words(m.content || ""), 0);
+    const outputTokens = words(message);
+    return {
+      message,
+      toolCalls,
+      model,
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      finishReason: toolCalls.length ? "tool_calls" : "stop"
+    };
+  }
+};
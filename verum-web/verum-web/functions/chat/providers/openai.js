@@ -0,0 +1,98 @@
+// OpenAI Chat Completions adapter. Also the base for other OpenAI-compatible
+// vendors, which only differ in URL, credential and default model.
+import { OPENAIAPIKEY } from "../../config.js";
+import { classifyHttpError } from "./errors.js";
+
+// Normalized tool turns (see providers/index.js) in Chat Completions form
+function toWireMessage(m) {
+  if (m.role === "tool") return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+  if (m.toolCalls?.length) {
+    return {
+      role: "assistant",
+      content: m.content || null,
+      tool_calls: m.toolCalls.map(c => ({
+        id: c.id,
+        type: "function",
+        function: { name: c.name, arguments: JSON.stringify(c.arguments) }
+      }))
+    };
+  }
+  return { role: m.role, content: m.content };
+}
+
+function parseToolCalls(calls) {
+  return (calls || []).map(c => {
+    let args;
+    try {
+      args = JSON.parse(c.function?.arguments || "{}");
+    } catch {
+      args = { _unparsed: c.function?.arguments };
+    }
+    return { id: c.id, name: c.function?.name, arguments: args };
+  });
+}
+
+export function openAICompatible({ name, url, defaultModel, apiKey, supportsTools = true, ...extra }) {
+  return {
+    name,
+    defaultModel,
+    apiKey,
+    supportsTools,
+    ...extra,
+    buildRequest(model, messages, { temperature, maxTokens, stream, tools }) {
+      const key = apiKey();
+      return {
+        url: typeof url === "function" ? url() : url,
+        headers: key ? { "Authorization": `Bearer ${key}` } : {},
+        body: {
+          model, messages: messages.map(toWireMessage), temperature, max_tokens: maxTokens,
+          ...(tools?.length ? {
+            tools: tools.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.parameters } }))
+          } : {}),
+          ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+        }
+      };
+    },
+    parseResponse(json, model) {
+      const choice = json?.choices?.[0];
+      return {
+        message: choice?.message?.content || "",
+        toolCalls: parseToolCalls(choice?.message?.tool_calls),
+        model: json?.model || model,
+        usage: {
+          inputTokens: json?.usage?.prompt_tokens || 0,
+          outputTokens: json?.usage?.completion_tokens || 0,
+          totalTokens: json?.usage?.total_tokens || 0
+        },
+        finishReason: choice?.finish_reason || null
+      };
+    },
+    parseStreamEvent({ data }) {
+      if (data === "[DONE]") return { done: true };
+      const json = JSON.parse(data);
+      const choice = json.choices?.[0];
+      return {
+        delta: choice?.delta?.content || "",
+        model: json.model,
+        finishReason: choice?.finish_reason || null,
+        // Only the final chunk carries usage (stream_options.include_usage)
+        usage: json.usage ? {
+          inputTokens: json.usage.prompt_tokens || 0,
+          outputTokens: json.usage.completion_tokens || 0
+        } : null
+      };
+    },
+    classifyError(status, text) {
+      // OpenAI reports exhausted quota as 429 too; it will not clear by retrying
+      if (status === 429 && /insufficient_quota/.test(text)) return "auth";
+      return classifyHttpError(status);
+    }
+  };
+}
+
+export default openAICompatible({
+  name: "openai",
+  url: "https://api.openai.com/v1/chat/completions",
+  defaultModel: "gpt-4o-mini",
+  apiKey: () => OPENAIAPIKEY
+});
@@ -0,0 +1,155 @@
+// PII detection and redaction for chat traffic. Inbound messages have emails,
+// phone numbers, ID/passport numbers, IBANs and card numbers replaced with
+// stable placeholders ("[EMAIL_1]") before any vendor sees them; the
+// placeholder -> original vault lives only for the duration of the request.
+
+// Checksums keep digit runs that merely look like cards or IBANs untouched
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(raw) {
+  const s = raw.replace(/\s+/g, "").toUpperCase();
+  const moved = s.slice(4) + s.slice(0, 4);
+  const numeric = moved.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let rem = 0;
+  for (const ch of numeric) rem = (rem * 10 + Number(ch)) % 97;
+  return rem === 1;
+}
+
+const phoneDigits = (m) => m.replace(/\D/g, "").length;
+
+// Digit groups with spaces or dots every three digits read as amounts
+// ("1 250 000 000") unless a trunk "0" or country code starts them, and a
+// leading ISO date is a date followed by something else
+function phoneShaped(m) {
+  const n = phoneDigits(m);
+  return n >= 9 && n <= 15 && !/^[1-9]\d{0,2}(?:[ .]\d{3})+$/.test(m) && !/^\d{4}-\d{2}-\d{2}\b/.test(m);
+}
+
+// Order matters: earlier patterns claim their text before later, looser ones
+// (a card number would otherwise also read as a phone number). Keyword-led
+// identifiers go first; 13-digit national IDs pass the Luhn check too.
+const ID_TOKEN = "(?=[A-Z-]*\\d)[A-Z0-9][A-Z0-9-]{5,16}";
+const PHONE_DIGITS = "\\+?\\(?\\d[\\d ().-]{7,18}\\d\\b";
+export const PII_PATTERNS = [
+  { type: "email", re: /\b[\w.%+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: "iban", re: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){2,7}(?:\s?[A-Z0-9]{1,3})?\b/g, check: ibanValid },
+  // "passport no. A1234567", "ID number 8001015009087": the keyword stays
+  {
+    type: "passport",
+    re: new RegExp(`\\bpassport(?:\\s+(?:no\\.?|number|#))?\\s*:?\\s*${ID_TOKEN}\\b`, "gi"),
+    keep: /^passport(?:\s+(?:no\.?|number|#))?\s*:?\s*/i
+  },
+  {
+    type: "id",
+    re: new RegExp(`\\b(?:national id|identity|id|ssn|social security)(?:\\s+(?:no\\.?|number|#))?\\s*:?\\s*${ID_TOKEN}\\b`, "gi"),
+    keep: /^(?:national id|identity|id|ssn|social security)(?:\s+(?:no\.?|number|#))?\s*:?\s*/i
+  },
+  // "tel: 0825551234": a keyword vouches for an unformatted number
+  {
+    type: "phone",
+    re: new RegExp(`\\b(?:phone|tel|telephone|mobile|cell|fax)(?:\\s+(?:no\\.?|number|#))?\\s*[:.]?\\s*${PHONE_DIGITS}`, "gi"),
+    keep: /^(?:phone|tel|telephone|mobile|cell|fax)(?:\s+(?:no\.?|number|#))?\s*[:.]?\s*/i,
+    check: (m) => phoneDigits(m) >= 9
+  },
+  // US SSN and 13-digit national ID numbers (e.g. South Africa) without a keyword
+  { type: "id", re: /\b\d{3}-\d{2}-\d{4}\b|\b\d{13}\b/g },
+  { type: "card", re: /\b\d(?:[ -]?\d){13,18}\b/g, check: (m) => luhnValid(m.replace(/\D/g, "")) },
+  // Phone numbers need a phone's shape - a "+" country code, an area code in
+  // brackets or separated digit groups - or a keyword; bare digit runs are
+  // amounts, years and case numbers far more often.
+  { type: "phone", re: /(?<![\w+])(?:\+\d{1,3}[ .-]?\(?\d{1,4}\)?(?:[ .-]?\d{2,4}){1,4}|\(\d{2,4}\) ?\d{2,4}(?:[ .-]?\d{2,4}){1,3}|\d{2,4}(?:[ .-]\d{2,4}){2,4})\b/g, check: phoneShaped }
+];
+
+/**
+ * Create a redaction context. One context per request keeps placeholders
+ * stable across all of its messages: the same email is always [EMAIL_1].
+ */
+export function createRedactor() {
+  const byValue = new Map();
+  const vault = {};
+  const counts = {};
+
+  function placeholder(type, value) {
+    const key = `${type}\u0000${value}`;
+    if (!byValue.has(key)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const ph = `[${type.toUpperCase()}_${counts[type]}]`;
+      byValue.set(key, ph);
+      vault[ph] = value;
+    }
+    return byValue.get(key);
+  }
+
+  function redact(text) {
+    let out = String(text);
+    for (const { type, re, check, keep } of PII_PATTERNS) {
+      out = out.replace(re, (m) => {
+        if (/\[[A-Z]+_\d+\]/.test(m)) return m;
+        if (check && !check(m)) return m;
+        const prefix = keep ? m.match(keep)[0] : "";
+        return prefix + placeholder(type, m.slice(prefix.length));
+      });
+    }
+    return out;
+  }
+
+  return {
+    redact,
+    vault,
+    summary() {
+      const byType = { ...counts };
+      return { redacted: Object.values(byType).reduce((a, b) => a + b, 0), byType };
+    }
+  };
+}
+
+/**
+ * Redact the `content` of chat messages.
+ *
+ * @param {Object[]} messages
+ * @returns {{messages: Object[], vault: Object, summary: {redacted: number, byType: Object}}}
+ */
+export function redactMessages(messages) {
+  const r = createRedactor();
+  const out = messages.map(m => ({ ...m, content: r.redact(m.content) }));
+  return { messages: out, vault: r.vault, summary: r.summary() };
+}
+
+/** Put the original values back into placeholders a model echoed. */
+export function rehydrate(text, vault) {
+  return String(text).replace(/\[[A-Z]+_\d+\]/g, ph => (ph in vault ? vault[ph] : ph));
+}
+
+/** Mask PII in any string, for logs. Values are typed but not kept. */
+export function scrubPii(text) {
+  let out = String(text);
+  for (const { type, re, check, keep } of PII_PATTERNS) {
+    out = out.replace(re, (m) => {
+      if (check && !check(m)) return m;
+      const prefix = keep ? m.match(keep)[0] : "";
+      return `${prefix}[${type.toUpperCase()}]`;
+    });
+  }
+  return out;
+}
+
+// Deep-scrub a log object's string values
+export function scrubLogObject(value, depth = 0) {
+  if (typeof value === "string") return scrubPii(value);
+  if (depth > 4 || !value || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(v => scrubLogObject(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = scrubLogObject(v, depth + 1);
+  return out;
+}
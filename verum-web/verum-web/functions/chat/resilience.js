@@ -0,0 +1,153 @@
+// Resilience primitives shared by every LLM provider call: an overall
+// deadline, jittered retries on 429/5xx that honor Retry-After, and a
+// closed/open/half-open circuit breaker keyed by "provider:model".
+import {
+  LLM_DEADLINE_MS,
+  LLM_MAX_RETRIES,
+  LLM_BREAKER_THRESHOLD,
+  LLM_BREAKER_COOLDOWN_MS
+} from "../config.js";
+
+// ----- Circuit breaker -----
+// closed:    calls flow; consecutive failures are counted
+// open:      calls are rejected until the cooldown elapses
+// half_open: exactly one probe call is let through; its outcome closes or
+//            re-opens the breaker
+const breakers = new Map();
+
+function entry(key) {
+  let b = breakers.get(key);
+  if (!b) {
+    b = { state: "closed", failures: 0, openedAt: 0, probing: false };
+    breakers.set(key, b);
+  }
+  // An open breaker whose cooldown has passed is ready for a probe
+  if (b.state === "open" && Date.now() - b.openedAt >= LLM_BREAKER_COOLDOWN_MS) {
+    b.state = "half_open";
+    b.probing = false;
+  }
+  return b;
+}
+
+/** True when a call for `key` would currently be admitted. Does not reserve the probe slot. */
+export function breakerAllowed(key) {
+  const b = entry(key);
+  return b.state === "closed" || (b.state === "half_open" && !b.probing);
+}
+
+// Admit a call, reserving the half-open probe slot when applicable
+function breakerAcquire(key) {
+  const b = entry(key);
+  if (b.state === "closed") return true;
+  if (b.state === "half_open" && !b.probing) {
+    b.probing = true;
+    return true;
+  }
+  return false;
+}
+
+function breakerSuccess(key) {
+  breakers.set(key, { state: "closed", failures: 0, openedAt: 0, probing: false });
+}
+
+function breakerFailure(key) {
+  const b = entry(key);
+  b.failures += 1;
+  if (b.state === "half_open" || b.failures >= LLM_BREAKER_THRESHOLD) {
+    b.state = "open";
+    b.openedAt = Date.now();
+    b.probing = false;
+  }
+}
+
+// Release a reserved probe without judging the provider (e.g. caller error)
+function breakerRelease(key) {
+  const b = entry(key);
+  if (b.state === "half_open") b.probing = false;
+}
+
+/** Breaker state per provider:model for /health. */
+export function breakerSnapshot() {
+  const out = {};
+  for (const key of breakers.keys()) {
+    const b = entry(key);
+    out[key] = {
+      state: b.state,
+      failures: b.failures,
+      ...(b.state === "open" ? { retryAt: new Date(b.openedAt + LLM_BREAKER_COOLDOWN_MS).toISOString() } : {})
+    };
+  }
+  return out;
+}
+
+// ----- Retry -----
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// Full jitter exponential backoff: random in [0, base * 2^attempt], capped
+export function backoffDelay(attempt, { baseMs = 250, maxMs = 8_000 } = {}) {
+  return Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Run `attempt(signal)` under the breaker for `key`, with an overall deadline
+ * and retries. `attempt` must throw errors carrying `status` (HTTP status,
+ * when the upstream answered) and optionally `retryAfter` (raw header value).
+ *
+ * @param {string} key - Breaker key, "provider:model".
+ * @param {(signal: AbortSignal) => Promise<any>} attempt
+ * @param {Object} [opts]
+ * @param {number} [opts.deadlineMs] - Budget for all attempts and waits.
+ * @param {number} [opts.retries] - Extra attempts after the first.
+ * @param {(e: Error) => boolean} [opts.countsAsFailure] - Whether an error
+ *   reflects provider health; caller mistakes should not trip the breaker.
+ * @param {(kind: string) => Error} opts.onReject - Builds the error thrown when
+ *   the breaker is open ("breaker_open") or the deadline expires ("timeout").
+ */
+export async function resilientCall(key, attempt, {
+  deadlineMs = LLM_DEADLINE_MS,
+  retries = LLM_MAX_RETRIES,
+  countsAsFailure = () => true,
+  onReject
+} = {}) {
+  if (!breakerAcquire(key)) throw onReject("breaker_open");
+
+  const deadline = Date.now() + deadlineMs;
+  for (let n = 0; ; n++) {
+    const remaining = deadline - Date.now();
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(), remaining);
+    try {
+      const out = await attempt(ac.signal);
+      breakerSuccess(key);
+      return out;
+    } catch (e) {
+      const err = ac.signal.aborted ? onReject("timeout") : e;
+      if (!err.status || !isRetryableStatus(err.status) || n >= retries) {
+        if (countsAsFailure(err)) breakerFailure(key);
+        else breakerRelease(key);
+        throw err;
+      }
+      const wait = parseRetryAfter(err.retryAfter) ?? backoffDelay(n);
+      if (Date.now() + wait >= deadline) {
+        breakerFailure(key);
+        throw err;
+      }
+      await sleep(wait);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
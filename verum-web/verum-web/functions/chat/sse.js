@@ -0,0 +1,57 @@
+// Server-Sent Events in both directions: writing an event stream to our
+// client, and reading the event streams LLM providers send back.
+
+/**
+ * Switch an Express response to text/event-stream.
+ *
+ * @param {import("express").Response} res
+ * @returns {{send: (event: string, data: any) => void, end: () => void}}
+ */
+export function openSse(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Stop reverse proxies from buffering the stream
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+  return {
+    send(event, data) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/**
+ * Parse an upstream SSE body into `{ event, data }` records. `data` is the raw
+ * string (multi-line data fields joined with "\n").
+ *
+ * @param {ReadableStream<Uint8Array>} body
+ */
+export async function* readSse(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  // A chunk ending in "\r" may be half of a "\r\n"; hold it for the next one
+  let heldCr = false;
+  for await (const chunk of body) {
+    let text = (heldCr ? "\r" : "") + decoder.decode(chunk, { stream: true });
+    heldCr = text.endsWith("\r");
+    if (heldCr) text = text.slice(0, -1);
+    buf += text.replace(/\r\n?/g, "\n");
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const block = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+      }
+      if (data.length) yield { event, data: data.join("\n") };
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// Server-side tools for chat models. Models that support function calling can
+// look up receipts, the signed service manifest and the rules pack, and check
+// hash formats instead of guessing. Tools run here, in-process; their results
+// are fed back to the model and reported to the client.
+import { CHAT_TOOL_MAX_ROUNDS, RULES_ITEMS, RULES_PACK_HASH } from "../config.js";
+import { getReceipt } from "../receipts-kv.js";
+import { finalizeReceipt } from "../anchor/batches.js";
+import { signReceipt } from "../signing.js";
+import { verifyManifest } from "../manifest.js";
+import { callProvider, getProvider, addUsage } from "./providers/index.js";
+import { parseHash, HASH_ALGORITHMS } from "../hash-algorithms.js";
+
+const HASH_PARAM = {
+  type: "object",
+  properties: {
+    hash: { type: "string", description: "Hex-encoded digest or multihash of the evidence file" },
+    algorithm: {
+      type: "string",
+      enum: [...Object.keys(HASH_ALGORITHMS), "multihash"],
+      description: "Hash algorithm; omit for SHA-512 or a multihash"
+    }
+  },
+  required: ["hash"]
+};
+
+// Lenient about case and whitespace (models copy hashes from prose), strict
+// about everything else; issues are HASH_ERRORS codes plus "not_normalized"
+function validateHash(hash, algorithm) {
+  const raw = String(hash ?? "");
+  const normalized = raw.trim().toLowerCase();
+  const parsed = parseHash(normalized, algorithm);
+  const issues = [];
+  if (!parsed.ok) issues.push(parsed.error);
+  if (normalized !== raw) issues.push("not_normalized");
+  return {
+    valid: parsed.ok,
+    normalized: parsed.ok ? parsed.hash : normalized,
+    length: normalized.length,
+    algorithm: parsed.ok ? parsed.algorithm : null,
+    ...(parsed.candidates ? { candidates: parsed.candidates } : {}),
+    issues
+  };
+}
+
+export const TOOLS = {
+  get_receipt: {
+    description: "Look up the Verum anchoring receipt for an evidence hash: whether it was anchored, its Merkle batch status and RFC 3161 timestamp.",
+    parameters: HASH_PARAM,
+    async run({ hash, algorithm }) {
+      const check = validateHash(hash, algorithm);
+      if (!check.valid) return { found: false, error: "invalid_hash", issues: check.issues };
+      const stored = await getReceipt(check.normalized);
+      if (!stored) return { found: false, hash: check.normalized };
+      const r = await finalizeReceipt(stored, signReceipt);
+      return {
+        found: true,
+        hash: r.hash,
+        issuedAt: r.issuedAt,
+        anchor: r.anchor ? { status: r.anchor.status, batchId: r.anchor.batchId, root: r.anchor.root || null } : null,
+        chain: r.chain,
+        txid: r.txid,
+        timestamp: r.timestamp ? { tsa: r.timestamp.tsa, genTime: r.timestamp.genTime } : null,
+        signed: Boolean(r.signature)
+      };
+    }
+  },
+  get_manifest: {
+    description: "Fetch the signed Verum service manifest: constitution and model-pack hashes, policy, product id and signing keys.",
+    parameters: { type: "object", properties: {} },
+    run: () => verifyManifest()
+  },
+  list_rules: {
+    description: "List the files of the active rules pack with their SHA-512 hashes and the overall rules pack hash.",
+    parameters: { type: "object", properties: {} },
+    run: async () => ({ rulesPackHash: RULES_PACK_HASH, rules: RULES_ITEMS })
+  },
+  validate_hash: {
+    description: `Check whether a string is a well-formed hex digest (${Object.values(HASH_ALGORITHMS).map(a => a.label).join(", ")}) or multihash and return its normalized form. A bare digest other than SHA-512 needs the algorithm.`,
+    parameters: HASH_PARAM,
+    run: async ({ hash, algorithm }) => validateHash(hash, algorithm)
+  }
+};
+
+export const TOOL_SPECS = Object.entries(TOOLS).map(([name, t]) => ({ name, description: t.description, parameters: t.parameters }));
+
+async function runTool(call) {
+  const tool = TOOLS[call.name];
+  if (!tool) return { ok: false, error: `unknown_tool:${call.name}` };
+  if (!call.arguments || typeof call.arguments !== "object" || "_unparsed" in call.arguments) {
+    return { ok: false, error: "invalid_arguments" };
+  }
+  try {
+    return { ok: true, result: await tool.run(call.arguments) };
+  } catch (e) {
+    return { ok: false, error: String(e.message || e) };
+  }
+}
+
+/**
+ * Complete a conversation, letting the model call TOOLS along the way. Rounds
+ * that offer tools are not streamed; with `onDelta` an answer from such a
+ * round is delivered as a single fragment, while the closing round that
+ * offers no tools streams as usual. Providers without tool support, or
+ * `tools: false`, get a plain (streamed) callProvider() call.
+ *
+ * @param {string} name - Provider name.
+ * @param {string} [model]
+ * @param {Object[]} messages
+ * @param {number} [temperature]
+ * @param {Object} [opts]
+ * @param {boolean} [opts.tools] - Offer tools to the model.
+ * @param {AbortSignal} [opts.signal]
+ * @param {(delta: string) => void} [opts.onDelta]
+ * @param {(run: Object) => void} [opts.onTool] - Called after each tool runs.
+ * @returns {Promise<Object>} the normalized result plus `toolCalls`, the list
+ *   of executed tools ({ round, name, arguments, ok, result | error }), with
+ *   `usage` summed over all rounds.
+ */
+export async function callWithTools(name, model, messages, temperature, { tools = false, signal, onDelta, onTool } = {}) {
+  if (!tools || !getProvider(name)?.supportsTools) {
+    return { ...await callProvider(name, model, messages, temperature, { signal, onDelta }), toolCalls: [] };
+  }
+  const convo = [...messages];
+  const executed = [];
+  const rounds = [];
+  for (let round = 1; ; round++) {
+    // The last round offers no tools, so the model has to answer
+    const offer = round <= CHAT_TOOL_MAX_ROUNDS ? TOOL_SPECS : undefined;
+    const out = await callProvider(name, model, convo, temperature, offer ? { signal, tools: offer } : { signal, onDelta });
+    rounds.push(out);
+    if (!out.toolCalls?.length || !offer) {
+      if (offer && onDelta && out.message) onDelta(out.message);
+      return { ...out, toolCalls: executed, usage: addUsage(rounds) };
+    }
+    convo.push({ role: "assistant", content: out.message || "", toolCalls: out.toolCalls });
+    for (const call of out.toolCalls) {
+      const run = { round, name: call.name, arguments: call.arguments, ...await runTool(call) };
+      executed.push(run);
+      onTool?.(run);
+      convo.push({
+        role: "tool",
+        toolCallId: call.id,
+        name: call.name,
+        content: JSON.stringify(run.ok ? run.result : { error: run.error })
+      });
+    }
+  }
+}
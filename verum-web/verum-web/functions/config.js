@@ -14,17 +14,100 @@ export const OPENAIAPIKEY    = process.env.OPENAIAPIKEY || "";
 export const ANTHROPICAPIKEY = process.env.ANTHROPICAPIKEY || "";
 export const DEEPSEEKAPIKEY  = process.env.DEEPSEEKAPIKEY || "";
 
+// Signing key rotation: optional kid/start date for the active key, plus
+// retired public keys (JSON array of JWKs, parsed and validated in signing.js)
+// that remain valid for verification
+export const VOSIGNINGKEY_KID   = process.env.VOSIGNINGKEY_KID || "";
+export const VOSIGNINGKEY_SINCE = process.env.VOSIGNINGKEY_SINCE || "";
+export const VOVERIFYKEYS       = process.env.VOVERIFYKEYS || "";
+
+// Self-hosted OpenAI-compatible server (llama.cpp, Ollama, vLLM) for provider
+// "local", e.g. http://127.0.0.1:11434/v1. Key is optional; local inference
+// gets its own, longer deadline.
+export const LOCAL_LLM_URL         = (process.env.LOCAL_LLM_URL || "").replace(/\/+$/, "");
+export const LOCAL_LLM_MODEL       = process.env.LOCAL_LLM_MODEL || "llama3.1";
+export const LOCAL_LLM_API_KEY     = process.env.LOCAL_LLM_API_KEY || "";
+export const LOCAL_LLM_DEADLINE_MS = Number(process.env.LOCAL_LLM_DEADLINE_MS || 120_000);
+
+// Deterministic offline provider "mock" for tests and demos ("on" enables)
+export const MOCK_LLM = process.env.MOCK_LLM === "on";
+
+// Cross-provider consensus panel for provider "verum": comma-separated
+// provider:model. Malformed entries are left out and reported in
+// VERUM_PANEL_ERRORS, which index.js logs at startup.
+export function parseVerumPanel(value) {
+  const panel = [];
+  const errors = [];
+  value.split(",").map(s => s.trim()).filter(Boolean).forEach((entry, i) => {
+    const at = entry.indexOf(":");
+    if (at <= 0 || at === entry.length - 1) errors.push(`VERUM_PANEL[${i}]: "${entry}" is not provider:model`);
+    else panel.push({ provider: entry.slice(0, at), model: entry.slice(at + 1) });
+  });
+  return { panel, errors };
+}
+const verumPanel = parseVerumPanel(process.env.VERUM_PANEL ||
+  "openai:gpt-4o-mini,anthropic:claude-3-5-haiku-20241022,deepseek:deepseek-chat");
+export const VERUM_PANEL        = verumPanel.panel;
+export const VERUM_PANEL_ERRORS = verumPanel.errors;
+
+// Server-side tools offered to chat models ("off" disables) and the maximum
+// number of tool rounds before the model must answer
+export const CHAT_TOOLS            = process.env.CHAT_TOOLS !== "off";
+export const CHAT_TOOL_MAX_ROUNDS  = Number(process.env.CHAT_TOOL_MAX_ROUNDS || 3);
+
+// Redact PII from chat messages before they reach LLM vendors ("off" disables)
+export const PII_REDACTION = process.env.PII_REDACTION !== "off";
+
+// Consensus scoring: "claims" compares extracted numbers/dates/entities/verdicts,
+// "jaccard" compares word sets. Empty threshold uses the method's default.
+export const CONSENSUS_METHOD    = process.env.CONSENSUS_METHOD || "claims";
+export const CONSENSUS_THRESHOLD = process.env.CONSENSUS_THRESHOLD ? Number(process.env.CONSENSUS_THRESHOLD) : null;
+
+// LLM call resilience: overall deadline per call (retries included), retry
+// budget for 429/5xx, and breaker trip threshold / open period
+export const LLM_DEADLINE_MS          = Number(process.env.LLM_DEADLINE_MS || 30_000);
+export const LLM_MAX_RETRIES          = Number(process.env.LLM_MAX_RETRIES || 2);
+export const LLM_BREAKER_THRESHOLD    = Number(process.env.LLM_BREAKER_THRESHOLD || 3);
+export const LLM_BREAKER_COOLDOWN_MS  = Number(process.env.LLM_BREAKER_COOLDOWN_MS || 60_000);
+
 // Comma-separated list of allowed CORS origins
 export const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "")
   .split(",")
   .map(s => s.trim())
   .filter(Boolean);
 
+// Persistent storage for receipts and other records: "memory", "file" or "firestore"
+export const STORE_BACKEND           = process.env.STORE_BACKEND || "memory";
+export const STORE_DIR               = process.env.STORE_DIR || "/tmp/verum-store";
+export const STORE_COLLECTION_PREFIX = process.env.STORE_COLLECTION_PREFIX || "vo_";
+// Receipt retention in days (0 keeps receipts forever)
+export const RECEIPT_TTL_DAYS        = Number(process.env.RECEIPT_TTL_DAYS || 0);
+
+// Anchoring: hashes are batched per window and the Merkle root is published
+export const ANCHOR_BATCH_WINDOW_SEC = Number(process.env.ANCHOR_BATCH_WINDOW_SEC || 300);
+export const ANCHOR_PUBLISHER        = process.env.ANCHOR_PUBLISHER || "none";
+export const ANCHOR_RPC_URL          = process.env.ANCHOR_RPC_URL || "";
+export const ANCHOR_RPC_METHOD       = process.env.ANCHOR_RPC_METHOD || "vo_publishRoot";
+export const ANCHOR_CHAIN            = process.env.ANCHOR_CHAIN || "local";
+
+// Asset hot reload: "on" watches the assets directory; ADMIN_TOKEN enables
+// POST /v1/admin/reload (empty disables the route)
+export const ASSETS_WATCH = process.env.ASSETS_WATCH === "on";
+export const ADMIN_TOKEN  = process.env.ADMIN_TOKEN || "";
+
+// Institutional tenants with API keys, rate limits and monthly quotas (JSON
+// array, see tenants.js). Empty keeps every caller anonymous.
+export const VOTENANTS = process.env.VOTENANTS || "";
+
+// RFC 3161 timestamp authority for anchor receipts (empty disables timestamping)
+export const TSA_URL        = process.env.TSA_URL || "";
+export const TSA_POLICY_OID = process.env.TSA_POLICY_OID || "";
+
 // Paths to assets
-const assetsDir        = path.join(__dirname, "assets");
-const constitutionPath = path.join(assetsDir, "constitution.pdf");
-const modelPackPath    = path.join(assetsDir, "model_pack.json");
-export const LOGO_PATH = path.join(assetsDir, "vo_logo.png");
+export const ASSETS_DIR = path.join(__dirname, "assets");
+const constitutionPath  = path.join(ASSETS_DIR, "constitution.pdf");
+const modelPackPath     = path.join(ASSETS_DIR, "model_pack.json");
+export const LOGO_PATH  = path.join(ASSETS_DIR, "vo_logo.png");
 
 // Hash helpers
 export function sha512File(p) {
@@ -35,30 +118,67 @@ export function sha512Hex(data) {
   return crypto.createHash("sha512").update(data).digest("hex");
 }
 
-// Content hashes for assets (fall back to "missing")
-export const CONSTITUTION_HASH = fs.existsSync(constitutionPath) ? sha512File(constitutionPath) : "missing";
-export const MODELPACK_HASH    = fs.existsSync(modelPackPath)    ? sha512File(modelPackPath)    : "missing";
+// Content hashes for assets (fall back to "missing"). These are live
+// bindings: reloadAssets() below swaps them for every importer.
+const hashAsset = (p) => (fs.existsSync(p) ? sha512File(p) : "missing");
+export let CONSTITUTION_HASH = hashAsset(constitutionPath);
+export let MODELPACK_HASH    = hashAsset(modelPackPath);
 
 // Product and policy strings
 export const PRODUCT_ID  = "VO-Web32";
 export const POLICY_TEXT = "Free for private citizens. Institutions: 20% of recovered fraud or per-case licensing as agreed.";
 
 // ----- RULES MANIFEST (auto-scan /assets/rules) -----
-const RULES_DIR = path.join(assetsDir, "rules");
+export const RULES_DIR = path.join(ASSETS_DIR, "rules");
+// Jurisdiction profiles (legal references, authorities), one JSON file each
+export const JURISDICTIONS_DIR = path.join(ASSETS_DIR, "jurisdictions");
+// Tenant logos for sealed PDFs, referenced by file name from VOTENANTS branding
+export const BRANDING_DIR = path.join(ASSETS_DIR, "branding");
 
-function listRuleFiles() {
-  if (!fs.existsSync(RULES_DIR)) return [];
-  return fs.readdirSync(RULES_DIR)
-    .filter(f => fs.statSync(path.join(RULES_DIR, f)).isFile())
+function listAssetFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => fs.statSync(path.join(dir, f)).isFile())
     .map(name => {
-      const fp = path.join(RULES_DIR, name);
+      const fp = path.join(dir, name);
       return { name, size: fs.statSync(fp).size, sha512: sha512File(fp) };
     })
     .sort((a, b) => a.name.localeCompare(b.name));
 }
-function rulesPackHash(items) {
+function packHash(items) {
   return sha512Hex(items.map(i => i.sha512).join(""));
 }
 
-export const RULES_ITEMS     = listRuleFiles();
-export const RULES_PACK_HASH = rulesPackHash(RULES_ITEMS);
\ No newline at end of file
+export let RULES_ITEMS     = listAssetFiles(RULES_DIR);
+export let RULES_PACK_HASH = packHash(RULES_ITEMS);
+
+export let JURISDICTIONS_ITEMS = listAssetFiles(JURISDICTIONS_DIR);
+export let JURISDICTIONS_HASH  = packHash(JURISDICTIONS_ITEMS);
+
+/**
+ * Re-hash the constitution, model pack, rules and jurisdiction directories from disk.
+ *
+ * @returns {{changed: string[], constitutionHash: string, modelPackHash: string, rulesPackHash: string, jurisdictionsHash: string}}
+ *   `changed` names the assets whose hash moved ("constitution", "modelPack",
+ *   "rules", "jurisdictions").
+ */
+export function reloadAssets() {
+  const constitutionHash = hashAsset(constitutionPath);
+  const modelPackHash = hashAsset(modelPackPath);
+  const rulesItems = listAssetFiles(RULES_DIR);
+  const rulesHash = packHash(rulesItems);
+  const jurisdictionsItems = listAssetFiles(JURISDICTIONS_DIR);
+  const jurisdictionsHash = packHash(jurisdictionsItems);
+  const changed = [];
+  if (constitutionHash !== CONSTITUTION_HASH) changed.push("constitution");
+  if (modelPackHash !== MODELPACK_HASH) changed.push("modelPack");
+  if (rulesHash !== RULES_PACK_HASH) changed.push("rules");
+  if (jurisdictionsHash !== JURISDICTIONS_HASH) changed.push("jurisdictions");
+  CONSTITUTION_HASH = constitutionHash;
+  MODELPACK_HASH = modelPackHash;
+  RULES_ITEMS = rulesItems;
+  RULES_PACK_HASH = rulesHash;
+  JURISDICTIONS_ITEMS = jurisdictionsItems;
+  JURISDICTIONS_HASH = jurisdictionsHash;
+  return { changed, constitutionHash, modelPackHash, rulesPackHash: rulesHash, jurisdictionsHash };
+}
\ No newline at end of file
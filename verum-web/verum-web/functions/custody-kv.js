@@ -0,0 +1,106 @@
+// Chain-of-custody log. Every anchor, receipt lookup, seal and verification
+// touching an evidence hash appends one entry; each entry carries the SHA-512
+// of the one before it, so removing or editing an entry breaks every later
+// link. Entries are keyed "<hash>:<seq>" in the "custody" record store and are
+// never updated or deleted. The "custody-heads" store keeps the latest seq and
+// entrySha512 per hash, so an append never has to read the whole chain.
+//
+// entrySha512 is the SHA-512 of the canonical JSON of the entry without the
+// entrySha512 field itself.
+import { openStore, makeRecord } from "./stores/index.js";
+import { canonicalJson } from "./signing.js";
+import { sha512Hex } from "./config.js";
+
+export const CUSTODY_ACTIONS = ["anchor", "receipt", "receipt_verify", "seal", "seal_verify"];
+
+const SEQ_WIDTH = 8;
+
+function store() {
+  return openStore("custody");
+}
+function heads() {
+  return openStore("custody-heads");
+}
+
+const entryKey = (hash, seq) => `${hash}:${String(seq).padStart(SEQ_WIDTH, "0")}`;
+const entryHash = ({ entrySha512, ...entry }) => sha512Hex(canonicalJson(entry));
+
+/** All custody entries for a hash, oldest first. */
+export async function getCustodyChain(hash) {
+  const records = await store().list({ prefix: `${hash}:` });
+  return records.map(r => r.value).sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Append an entry to a hash's custody chain.
+ *
+ * @param {string} hash - Evidence hash.
+ * @param {Object} event
+ * @param {string} event.action - One of CUSTODY_ACTIONS.
+ * @param {string} event.actor - Who acted: an API key id or "anonymous".
+ * @param {Object} [event.details] - Action-specific, hash-only details.
+ * @returns {Promise<Object>} the stored entry.
+ */
+export async function appendCustody(hash, { action, actor, details = null }) {
+  if (!CUSTODY_ACTIONS.includes(action)) throw new Error(`unknown custody action: ${action}`);
+  let prev = (await heads().get(hash))?.value;
+  if (!prev) {
+    // Chains written before head records existed are read once
+    const chain = await getCustodyChain(hash);
+    prev = chain[chain.length - 1];
+  }
+  // Concurrent appends race for the same seq; create() lets exactly one win
+  // and hands its entry to the loser, which retries on top of it
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const entry = {
+      hash,
+      seq: prev ? prev.seq + 1 : 0,
+      action,
+      actor,
+      at: new Date().toISOString(),
+      details,
+      prevEntrySha512: prev ? prev.entrySha512 : null
+    };
+    entry.entrySha512 = entryHash(entry);
+    const { record, created } = await store().create(makeRecord(entryKey(hash, entry.seq), entry));
+    if (created) {
+      // Heads only move forward, whichever of two racing appends lands last
+      await heads().update(hash, (head) => (head && head.seq > entry.seq ? head : { seq: entry.seq, entrySha512: entry.entrySha512 }));
+      return entry;
+    }
+    prev = record.value;
+  }
+  throw new Error("custody append contention");
+}
+
+/**
+ * Recompute every link of a chain.
+ *
+ * @returns {{intact: boolean, brokenAt: number|null}} `brokenAt` is the seq of
+ *   the first entry whose own hash or back-link does not match.
+ */
+export function verifyCustodyChain(chain) {
+  for (let i = 0; i < chain.length; i++) {
+    const e = chain[i];
+    const expectedPrev = i === 0 ? null : chain[i - 1].entrySha512;
+    if (e.seq !== i || e.prevEntrySha512 !== expectedPrev || entryHash(e) !== e.entrySha512) {
+      return { intact: false, brokenAt: i };
+    }
+  }
+  return { intact: true, brokenAt: null };
+}
+
+/** Compact summary for sealed PDFs and manifests, or null for an empty chain. */
+export function summarizeCustody(chain) {
+  if (!chain.length) return null;
+  const counts = {};
+  for (const e of chain) counts[e.action] = (counts[e.action] || 0) + 1;
+  return {
+    length: chain.length,
+    firstAt: chain[0].at,
+    lastAt: chain[chain.length - 1].at,
+    headSha512: chain[chain.length - 1].entrySha512,
+    actions: counts,
+    ...verifyCustodyChain(chain)
+  };
+}
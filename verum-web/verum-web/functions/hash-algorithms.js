@@ -0,0 +1,173 @@
+// Evidence hash algorithms and strict parsing of client-supplied hashes.
+//
+// A hash arrives either as a bare lowercase hex digest, with the algorithm
+// named separately (`algorithm`, default sha512), or as a hex-encoded
+// multihash (<varint code><varint length><digest>) that names its own
+// algorithm. Digests must have the exact length of their algorithm; anything
+// else is rejected with a code from HASH_ERRORS.
+import crypto from "crypto";
+
+export const DEFAULT_HASH_ALGORITHM = "sha512";
+
+// hexLength: digest length in hex characters; multihash: multicodec code;
+// node: name for crypto.createHash; oid: digest OID for RFC 3161 requests
+export const HASH_ALGORITHMS = {
+  "sha256":      { label: "SHA-256",     hexLength: 64,  multihash: 0x12,   node: "sha256",     oid: "2.16.840.1.101.3.4.2.1" },
+  "sha512":      { label: "SHA-512",     hexLength: 128, multihash: 0x13,   node: "sha512",     oid: "2.16.840.1.101.3.4.2.3" },
+  "sha3-512":    { label: "SHA3-512",    hexLength: 128, multihash: 0x14,   node: "sha3-512",   oid: "2.16.840.1.101.3.4.2.10" },
+  "blake2b-512": { label: "BLAKE2b-512", hexLength: 128, multihash: 0xb240, node: "blake2b512", oid: "1.3.6.1.4.1.1722.12.2.1.16" }
+};
+
+const BY_MULTIHASH_CODE = new Map(Object.entries(HASH_ALGORITHMS).map(([name, a]) => [a.multihash, name]));
+
+// Error catalog for malformed hash input. Routes answer 400 with
+// { ok: false, error: <code>, message, ...details }.
+export const HASH_ERRORS = {
+  hash_required: "A hash is required.",
+  hash_not_string: "The hash must be a string.",
+  hash_not_hex: "The hash may only contain the characters 0-9 and a-f.",
+  hash_not_lowercase: "Hex digits must be lowercase.",
+  hash_length_mismatch: "The digest length does not match the hash algorithm.",
+  unsupported_algorithm: `Supported algorithms: ${Object.keys(HASH_ALGORITHMS).join(", ")}, or a multihash.`,
+  multihash_invalid: "The multihash prefix is malformed or names an unsupported hash function.",
+  multihash_length_mismatch: "The multihash length byte does not match its digest.",
+  multihash_algorithm_conflict: "The multihash names a different algorithm than the algorithm field.",
+  hash_algorithm_conflict: "This hash is already on record under a different algorithm."
+};
+
+/** Build a catalogued error result. */
+export function hashError(error, details = {}) {
+  return { ok: false, error, message: HASH_ERRORS[error], ...details };
+}
+
+// Unsigned LEB128 as used by multiformats; returns [value, bytesRead] or null
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let i = 0; i < 4 && offset + i < bytes.length; i++) {
+    const b = bytes[offset + i];
+    value += (b & 0x7f) * 2 ** (7 * i);
+    if (!(b & 0x80)) return [value, i + 1];
+  }
+  return null;
+}
+
+function parseMultihash(hex, algorithm) {
+  const bytes = Buffer.from(hex, "hex");
+  const code = readVarint(bytes, 0);
+  const len = code && readVarint(bytes, code[1]);
+  const name = code && BY_MULTIHASH_CODE.get(code[0]);
+  if (!len || !name) return hashError("multihash_invalid");
+  if (algorithm && algorithm !== "multihash" && algorithm !== name) {
+    return hashError("multihash_algorithm_conflict", { algorithm, multihashAlgorithm: name });
+  }
+  const digest = bytes.subarray(code[1] + len[1]);
+  if (digest.length !== len[0] || digest.length * 2 !== HASH_ALGORITHMS[name].hexLength) {
+    return hashError("multihash_length_mismatch", { expected: HASH_ALGORITHMS[name].hexLength, actual: digest.length * 2 });
+  }
+  return { ok: true, algorithm: name, hash: digest.toString("hex"), multihash: hex };
+}
+
+/**
+ * Parse a client-supplied hash.
+ *
+ * @param {*} input - Hex digest or hex multihash.
+ * @param {string} [algorithm] - One of HASH_ALGORITHMS or "multihash"; when
+ *   omitted, a 128-character digest is sha512 and anything else must be a
+ *   multihash.
+ * @returns {{ok: true, algorithm: string, hash: string, multihash?: string}
+ *   | {ok: false, error: string, message: string}} `hash` is the bare digest.
+ */
+export function parseHash(input, algorithm) {
+  if (input === undefined || input === null || input === "") return hashError("hash_required");
+  if (typeof input !== "string") return hashError("hash_not_string");
+  if (algorithm !== undefined && algorithm !== null && algorithm !== "") {
+    if (typeof algorithm !== "string" || (algorithm !== "multihash" && !HASH_ALGORITHMS[algorithm])) {
+      return hashError("unsupported_algorithm", { algorithm });
+    }
+  } else {
+    algorithm = null;
+  }
+  if (/[A-F]/.test(input) && /^[a-fA-F0-9]+$/.test(input)) return hashError("hash_not_lowercase");
+  if (!/^[a-f0-9]+$/.test(input)) return hashError("hash_not_hex");
+
+  if (algorithm === "multihash") {
+    return input.length % 2 ? hashError("multihash_invalid") : parseMultihash(input, algorithm);
+  }
+  if (!algorithm && input.length !== HASH_ALGORITHMS[DEFAULT_HASH_ALGORITHM].hexLength) {
+    const mh = input.length % 2 ? null : parseMultihash(input, null);
+    if (mh?.ok || mh?.error === "multihash_length_mismatch") return mh;
+    // Most likely a bare digest of another algorithm, or a truncated one
+    const candidates = Object.keys(HASH_ALGORITHMS).filter(n => HASH_ALGORITHMS[n].hexLength === input.length);
+    return hashError("hash_length_mismatch", {
+      algorithm: DEFAULT_HASH_ALGORITHM,
+      expected: HASH_ALGORITHMS[DEFAULT_HASH_ALGORITHM].hexLength,
+      actual: input.length,
+      ...(candidates.length ? { candidates } : {})
+    });
+  }
+  const name = algorithm || DEFAULT_HASH_ALGORITHM;
+  if (input.length !== HASH_ALGORITHMS[name].hexLength) {
+    // A multihash alongside an explicit algorithm must agree with it
+    const mh = algorithm && input.length % 2 === 0 ? parseMultihash(input, algorithm) : null;
+    if (mh && (mh.ok || mh.error === "multihash_algorithm_conflict")) return mh;
+    return hashError("hash_length_mismatch", { algorithm: name, expected: HASH_ALGORITHMS[name].hexLength, actual: input.length });
+  }
+  return { ok: true, algorithm: name, hash: input };
+}
+
+/** Hex-encoded multihash of a digest. */
+export function toMultihash(algorithm, hash) {
+  const varint = (n) => {
+    const out = [];
+    do {
+      let b = n & 0x7f;
+      n = Math.floor(n / 128);
+      if (n) b |= 0x80;
+      out.push(b);
+    } while (n);
+    return Buffer.from(out);
+  };
+  const digest = Buffer.from(hash, "hex");
+  return Buffer.concat([varint(HASH_ALGORITHMS[algorithm].multihash), varint(digest.length), digest]).toString("hex");
+}
+
+/** One incremental hasher per supported algorithm, for streaming uploads. */
+export function createDigests() {
+  const hashers = Object.entries(HASH_ALGORITHMS).map(([name, a]) => [name, crypto.createHash(a.node)]);
+  return {
+    update(chunk) {
+      for (const [, h] of hashers) h.update(chunk);
+    },
+    digest() {
+      return Object.fromEntries(hashers.map(([name, h]) => [name, h.digest("hex")]));
+    }
+  };
+}
+
+// Records written before the algorithm was recorded accepted any lowercase hex
+// of 64+ characters (SHA-384 digests included, which the TSA client supports)
+const LEGACY_HASH_RE = /^[a-f0-9]{64,}$/;
+const LEGACY_ALGORITHMS = { 64: "sha256", 96: "sha384", 128: "sha512" };
+
+/**
+ * Algorithm of a stored receipt or seal. For records written before the
+ * algorithm was recorded it is inferred from the digest length, or null for
+ * lengths no supported algorithm produces.
+ */
+export function recordAlgorithm(record) {
+  if (record?.hashAlgorithm) return record.hashAlgorithm;
+  return LEGACY_ALGORITHMS[String(record?.hash || "").length] || null;
+}
+
+/**
+ * Validate the hash of a stored (or client-presented) receipt: strictly when
+ * the record names its algorithm, with the old `{64,}` hex rule otherwise.
+ *
+ * @returns {{ok: true, algorithm: string|null, hash: string, legacy?: true}
+ *   | {ok: false, error: string, message: string}}
+ */
+export function parseRecordedHash(record) {
+  if (record?.hashAlgorithm) return parseHash(record.hash, record.hashAlgorithm);
+  if (typeof record?.hash !== "string" || !LEGACY_HASH_RE.test(record.hash)) return parseHash(record?.hash);
+  return { ok: true, algorithm: recordAlgorithm(record), hash: record.hash, legacy: true };
+}
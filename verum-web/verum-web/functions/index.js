@@ -1,47 +1,69 @@
 import express from "express";
-import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { onRequest } from "firebase-functions/v2/https";
+import { onSchedule } from "firebase-functions/v2/scheduler";
 import { setGlobalOptions } from "firebase-functions/v2/options";
 import multer from "multer";
-import { SignJWT, importPKCS8, importJWK } from "jose";
 import rateLimit from "express-rate-limit";
 import cors from "cors";
 import helmet from "helmet";
-import pino from "pino";
 
 import {
   REGION,
+  PII_REDACTION,
+  CHAT_TOOLS,
   VOSIGNINGKEY,
-  OPENAIAPIKEY,
-  ANTHROPICAPIKEY,
-  DEEPSEEKAPIKEY,
   CONSTITUTION_HASH,
   MODELPACK_HASH,
   LOGO_PATH,
   PRODUCT_ID,
-  POLICY_TEXT,
   ALLOWED_ORIGINS,
-  RULES_ITEMS,
-  RULES_PACK_HASH
+  TSA_URL,
+  ASSETS_WATCH,
+  ADMIN_TOKEN,
+  RECEIPT_TTL_DAYS,
+  VERUM_PANEL_ERRORS,
+  sha512Hex
 } from "./config.js";
 
-import { putReceipt, getReceipt } from "./receipts-kv.js";
-import { makeSealedPdf } from "./pdf/seal-template.js";
-
-import { Agent as HttpAgent } from "http";
-import { Agent as HttpsAgent } from "https";
-import { fetch as undiciFetch } from "undici";
+import { verifyManifest, rulesManifest, ensureRulesVersion, rulesVersion, rulesVersionAt, rulesHistory, rulesDiff, RULES_HISTORY_PERSISTENT } from "./manifest.js";
+import { reloadAndRecord, watchAssets } from "./assets-reload.js";
+import { signReceipt, getJwks, getVerifyKeys, JWKS_PATH, canonicalJson } from "./signing.js";
+import { putReceipt, getReceipt, listReceipts, purgeExpiredReceipts } from "./receipts-kv.js";
+import { verifyReceipt } from "./receipt-verify.js";
+import { enqueueLeaf, finalizeReceipt, sealDueBatches } from "./anchor/batches.js";
+import { requestTimestamp, timestampReply } from "./tsa/client.js";
+import { makeSealedPdf, manifestBytes, SEAL_TEMPLATES, DEFAULT_SEAL_TEMPLATE } from "./pdf/seal-template.js";
+import { getSealLocale, SEAL_LOCALES, DEFAULT_SEAL_LOCALE } from "./pdf/seal-locales.js";
+import { stampPdf } from "./pdf/stamp.js";
+import { registerSeal } from "./seals-kv.js";
+import { verifySealedPdf } from "./seal-verify.js";
+import { parseHash, parseRecordedHash, hashError, recordAlgorithm, HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM } from "./hash-algorithms.js";
+import { tenantAuth, getTenants, getTenant } from "./tenants.js";
+import { recordUsage, getUsage, usageStatement, usagePeriod } from "./usage-kv.js";
+import { appendCustody, getCustodyChain, verifyCustodyChain, summarizeCustody } from "./custody-kv.js";
+import { hashingStorage } from "./upload-hash.js";
+import { getRulesPack, evaluateRules } from "./rules/engine.js";
+import { getJurisdictions, getJurisdiction, jurisdictionRef, jurisdictionPrompt } from "./jurisdictions.js";
+import { getProvider, listProviders, isConfigured } from "./chat/providers/index.js";
+import { callWithTools } from "./chat/tools.js";
+import { openaiTriple, verumPanel } from "./chat/consensus.js";
+import { breakerSnapshot } from "./chat/resilience.js";
+import { openSse } from "./chat/sse.js";
+import { signChatAudit, verifyChatAudit } from "./chat/audit.js";
+import { redactMessages, rehydrate } from "./chat/redact.js";
+import { log } from "./log.js";
 
 // ----- App setup -----
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const log = pino({ level: "info" });
 
 setGlobalOptions({ region: REGION, maxInstances: 20 });
 
-const app = express();
+// Exported for route-level tests; Firebase serves it through api2 below
+export const app = express();
 app.disable("x-powered-by");
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
@@ -61,232 +83,496 @@ app.use(cors({
   }
 }));
 
-// Rate limiting
-const rlTight  = rateLimit({ windowMs: 60_000, max: 30 });
-const rlNormal = rateLimit({ windowMs: 15 * 60_000, max: 300 });
+// Optional API keys: req.tenant is the caller's tenant, or null when anonymous.
+// Rejected keys count against the caller's IP first, so keys cannot be guessed
+// faster than the per-IP limits allow.
+app.use(rateLimit({
+  windowMs: 15 * 60_000,
+  limit: 20,
+  skip: (req) => !req.get("x-api-key"),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401
+}));
+app.use(tenantAuth);
+
+// Rate limiting. Anonymous callers are limited per IP; tenants share one
+// budget across all their keys, at their own limits when configured.
+const limiter = (tier, windowMs, max) => rateLimit({
+  windowMs,
+  limit: (req) => req.tenant?.rateLimits[tier] ?? max,
+  keyGenerator: (req) => (req.tenant ? `tenant:${req.tenant.id}` : req.ip)
+});
+const rlTight  = limiter("tight", 60_000, 30);
+const rlNormal = limiter("normal", 15 * 60_000, 300);
 app.use("/v1/chat", rlTight);
 app.use("/v1/anchor", rlTight);
 app.use("/v1/seal", rlTight);
 app.use("/v1/receipt", rlNormal);
 app.use("/v1/verify", rlNormal);
 app.use("/v1/verify-rules", rlNormal);
+app.use("/v1/rules", rlNormal);
+app.use("/v1/jurisdictions", rlNormal);
+app.use("/v1/custody", rlNormal);
+app.use("/v1/usage", rlNormal);
+app.use("/v1/admin", rlTight);
+app.use(JWKS_PATH, rlNormal);
+
+// The active rules pack is recorded on the first request, not at import, so
+// loading the module never waits on (or fails with) the store
+app.use(async (req, res, next) => {
+  try {
+    await ensureRulesVersion();
+  } catch (e) {
+    log.error({ err: e.message }, "Recording rules pack version failed");
+  }
+  next();
+});
+
+// Every tenant request is metered per endpoint once the response is sent
+app.use((req, res, next) => {
+  if (req.tenant) res.on("finish", () => meter(req, "requests"));
+  next();
+});
 
 // Validate signing key on startup
 if (!VOSIGNINGKEY) {
   log.error("VOSIGNINGKEY not configured");
 }
-
-// ----- Ed25519 helpers -----
-async function getEd25519Key() {
-  if (!VOSIGNINGKEY) throw new Error("VOSIGNINGKEY not set");
-  if (VOSIGNINGKEY.includes("BEGIN PRIVATE KEY")) {
-    return importPKCS8(VOSIGNINGKEY, "EdDSA");
-  } else {
-    const jwk = JSON.parse(VOSIGNINGKEY);
-    return importJWK(jwk, "EdDSA");
-  }
+// Invalid rule files are reported now rather than on the first evaluation
+const rulesPack = getRulesPack();
+if (rulesPack.errors.length) {
+  log.error({ errors: rulesPack.errors }, "Rules pack failed validation");
 }
-async function signPayload(payload) {
-  const key = await getEd25519Key();
-  const now = Math.floor(Date.now() / 1000);
-  return await new SignJWT(payload)
-    .setProtectedHeader({ alg: "EdDSA", typ: "JWT" })
-    .setIssuedAt(now)
-    .setIssuer("verum.omnis")
-    .setExpirationTime(now + 60 * 60)
-    .sign(key);
+const jurisdictionErrors = getJurisdictions().errors;
+if (jurisdictionErrors.length) {
+  log.error({ errors: jurisdictionErrors }, "Jurisdiction profiles failed validation");
 }
-
-// ----- OpenAI triple consensus with circuit breaker -----
-const OPENAI_MODELS = ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini"];
-
-const breaker = new Map();
-const FAIL_THRESHOLD = 3;
-const BREAKER_COOLDOWN_MS = 60_000;
-
-function breakerAllowed(model) {
-  const b = breaker.get(model);
-  return !b || (b.trippedUntil || 0) <= Date.now();
+const verifyKeyErrors = getVerifyKeys().errors;
+if (verifyKeyErrors.length) {
+  log.error({ errors: verifyKeyErrors }, "VOVERIFYKEYS failed validation");
 }
-function breakerReportFailure(model) {
-  const b = breaker.get(model) || { failures: 0, trippedUntil: 0 };
-  b.failures += 1;
-  if (b.failures >= FAIL_THRESHOLD) {
-    b.trippedUntil = Date.now() + BREAKER_COOLDOWN_MS;
-    b.failures = 0;
-  }
-  breaker.set(model, b);
+if (VERUM_PANEL_ERRORS.length) {
+  log.error({ errors: VERUM_PANEL_ERRORS }, "VERUM_PANEL failed validation");
 }
-function breakerReportSuccess(model) {
-  breaker.set(model, { failures: 0, trippedUntil: 0 });
+const tenantErrors = getTenants().errors;
+if (tenantErrors.length) {
+  log.error({ errors: tenantErrors }, "VOTENANTS failed validation");
 }
-
-// Keep-alive agents for HTTP
-const httpAgent  = new HttpAgent({ keepAlive: true, maxSockets: 100, keepAliveMsecs: 15_000 });
-const httpsAgent = new HttpsAgent({ keepAlive: true, maxSockets: 100, keepAliveMsecs: 15_000 });
-
-function kfetch(url, opts = {}) {
-  const dispatcher = url.startsWith("https") ? httpsAgent : httpAgent;
-  return undiciFetch(url, { dispatcher, ...opts });
+if (!RULES_HISTORY_PERSISTENT) {
+  log.warn("STORE_BACKEND=memory keeps no rules pack history; ?version, ?at, ?diff and /v1/verify-rules/history answer 503");
+}
+if (ASSETS_WATCH) {
+  watchAssets({
+    onReload: (out) => log.info({ changed: out.changed, rulesPackHash: out.rulesPackHash, rulesErrors: out.rulesErrors }, "Assets reloaded"),
+    onError: (e) => log.error({ err: e.message }, "Asset reload failed")
+  });
 }
 
-function normalizeText(s) {
-  return (s || "")
-    .replace(/\s+/g, " ")
-    .replace(/[^\w\s.,;:!?()-]/g, "")
-    .trim()
-    .toLowerCase();
+// ----- Tenant usage and quotas -----
+// Metering is best-effort like custody; anonymous callers are never metered
+// and have no quotas.
+async function meter(req, metric, quantity = 1) {
+  if (!req.tenant || !quantity) return;
+  try {
+    await recordUsage(req.tenant, { metric, endpoint: req.route?.path || req.path, quantity });
+  } catch (e) {
+    log.error({ endpoint: req.path, err: e.message }, "usage metering failed");
+  }
 }
-function consensus2of3(results) {
-  if (results.length === 0) return { consensus: "fail" };
-  if (results.length === 1) return { consensus: "weak", winner: results[0] };
-  const sims = [];
-  for (let i = 0; i < results.length; i++) {
-    for (let j = i + 1; j < results.length; j++) {
-      const a = new Set(normalizeText(results[i].content).split(" "));
-      const b = new Set(normalizeText(results[j].content).split(" "));
-      const inter = [...a].filter(x => b.has(x)).length;
-      const uni = new Set([...a, ...b]).size || 1;
-      sims.push({ i, j, score: inter / uni });
+
+// Rejects a request up front once the tenant's monthly quota for `metric` is
+// used up. Quotas are soft: usage is metered only after the work is done, so
+// concurrent requests can all pass the check and a single chat can spend any
+// number of tokens past the limit. Nothing is reserved because a chat's token
+// count is unknown until it finishes.
+function quota(metric) {
+  return async (req, res, next) => {
+    const limit = req.tenant?.quotas[metric];
+    if (limit === undefined) return next();
+    try {
+      const used = (await getUsage(req.tenant.id))[metric];
+      if (used >= limit) {
+        return res.status(429).json({ ok: false, error: "quota_exceeded", metric, limit, used, period: usagePeriod() });
+      }
+      next();
+    } catch (e) {
+      next(e);
     }
-  }
-  const best = sims.sort((x, y) => y.score - x.score)[0] || { score: 0 };
-  const pass = best.score >= 0.6;
-  const pair = pass ? [results[best.i], results[best.j]] : [];
-  const winner = pass ? (pair[0].content.length >= pair[1].content.length ? pair[0] : pair[1]) : null;
-  return { consensus: pass ? "pass" : "fail", pair, winner, sims };
+  };
 }
 
-async function callOpenAIOnce(model, messages, temperature = 0.2) {
-  if (!breakerAllowed(model)) throw new Error(`breaker_tripped:${model}`);
-  const ac = new AbortController();
-  const timeout = setTimeout(() => ac.abort(), 30_000);
+// ----- Chain of custody -----
+// Custody entries are best-effort: a failed append is logged, never surfaced
+// to the caller. The actor is the API key id, or "anonymous".
+const custodyActor = (req) => req.tenant?.keyId || "anonymous";
+
+async function recordCustody(req, hash, action, details = null) {
   try {
-    const resp = await kfetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${OPENAIAPIKEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ model, messages, temperature, max_tokens: 2048 }),
-      signal: ac.signal
-    });
-    clearTimeout(timeout);
-    if (!resp.ok) {
-      const txt = await resp.text();
-      breakerReportFailure(model);
-      throw new Error(`openai ${model} ${resp.status}: ${txt}`);
-    }
-    const json = await resp.json();
-    const content = json?.choices?.[0]?.message?.content || "";
-    breakerReportSuccess(model);
-    return { model, content, raw: json };
+    await appendCustody(hash, { action, actor: custodyActor(req), details });
   } catch (e) {
-    clearTimeout(timeout);
-    if (!String(e.message || "").startsWith("breaker_tripped:")) {
-      breakerReportFailure(model);
-    }
-    throw e;
+    log.error({ endpoint: req.path, err: e.message }, "custody append failed");
   }
 }
 
-async function openaiTriple(messages, temperature = 0.2, overrideModel) {
-  const models = overrideModel ? [overrideModel] : OPENAI_MODELS.filter(breakerAllowed);
-  if (models.length === 0) models.push(OPENAI_MODELS[0]);
-  const settled = await Promise.allSettled(models.map(m => callOpenAIOnce(m, messages, temperature)));
-  const successes = settled.filter(s => s.status === "fulfilled").map(s => s.value);
-  const errors = settled.filter(s => s.status === "rejected").map(s => s.reason?.message || String(s.reason));
-  const c = consensus2of3(successes);
-  return { successes, errors, consensus: c.consensus, winner: c.winner, sims: c.sims };
-}
-
 // ----- Routes -----
 
 // GET /v1/verify
 app.get("/v1/verify", async (req, res) => {
   try {
-    const body = {
-      constitutionHash: CONSTITUTION_HASH,
-      modelPackHash: MODELPACK_HASH ? `core32:${MODELPACK_HASH}` : "missing",
-      policy: POLICY_TEXT,
-      product: PRODUCT_ID,
-      timestamp: new Date().toISOString()
-    };
-    const signature = await signPayload(body);
-    res.json({ ...body, signature });
+    res.json(await verifyManifest());
   } catch (e) {
     log.error({ endpoint: "/v1/verify", err: e.message });
     res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
+// GET /.well-known/jwks.json
+app.get(JWKS_PATH, async (req, res) => {
+  try {
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.json(await getJwks());
+  } catch (e) {
+    log.error({ endpoint: JWKS_PATH, err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
 // GET /v1/verify-rules
+// Without parameters: the current rules manifest. ?version=<rulesPackHash> or
+// ?at=<ISO date> return a stored, non-expiring signed manifest of a past pack;
+// ?diff=<from>..<to> compares two stored packs file by file.
+const RULES_HASH = /^[a-f0-9]{128}$/;
+const historyUnavailable = (res) => res.status(503).json({
+  ok: false,
+  error: "rules_history_not_persistent",
+  message: "Rules pack history needs a persistent STORE_BACKEND (file or firestore)."
+});
+
 app.get("/v1/verify-rules", async (req, res) => {
   try {
-    const body = {
+    const { version, at, diff } = req.query;
+    if ((version ?? at ?? diff) !== undefined && !RULES_HISTORY_PERSISTENT) return historyUnavailable(res);
+    if (diff !== undefined) {
+      const [from, to] = String(diff).split("..");
+      if (!RULES_HASH.test(from || "") || !RULES_HASH.test(to || "")) {
+        return res.status(400).json({ ok: false, error: "invalid_diff" });
+      }
+      const out = await rulesDiff(from, to);
+      if (!out) return res.status(404).json({ ok: false, error: "version_not_found" });
+      return res.json(out);
+    }
+    if (version !== undefined || at !== undefined) {
+      let hash = version;
+      if (version === undefined) {
+        if (Number.isNaN(Date.parse(at))) return res.status(400).json({ ok: false, error: "invalid_date" });
+        hash = await rulesVersionAt(String(at));
+      } else if (!RULES_HASH.test(String(version))) {
+        return res.status(400).json({ ok: false, error: "invalid_version" });
+      }
+      const manifest = hash ? await rulesVersion(String(hash)) : null;
+      if (!manifest) return res.status(404).json({ ok: false, error: "version_not_found" });
+      return res.json(manifest);
+    }
+    res.json(await rulesManifest());
+  } catch (e) {
+    log.error({ endpoint: "/v1/verify-rules", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// GET /v1/verify-rules/history
+app.get("/v1/verify-rules/history", async (req, res) => {
+  try {
+    if (!RULES_HISTORY_PERSISTENT) return historyUnavailable(res);
+    res.json({ ok: true, current: getRulesPack().rulesPackHash, activations: await rulesHistory() });
+  } catch (e) {
+    log.error({ endpoint: "/v1/verify-rules/history", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// POST /v1/admin/reload
+// Re-hashes assets from disk without a redeploy. Disabled unless ADMIN_TOKEN is set.
+function isAdmin(req) {
+  const given = Buffer.from(String(req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+app.post("/v1/admin/reload", async (req, res) => {
+  try {
+    if (!ADMIN_TOKEN) return res.status(404).json({ ok: false, error: "admin_disabled" });
+    if (!isAdmin(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+    const out = await reloadAndRecord();
+    log.info({ changed: out.changed, rulesPackHash: out.rulesPackHash }, "Assets reloaded");
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    log.error({ endpoint: "/v1/admin/reload", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// GET /v1/usage and GET /v1/admin/usage/:tenant
+// Signed monthly usage statement: the caller's own tenant by API key, or any
+// tenant for the operator. ?period=YYYY-MM defaults to the current month.
+const PERIOD_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+async function sendUsageStatement(req, res, tenant) {
+  const period = (req.query.period || usagePeriod()).toString();
+  if (!PERIOD_RE.test(period)) return res.status(400).json({ ok: false, error: "invalid_period" });
+  const statement = await usageStatement(tenant, period);
+  res.json({ ok: true, ...statement, signature: await signReceipt(statement) });
+}
+
+app.get("/v1/usage", async (req, res) => {
+  try {
+    if (!req.tenant) return res.status(401).json({ ok: false, error: "api_key_required" });
+    await sendUsageStatement(req, res, req.tenant);
+  } catch (e) {
+    log.error({ endpoint: "/v1/usage", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.get("/v1/admin/usage/:tenant", async (req, res) => {
+  try {
+    if (!ADMIN_TOKEN) return res.status(404).json({ ok: false, error: "admin_disabled" });
+    if (!isAdmin(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+    const tenant = getTenant(req.params.tenant);
+    if (!tenant) return res.status(404).json({ ok: false, error: "unknown_tenant" });
+    await sendUsageStatement(req, res, tenant);
+  } catch (e) {
+    log.error({ endpoint: "/v1/admin/usage", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// GET /v1/admin/receipts
+// Stored receipts issued in [from, to), oldest first, for the operator.
+const MAX_RECEIPT_LIST = 1000;
+
+function isoBound(value) {
+  if (value === undefined) return { ok: true, value: undefined };
+  const t = Date.parse(String(value));
+  return Number.isNaN(t) ? { ok: false } : { ok: true, value: new Date(t).toISOString() };
+}
+
+app.get("/v1/admin/receipts", async (req, res) => {
+  try {
+    if (!ADMIN_TOKEN) return res.status(404).json({ ok: false, error: "admin_disabled" });
+    if (!isAdmin(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+    const from = isoBound(req.query.from);
+    const to = isoBound(req.query.to);
+    if (!from.ok || !to.ok) return res.status(400).json({ ok: false, error: "invalid_time_range" });
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECEIPT_LIST) {
+      return res.status(400).json({ ok: false, error: "invalid_limit", max: MAX_RECEIPT_LIST });
+    }
+    const receipts = await listReceipts({ from: from.value, to: to.value, limit });
+    res.json({ ok: true, from: from.value || null, to: to.value || null, count: receipts.length, receipts });
+  } catch (e) {
+    log.error({ endpoint: "/v1/admin/receipts", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// POST /v1/rules/evaluate
+// Runs the rules pack against client-described evidence metadata. The result
+// is signed together with the pack hash and a digest of the metadata, so it
+// can later be tied to exactly the rules and input it was produced from.
+app.post("/v1/rules/evaluate", async (req, res) => {
+  try {
+    const { metadata, hash, algorithm, rules } = req.body || {};
+    if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+      return res.status(400).json({ ok: false, error: "metadata_required" });
+    }
+    const h = hash !== undefined ? parseHash(hash, algorithm) : null;
+    if (h && !h.ok) return res.status(400).json(h);
+    if (rules !== undefined && !(Array.isArray(rules) && rules.length && rules.every(r => typeof r === "string"))) {
+      return res.status(400).json({ ok: false, error: "rules_must_be_string_array" });
+    }
+    const pack = getRulesPack();
+    if (pack.errors.length) {
+      return res.status(503).json({ ok: false, error: "rules_invalid", details: pack.errors });
+    }
+    const unknown = (rules || []).filter(id => !pack.rules.some(r => r.id === id));
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown_rules", rules: unknown });
+
+    const { findings, summary } = evaluateRules(pack.rules, metadata, { only: rules });
+    const result = {
+      type: "vo-rules-evaluation",
       product: PRODUCT_ID,
-      rules: RULES_ITEMS,
-      rulesPackHash: RULES_PACK_HASH,
-      issuedAt: new Date().toISOString()
+      rulesPackHash: pack.rulesPackHash,
+      metadataSha512: sha512Hex(canonicalJson(metadata)),
+      hash: h ? h.hash : null,
+      hashAlgorithm: h ? h.algorithm : null,
+      findings,
+      summary,
+      evaluatedAt: new Date().toISOString()
     };
-    const signature = await signPayload(body);
-    res.json({ ...body, signature });
+    res.json({ ok: true, ...result, signature: await signReceipt(result) });
   } catch (e) {
-    log.error({ endpoint: "/v1/verify-rules", err: e.message });
+    log.error({ endpoint: "/v1/rules/evaluate", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// GET /v1/jurisdictions
+app.get("/v1/jurisdictions", (req, res) => {
+  try {
+    const { profiles, jurisdictionsHash } = getJurisdictions();
+    res.json({
+      ok: true,
+      jurisdictionsHash,
+      jurisdictions: [...profiles.values()].map(({ code, name, sha512 }) => ({ code, name, sha512 }))
+    });
+  } catch (e) {
+    log.error({ endpoint: "/v1/jurisdictions", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// GET /v1/jurisdictions/:code
+app.get("/v1/jurisdictions/:code", (req, res) => {
+  try {
+    const profile = getJurisdiction(req.params.code);
+    if (!profile) return res.status(404).json({ ok: false, error: "unknown_jurisdiction" });
+    res.json({ ok: true, jurisdictionsHash: getJurisdictions().jurisdictionsHash, ...profile });
+  } catch (e) {
+    log.error({ endpoint: "/v1/jurisdictions/:code", err: e.message });
     res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
 // POST /v1/anchor
-app.post("/v1/anchor", async (req, res) => {
+app.post("/v1/anchor", quota("anchor"), async (req, res) => {
   try {
-    const { hash } = req.body || {};
-    if (typeof hash !== "string" || !/^[a-f0-9]{64,}$/.test(hash)) {
-      return res.status(400).json({ ok: false, error: "invalid_hash" });
+    const h = parseHash(req.body?.hash, req.body?.algorithm);
+    if (!h.ok) return res.status(400).json(h);
+    const { hash, algorithm } = h;
+    // Re-anchoring a known hash returns the original receipt, not a new one
+    const existing = await getReceipt(hash);
+    if (existing && recordAlgorithm(existing) !== algorithm) {
+      return res.status(409).json(hashError("hash_algorithm_conflict", { algorithm, recorded: recordAlgorithm(existing) }));
+    }
+    if (existing) {
+      await recordCustody(req, hash, "anchor", { created: false });
+      return res.json(await finalizeReceipt(existing, signReceipt));
     }
-    const issuedAt = new Date().toISOString();
-    const txid = crypto.createHash("sha512").update(hash + issuedAt).digest("hex").slice(0, 64);
+    // A TSA outage must not block anchoring; the receipt then has no token
+    let timestamp = null;
+    if (TSA_URL) {
+      try {
+        timestamp = await requestTimestamp(hash, { algorithm });
+      } catch (e) {
+        log.warn({ endpoint: "/v1/anchor", err: e.message }, "timestamp request failed");
+      }
+    }
+    // chain/txid stay null until the hash's batch root has been published
+    const win = await enqueueLeaf(hash);
     const receipt = {
       ok: true,
-      chain: "eth",
-      txid,
+      chain: null,
+      txid: null,
       hash,
+      hashAlgorithm: algorithm,
       manifestHash: MODELPACK_HASH,
       constitutionHash: CONSTITUTION_HASH,
       product: PRODUCT_ID,
-      issuedAt
+      issuedAt: new Date().toISOString(),
+      anchor: { status: "pending", ...win },
+      timestamp
     };
-    receipt.signature = await signPayload(receipt);
-    putReceipt(hash, receipt);
-    res.json(receipt);
+    receipt.signature = await signReceipt(receipt);
+    // A concurrent request may have stored its receipt first; return the winner
+    const stored = await putReceipt(hash, receipt);
+    await recordCustody(req, hash, "anchor", { created: stored.created });
+    // Only newly anchored hashes count; re-anchoring returns the existing receipt
+    await meter(req, "anchor", stored.created ? 1 : 0);
+    res.json(stored.receipt);
   } catch (e) {
     log.error({ endpoint: "/v1/anchor", err: e.message });
     res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
+// Parse a hash naming an existing receipt. Without `algorithm`, receipts stored
+// before strict parsing (any hex of 64+ characters, e.g. SHA-384) are still
+// found under their raw hash; new lookups of such lengths stay rejected.
+async function parseReceiptHash(input, algorithm) {
+  const h = parseHash(input, algorithm);
+  if (h.ok || algorithm || h.error !== "hash_length_mismatch") return h;
+  const stored = await getReceipt(input);
+  return stored && !stored.hashAlgorithm ? parseRecordedHash(stored) : h;
+}
+
+// GET /v1/anchor/proof
+app.get("/v1/anchor/proof", async (req, res) => {
+  try {
+    const h = await parseReceiptHash(req.query.hash, req.query.algorithm);
+    if (!h.ok) return res.status(400).json(h);
+    const { hash } = h;
+    const stored = await getReceipt(hash);
+    if (!stored?.anchor) return res.status(404).json({ ok: false, error: "not_anchored" });
+    const receipt = await finalizeReceipt(stored, signReceipt);
+    const { anchor } = receipt;
+    if (anchor.status === "pending") {
+      return res.status(202).json({ ok: true, hash, status: "pending", batchId: anchor.batchId, closesAt: anchor.closesAt });
+    }
+    res.json({
+      ok: true,
+      hash,
+      status: anchor.status,
+      chain: receipt.chain,
+      txid: receipt.txid,
+      ...anchor,
+      signature: receipt.signature
+    });
+  } catch (e) {
+    log.error({ endpoint: "/v1/anchor/proof", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
 // GET /v1/receipt
 app.get("/v1/receipt", async (req, res) => {
   try {
-    const hash = (req.query.hash || "").toString();
-    if (typeof hash !== "string" || !/^[a-f0-9]{64,}$/.test(hash)) {
-      return res.status(400).json({ ok: false, error: "invalid_hash" });
+    const h = await parseReceiptHash(req.query.hash, req.query.algorithm);
+    if (!h.ok) return res.status(400).json(h);
+    const { hash, algorithm } = h;
+    let receipt = await getReceipt(hash);
+    const found = Boolean(receipt);
+    if (found && recordAlgorithm(receipt) !== algorithm) {
+      return res.status(409).json(hashError("hash_algorithm_conflict", { algorithm, recorded: recordAlgorithm(receipt) }));
     }
-    let receipt = getReceipt(hash);
-    if (!receipt) {
+    if (receipt) {
+      receipt = await finalizeReceipt(receipt, signReceipt);
+    } else {
       const issuedAt = new Date().toISOString();
       receipt = {
         ok: true,
         chain: null,
         txid: null,
         hash,
+        hashAlgorithm: algorithm,
         manifestHash: MODELPACK_HASH,
         constitutionHash: CONSTITUTION_HASH,
         product: PRODUCT_ID,
         issuedAt,
         note: "Receipt regenerated - no anchor found"
       };
-      receipt.signature = await signPayload(receipt);
+      receipt.signature = await signReceipt(receipt);
+    }
+    // ?format=tsr returns the RFC 3161 reply for offline tools (openssl ts -verify)
+    if (req.query.format === "tsr" && !receipt.timestamp?.token) {
+      return res.status(404).json({ ok: false, error: "no_timestamp_token" });
+    }
+    // Only receipts for anchored hashes have a custody trail to extend
+    if (found) await recordCustody(req, hash, "receipt", { format: req.query.format === "tsr" ? "tsr" : "json" });
+    if (req.query.format === "tsr") {
+      res.setHeader("Content-Type", "application/timestamp-reply");
+      res.setHeader("Content-Disposition", `attachment; filename="verum_${hash.slice(0, 8)}.tsr"`);
+      return res.send(timestampReply(receipt.timestamp.token));
     }
     res.json(receipt);
   } catch (e) {
@@ -295,54 +581,251 @@ app.get("/v1/receipt", async (req, res) => {
   }
 });
 
+// POST /v1/receipt/verify
+app.post("/v1/receipt/verify", async (req, res) => {
+  try {
+    const receipt = req.body?.receipt || req.body;
+    if (!receipt || typeof receipt !== "object" || Array.isArray(receipt)) {
+      return res.status(400).json({ ok: false, error: "receipt_required" });
+    }
+    const out = await verifyReceipt(receipt);
+    // Anyone can post a receipt; only ones we signed extend the custody chain
+    if (out.valid && parseRecordedHash(receipt).ok) {
+      await recordCustody(req, receipt.hash, "receipt_verify", { valid: true });
+    }
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    log.error({ endpoint: "/v1/receipt/verify", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
 // POST /v1/seal
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
-app.post("/v1/seal", upload.single("file"), async (req, res) => {
+// Uploads are hashed while streaming and never stored (see upload-hash.js).
+// mode=stamp (query string, or a form field sent before the file) also keeps
+// the bytes in memory so the seal can be stamped onto the document itself.
+const isStampMode = (req) => (req.query.mode || req.body?.mode) === "stamp";
+const upload = multer({ storage: hashingStorage({ keep: isStampMode }), limits: { fileSize: 20 * 1024 * 1024 } });
+
+function pdfToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+}
+
+app.post("/v1/seal", quota("seal"), upload.single("file"), async (req, res) => {
   try {
+    const stamp = isStampMode(req);
+    if (stamp && !req.file?.buffer) {
+      return res.status(400).json({ ok: false, error: "stamp_requires_pdf_upload" });
+    }
     const ct = req.headers["content-type"] || "";
-    let hash = "", title = "", notes = "";
+    let hash = "", algorithm = "", title = "", notes = "", jurisdictionCode = "", template = "", locale = "";
     if (ct.includes("application/json")) {
-      ({ hash, title, notes } = req.body || {});
+      ({ hash, algorithm, title, notes, jurisdiction: jurisdictionCode, template, locale } = req.body || {});
     } else {
       hash = req.body.hash;
+      algorithm = req.body.algorithm;
       title = req.body.title;
       notes = req.body.notes;
+      jurisdictionCode = req.body.jurisdiction;
+      template = req.body.template;
+      locale = req.body.locale;
+    }
+    algorithm = algorithm || req.query.algorithm;
+    jurisdictionCode = jurisdictionCode || req.query.jurisdiction;
+    // Explicit choice, then the tenant's branding defaults, then ours
+    const branding = req.tenant?.branding || {};
+    template = template || req.query.template || branding.template || DEFAULT_SEAL_TEMPLATE;
+    locale = String(locale || req.query.locale || branding.locale || DEFAULT_SEAL_LOCALE).toLowerCase();
+    if (!Object.hasOwn(SEAL_TEMPLATES, template)) {
+      return res.status(400).json({ ok: false, error: "unknown_template", templates: Object.keys(SEAL_TEMPLATES) });
+    }
+    if (!getSealLocale(locale)) {
+      return res.status(400).json({ ok: false, error: "unknown_locale", locales: Object.keys(SEAL_LOCALES) });
+    }
+    const jurisdiction = jurisdictionCode ? getJurisdiction(jurisdictionCode) : null;
+    if (jurisdictionCode && !jurisdiction) {
+      return res.status(400).json({ ok: false, error: "unknown_jurisdiction" });
+    }
+    let file = null;
+    if (req.file) {
+      file = { size: req.file.size, mimeType: req.file.mimetype || null, detectedType: req.file.detectedType };
+      // An upload without a claimed hash is sealed under the server-computed one
+      if (!hash) {
+        algorithm = algorithm || DEFAULT_HASH_ALGORITHM;
+        if (!HASH_ALGORITHMS[algorithm]) return res.status(400).json(hashError("unsupported_algorithm", { algorithm }));
+        hash = req.file.digests[algorithm];
+      }
     }
-    if (typeof hash !== "string" || !/^[a-f0-9]{64,}$/.test(hash)) {
-      return res.status(400).json({ ok: false, error: "invalid_hash" });
+    const h = parseHash(hash, algorithm);
+    if (!h.ok) return res.status(400).json(h);
+    hash = h.hash;
+    if (req.file && hash !== req.file.digests[h.algorithm]) {
+      return res.status(422).json({ ok: false, error: "hash_mismatch", algorithm: h.algorithm, claimed: hash, computed: req.file.digests[h.algorithm] });
     }
     title = (title || "").toString().slice(0, 120);
     notes = (notes || "").toString().slice(0, 2000);
-    const receipt = getReceipt(hash) || null;
-    const pdf = await makeSealedPdf({
+    const receipt = (await getReceipt(hash)) || null;
+    // Custody up to this seal; the seal itself is appended once the output exists
+    const custody = summarizeCustody(await getCustodyChain(hash));
+    // Embedded in the PDF so it can be verified without the API
+    const manifest = {
+      type: "verum.seal",
+      mode: stamp ? "stamp" : "certificate",
       hash,
+      hashAlgorithm: h.algorithm,
       title: title || "Verum Omnis Seal",
+      notesSha512: notes ? sha512Hex(notes) : null,
+      product: PRODUCT_ID,
+      constitutionHash: CONSTITUTION_HASH,
+      modelPackHash: MODELPACK_HASH,
+      jurisdiction: jurisdictionRef(jurisdiction),
+      file,
+      receipt,
+      custody: custody ? { length: custody.length, headSha512: custody.headSha512 } : null,
+      template,
+      locale,
+      sealedAt: new Date().toISOString()
+    };
+    const manifestJws = await signReceipt(manifest, { detached: false });
+    const manifestSha512 = sha512Hex(manifestBytes(manifest));
+
+    if (stamp) {
+      const certificatePdf = await pdfToBuffer(await makeSealedPdf({
+        hash,
+        hashAlgorithm: h.algorithm,
+        title: manifest.title,
+        notes,
+        logoPath: branding.logoPath || LOGO_PATH,
+        productId: PRODUCT_ID,
+        receipt,
+        file,
+        jurisdiction,
+        custody,
+        template,
+        locale,
+        branding
+      }));
+      let out;
+      try {
+        out = await stampPdf({ original: req.file.buffer, certificatePdf, hash, productId: PRODUCT_ID, manifest, manifestJws });
+      } catch (e) {
+        if (e.status === 422) return res.status(422).json({ ok: false, error: e.message });
+        throw e;
+      }
+      const outputHash = sha512Hex(out);
+      try {
+        await registerSeal(manifestSha512, { hash, pdfSha512: outputHash, sealedAt: manifest.sealedAt, mode: "stamp" });
+      } catch (e) {
+        log.error({ endpoint: "/v1/seal", err: e.message }, "seal registry write failed");
+      }
+      await recordCustody(req, hash, "seal", { mode: "stamp", manifestSha512, pdfSha512: outputHash });
+      await meter(req, "seal");
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="verum_sealed_${hash.slice(0, 8)}.pdf"`);
+      res.setHeader("X-VO-Hash", hash);
+      res.setHeader("X-VO-Output-Hash", outputHash);
+      return res.send(out);
+    }
+
+    const pdf = await makeSealedPdf({
+      hash,
+      hashAlgorithm: h.algorithm,
+      title: manifest.title,
       notes,
-      logoPath: LOGO_PATH,
+      logoPath: branding.logoPath || LOGO_PATH,
       productId: PRODUCT_ID,
-      receipt
-    });
-    const tmpPath = `/tmp/verum_${hash.slice(0, 8)}.pdf`;
-    const stream = fs.createWriteStream(tmpPath);
-    pdf.pipe(stream);
-    stream.on("finish", () => {
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader("Content-Disposition", `inline; filename="verum_${hash.slice(0,8)}.pdf"`);
-      res.sendFile(tmpPath, () => { try { fs.unlinkSync(tmpPath); } catch {} });
+      receipt,
+      file,
+      jurisdiction,
+      custody,
+      template,
+      locale,
+      branding,
+      manifest,
+      manifestJws
     });
+    // Buffered in memory like stamp mode: concurrent seals of hashes sharing
+    // a prefix must never share a file
+    const out = await pdfToBuffer(pdf);
+    // Record the exact output so /v1/seal/verify can detect later edits
+    const outputHash = sha512Hex(out);
+    try {
+      await registerSeal(manifestSha512, { hash, pdfSha512: outputHash, sealedAt: manifest.sealedAt, mode: "certificate" });
+    } catch (e) {
+      log.error({ endpoint: "/v1/seal", err: e.message }, "seal registry write failed");
+    }
+    await recordCustody(req, hash, "seal", { mode: "certificate", manifestSha512, pdfSha512: outputHash });
+    await meter(req, "seal");
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="verum_${hash.slice(0,8)}.pdf"`);
+    res.setHeader("X-VO-Hash", hash);
+    res.setHeader("X-VO-Output-Hash", outputHash);
+    if (file) res.setHeader("X-VO-File-Size", String(file.size));
+    res.send(out);
   } catch (e) {
     log.error({ endpoint: "/v1/seal", err: e.message });
     if (!res.headersSent) res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
+// POST /v1/seal/verify
+// The PDF is held in memory only for the duration of the check
+const verifyUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+app.post("/v1/seal/verify", verifyUpload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ ok: false, error: "file_required" });
+    const out = await verifySealedPdf(req.file.buffer);
+    if (out.hash) await recordCustody(req, out.hash, "seal_verify", { valid: out.valid, pdfSha512: sha512Hex(req.file.buffer) });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    log.error({ endpoint: "/v1/seal/verify", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// GET /v1/custody/:hash
+// The full custody chain of an evidence hash, with a fresh integrity check,
+// signed as a detached JWS like anchor receipts.
+app.get("/v1/custody/:hash", async (req, res) => {
+  try {
+    // Same lookup as /v1/receipt, so chains of legacy-length hashes are found
+    const h = await parseReceiptHash(req.params.hash, req.query.algorithm);
+    if (!h.ok) return res.status(400).json(h);
+    const { hash } = h;
+    const entries = await getCustodyChain(hash);
+    if (!entries.length) return res.status(404).json({ ok: false, error: "no_custody_entries" });
+    const body = {
+      type: "vo-custody-chain",
+      product: PRODUCT_ID,
+      hash,
+      length: entries.length,
+      headSha512: entries[entries.length - 1].entrySha512,
+      ...verifyCustodyChain(entries),
+      entries,
+      issuedAt: new Date().toISOString()
+    };
+    res.json({ ok: true, ...body, signature: await signReceipt(body) });
+  } catch (e) {
+    log.error({ endpoint: "/v1/custody/:hash", err: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
 // POST /v1/chat
-app.post("/v1/chat", async (req, res) => {
+app.post("/v1/chat", quota("chat_tokens"), async (req, res) => {
+  let sse = null;
   try {
-    const { messages = [], provider = "openai", model, temperature = 0.2 } = req.body || {};
+    const { messages = [], provider = "openai", model, temperature = 0.2, stream = false, rehydrate: wantRehydrate = false, tools: wantTools, jurisdiction: jurisdictionCode } = req.body || {};
     if (!Array.isArray(messages) || messages.length === 0) {
       return res.status(400).json({ ok: false, error: "messages array required" });
     }
+    const jurisdiction = jurisdictionCode ? getJurisdiction(jurisdictionCode) : null;
+    if (jurisdictionCode && !jurisdiction) return res.status(400).json({ ok: false, error: "unknown_jurisdiction" });
     const systemPrompt = {
       role: "system",
       content:
@@ -353,81 +836,171 @@ app.post("/v1/chat", async (req, res) => {
         "4. For file analysis: web service does client-side hashing only\n" +
         "5. Heavy forensics require the 3GB on-device app or local WASM tools\n" +
         "6. All evidence handling follows chain-of-custody best practices\n" +
-        "7. Be concise but thorough - favor clarity over verbosity"
+        "7. Be concise but thorough - favor clarity over verbosity\n" +
+        "8. Placeholders such as [EMAIL_1] stand for redacted personal data - repeat them verbatim, never guess the value\n" +
+        "9. When tools are available, use them to look up receipts, manifests, rules and hash formats instead of guessing" +
+        (jurisdiction ? `\n\n${jurisdictionPrompt(jurisdiction)}` : "")
     };
-    const finalMsgs = [systemPrompt, ...messages.filter(m => m.role !== "system")];
-    if (finalMsgs.length > 30) return res.status(400).json({ ok: false, error: "too_many_messages" });
-    for (const m of finalMsgs) {
+    const clientMsgs = messages.filter(m => m.role !== "system");
+    if (clientMsgs.length + 1 > 30) return res.status(400).json({ ok: false, error: "too_many_messages" });
+    for (const m of clientMsgs) {
       if (typeof m.content !== "string" || m.content.length > 6000) {
         return res.status(400).json({ ok: false, error: "message_too_long" });
       }
     }
+    // Vendors only ever see placeholders; the vault stays in this request
+    const red = PII_REDACTION ? redactMessages(clientMsgs) : { messages: clientMsgs, vault: {}, summary: { redacted: 0, byType: {} } };
+    const finalMsgs = [systemPrompt, ...red.messages];
+    const adapter = getProvider(provider);
+    if (provider !== "verum" && !adapter) {
+      return res.status(400).json({ ok: false, error: "unknown_provider", supportedProviders: [...listProviders(), "verum"] });
+    }
+    if (adapter && !isConfigured(adapter)) return res.status(400).json({ ok: false, error: "provider_not_configured", provider });
+
+    // A client that hangs up cancels every upstream request it started
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+
+    // With stream: true the outcome below goes out as the final SSE event
+    // ("done" or "error") after "delta"/"tool"/"model" progress events.
+    if (stream) sse = openSse(res);
+    const reply = async (status, body) => {
+      await meter(req, "chat_tokens", body.usage?.totalTokens || 0);
+      if (!sse) return res.status(status).json(body);
+      sse.send(body.ok ? "done" : "error", body);
+      sse.end();
+    };
+    const hooks = {
+      // Tool rounds cannot be streamed, so streaming requests skip tools
+      // unless the client asks for both
+      tools: CHAT_TOOLS && (wantTools ?? !stream) !== false,
+      signal: ac.signal,
+      ...(sse ? {
+        onDelta: (m, delta) => sse.send("delta", { provider: m.provider, model: m.model, delta }),
+        onTool: (m, run) => sse.send("tool", { provider: m.provider, model: m.model, ...run }),
+        onResult: (m, r) => sse.send("model", { provider: m.provider, model: m.model, ...r })
+      } : {})
+    };
+
+    const present = (text) => (wantRehydrate ? rehydrate(text, red.vault) : text);
+    const redaction = { ...red.summary, rehydrated: Boolean(wantRehydrate) && red.summary.redacted > 0 };
+
+    // Signed, hash-only record of what was asked and answered. The input hash
+    // covers the messages as the client sent them, before redaction. The
+    // tokens are spent by now, so a signing failure (e.g. no VOSIGNINGKEY)
+    // still returns the answer, with audit: null.
+    const audit = async ({ answers, winner, consensus, sims, method, threshold, toolCalls }) => {
+      try {
+        return await signChatAudit({
+          provider, messages: clientMsgs, systemPrompt: systemPrompt.content, answers,
+          winner: { ...winner, message: present(winner.message) }, consensus, sims, method, threshold, toolCalls,
+          jurisdiction: jurisdictionRef(jurisdiction)
+        });
+      } catch (e) {
+        log.error({ endpoint: "/v1/chat", err: e.message }, "chat audit not signed");
+        return null;
+      }
+    };
+
+    // Every branch answers with the same contract: message, model, usage,
+    // finishReason and audit; consensus modes add their agreement details.
     if (provider === "openai") {
-      if (!OPENAIAPIKEY) return res.status(400).json({ ok: false, error: "OPENAIAPIKEY not configured" });
-      const out = await openaiTriple(finalMsgs, temperature, model);
+      const out = await openaiTriple(finalMsgs, temperature, model, hooks);
       if (out.successes.length === 0) {
-        return res.status(502).json({ ok: false, error: "all_models_failed", details: out.errors.slice(0, 2) });
+        return reply(502, { ok: false, error: "all_models_failed", details: out.errors.slice(0, 2) });
       }
-      return res.json({
+      const winner = out.winner || out.successes[0];
+      return reply(200, {
         ok: true,
         provider,
+        message: present(winner.message),
+        model: winner.model,
+        winnerModel: winner.model, // deprecated alias of model
+        usage: out.usage,
+        finishReason: winner.finishReason,
         consensus: out.consensus,
-        winnerModel: out.winner?.model || out.successes[0]?.model,
-        message: out.winner?.content || out.successes[0]?.content,
+        consensusMethod: out.method,
+        threshold: out.threshold,
+        claims: out.claims,
         tried: out.successes.map(s => s.model),
-        errors: out.errors
+        errors: out.errors,
+        toolCalls: out.toolCalls,
+        redaction,
+        audit: await audit({ ...out, answers: out.successes, winner })
       });
     }
-    if (provider === "anthropic") {
-      if (!ANTHROPICAPIKEY) return res.status(400).json({ ok: false, error: "ANTHROPICAPIKEY not configured" });
-      const mdl = model || "claude-3-5-haiku-20241022";
-      const userMsgs = finalMsgs.filter(m => m.role !== "system").map(m => ({
-        role: m.role === "assistant" ? "assistant" : "user",
-        content: m.content
-      }));
-      const resp = await undiciFetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "x-api-key": ANTHROPICAPIKEY,
-          "anthropic-version": "2023-06-01",
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          model: mdl,
-          max_tokens: 2048,
-          temperature,
-          system: systemPrompt.content,
-          messages: userMsgs
-        })
-      });
-      if (!resp.ok) {
-        const errText = await resp.text();
-        throw new Error(`Anthropic API error: ${resp.status} - ${errText}`);
+    if (provider === "verum") {
+      // Cross-provider 2-of-3: agreement between vendors, not model variants
+      const out = await verumPanel(finalMsgs, temperature, undefined, hooks);
+      if (out.successes.length === 0) {
+        return reply(502, { ok: false, error: "all_models_failed", panel: out.panel });
       }
-      const result = await resp.json();
-      return res.json({ ok: true, provider, model: mdl, result });
-    }
-    if (provider === "deepseek") {
-      if (!DEEPSEEKAPIKEY) return res.status(400).json({ ok: false, error: "DEEPSEEKAPIKEY not configured" });
-      const mdl = model || "deepseek-chat";
-      const resp = await undiciFetch("https://api.deepseek.com/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${DEEPSEEKAPIKEY}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ model: mdl, messages: finalMsgs, temperature, max_tokens: 2048 })
+      const winner = out.winner || out.successes[0];
+      return reply(200, {
+        ok: true,
+        provider,
+        message: present(winner.message),
+        model: winner.model,
+        winnerModel: winner.model, // deprecated alias of model
+        usage: out.usage,
+        finishReason: winner.finishReason,
+        consensus: out.consensus,
+        consensusMethod: out.method,
+        threshold: out.threshold,
+        claims: out.claims,
+        winnerProvider: winner.provider,
+        panel: out.panel,
+        sims: out.sims,
+        toolCalls: out.toolCalls,
+        redaction,
+        audit: await audit({ ...out, answers: out.successes, winner })
       });
-      if (!resp.ok) {
-        const errText = await resp.text();
-        throw new Error(`DeepSeek API error: ${resp.status} - ${errText}`);
-      }
-      const result = await resp.json();
-      return res.json({ ok: true, provider, model: mdl, result });
     }
-    return res.status(400).json({ ok: false, error: "unknown_provider", supportedProviders: ["openai", "anthropic", "deepseek"] });
+    try {
+      const out = await callWithTools(provider, model, finalMsgs, temperature, {
+        tools: hooks.tools,
+        signal: ac.signal,
+        ...(sse ? {
+          onDelta: (delta) => sse.send("delta", { delta }),
+          onTool: (run) => sse.send("tool", run)
+        } : {})
+      });
+      return reply(200, {
+        ok: true,
+        provider,
+        message: present(out.message),
+        model: out.model,
+        usage: out.usage,
+        finishReason: out.finishReason,
+        toolCalls: out.toolCalls,
+        redaction,
+        audit: await audit({ answers: [out], winner: out, toolCalls: out.toolCalls })
+      });
+    } catch (e) {
+      if (e.name !== "ProviderError") throw e;
+      log.warn({ endpoint: "/v1/chat", provider, model: e.model, kind: e.kind, err: e.message }, "provider call failed");
+      return reply(502, { ok: false, error: "provider_error", provider, kind: e.kind });
+    }
   } catch (e) {
     log.error({ endpoint: "/v1/chat", err: e.message });
+    if (sse) {
+      sse.send("error", { ok: false, error: String(e.message || e) });
+      return sse.end();
+    }
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// POST /v1/chat/audit/verify
+app.post("/v1/chat/audit/verify", async (req, res) => {
+  try {
+    const { jwt, messages, message } = req.body || {};
+    if (typeof jwt !== "string" || !jwt) return res.status(400).json({ ok: false, error: "jwt_required" });
+    if (messages !== undefined && !Array.isArray(messages)) return res.status(400).json({ ok: false, error: "messages_must_be_array" });
+    const out = await verifyChatAudit(jwt, { messages, message });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    log.error({ endpoint: "/v1/chat/audit/verify", err: e.message });
     res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
@@ -438,7 +1011,8 @@ app.get("/health", (req, res) => {
     ok: true,
     time: new Date().toISOString(),
     product: PRODUCT_ID,
-    endpoints: ["/v1/verify", "/v1/verify-rules", "/v1/anchor", "/v1/receipt", "/v1/seal", "/v1/chat", "/docs/openapi.yaml"]
+    breakers: breakerSnapshot(),
+    endpoints: ["/v1/verify", "/v1/verify-rules", "/v1/verify-rules/history", "/v1/rules/evaluate", "/v1/jurisdictions", "/v1/anchor", "/v1/anchor/proof", "/v1/receipt", "/v1/receipt/verify", "/v1/seal", "/v1/seal/verify", "/v1/custody/:hash", "/v1/chat", "/v1/chat/audit/verify", JWKS_PATH, "/docs/openapi.yaml", "/docs/rule.schema.json"]
   });
 });
 
@@ -448,13 +1022,18 @@ app.get("/docs/openapi.yaml", (req, res) => {
   res.send(fs.readFileSync(path.join(__dirname, "openapi.yaml"), "utf8"));
 });
 
+// Serve the JSON Schema rule files are validated against
+app.get("/docs/rule.schema.json", (req, res) => {
+  res.sendFile(path.join(__dirname, "rules", "rule.schema.json"));
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
     ok: false,
     error: "not_found",
     path: req.path,
-    availableEndpoints: ["/health", "/v1/verify", "/v1/verify-rules", "/v1/anchor", "/v1/receipt", "/v1/seal", "/v1/chat", "/docs/openapi.yaml"]
+    availableEndpoints: ["/health", "/v1/verify", "/v1/verify-rules", "/v1/verify-rules/history", "/v1/rules/evaluate", "/v1/jurisdictions", "/v1/anchor", "/v1/anchor/proof", "/v1/receipt", "/v1/receipt/verify", "/v1/seal", "/v1/seal/verify", "/v1/custody/:hash", "/v1/chat", "/v1/chat/audit/verify", JWKS_PATH, "/docs/openapi.yaml", "/docs/rule.schema.json"]
   });
 });
 
@@ -471,4 +1050,24 @@ export const api2 = onRequest({
   memory: "512MiB",
   minInstances: 1,
   maxInstances: 20
-}, app);
\ No newline at end of file
+}, app);
+
+// Seal closed anchor batches even when nobody asks for their receipts
+export const anchorBatches = onSchedule({
+  schedule: "every 5 minutes",
+  region: REGION
+}, async () => {
+  const sealed = await sealDueBatches(signReceipt);
+  log.info({ sealed: sealed.map(b => b.batchId) }, "anchor batches sealed");
+});
+
+// Expired receipts are already hidden from lookups; this reclaims the storage.
+// Nothing expires while RECEIPT_TTL_DAYS is 0.
+export const purgeReceipts = onSchedule({
+  schedule: "every 24 hours",
+  region: REGION
+}, async () => {
+  if (!RECEIPT_TTL_DAYS) return;
+  const removed = await purgeExpiredReceipts();
+  log.info({ removed }, "expired receipts purged");
+});
\ No newline at end of file
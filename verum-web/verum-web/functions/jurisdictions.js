@@ -0,0 +1,109 @@
+// Jurisdiction profiles from assets/jurisdictions, the web counterpart of the
+// Android app's JurisdictionManager. One JSON file per jurisdiction:
+//
+//   {
+//     "code": "UAE",
+//     "name": "United Arab Emirates",
+//     "legalReferences": ["Federal Law 32/2021", "Penal Code Article 257 (Forgery)"],
+//     "escalationThreshold": 7.5,          // risk score (0-10) that warrants escalation
+//     "authorities": ["RAKEZ", "Dubai Courts"]
+//   }
+//
+// The directory is hashed into JURISDICTIONS_HASH (config.js), which the signed
+// /v1/verify manifest publishes; each profile also carries its file's SHA-512
+// so seals and chat audits can reference the exact version applied.
+import fs from "fs";
+import path from "path";
+import { JURISDICTIONS_DIR, JURISDICTIONS_HASH, sha512Hex } from "./config.js";
+
+const CODE_RE = /^[A-Z]{2,8}(?:-[A-Z0-9]{1,8})?$/;
+const PROFILE_KEYS = new Set(["code", "name", "legalReferences", "escalationThreshold", "authorities", "description"]);
+const isStringArray = (v) => Array.isArray(v) && v.every(x => typeof x === "string" && x.trim());
+
+function validateProfile(p, file) {
+  const errors = [];
+  if (!p || typeof p !== "object" || Array.isArray(p)) return [`${file}: profile must be an object`];
+  for (const k of Object.keys(p)) if (!PROFILE_KEYS.has(k)) errors.push(`${file}: unknown key "${k}"`);
+  if (typeof p.code !== "string" || !CODE_RE.test(p.code)) errors.push(`${file}.code: required, ${CODE_RE}`);
+  if (typeof p.name !== "string" || !p.name.trim()) errors.push(`${file}.name: required string`);
+  if (!isStringArray(p.legalReferences)) errors.push(`${file}.legalReferences: required array of strings`);
+  if (p.authorities !== undefined && !isStringArray(p.authorities)) errors.push(`${file}.authorities: must be an array of strings`);
+  if (p.escalationThreshold !== undefined && !(typeof p.escalationThreshold === "number" && p.escalationThreshold >= 0 && p.escalationThreshold <= 10)) {
+    errors.push(`${file}.escalationThreshold: number between 0 and 10`);
+  }
+  if (p.description !== undefined && typeof p.description !== "string") errors.push(`${file}.description: must be a string`);
+  return errors;
+}
+
+/**
+ * Parse and validate every *.json file of the jurisdictions directory.
+ *
+ * @param {string} [dir] - Defaults to JURISDICTIONS_DIR.
+ * @returns {{profiles: Map<string, Object>, errors: string[]}} profiles by
+ *   code, each with its source `file` and `sha512`.
+ */
+export function loadJurisdictions(dir = JURISDICTIONS_DIR) {
+  const profiles = new Map();
+  const errors = [];
+  const names = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort() : [];
+  for (const file of names) {
+    const buf = fs.readFileSync(path.join(dir, file));
+    let doc;
+    try {
+      doc = JSON.parse(buf.toString("utf8"));
+    } catch (e) {
+      errors.push(`${file}: invalid JSON (${e.message})`);
+      continue;
+    }
+    const problems = validateProfile(doc, file);
+    if (!problems.length && profiles.has(doc.code)) problems.push(`${file}: duplicate code "${doc.code}" (also in ${profiles.get(doc.code).file})`);
+    errors.push(...problems);
+    if (problems.length) continue;
+    profiles.set(doc.code, {
+      code: doc.code,
+      name: doc.name,
+      ...(doc.description ? { description: doc.description } : {}),
+      legalReferences: doc.legalReferences,
+      escalationThreshold: doc.escalationThreshold ?? null,
+      authorities: doc.authorities || [],
+      file,
+      sha512: sha512Hex(buf)
+    });
+  }
+  return { profiles, errors };
+}
+
+// Re-parsed whenever reloadAssets() moves JURISDICTIONS_HASH
+let active = null;
+
+/** Loaded profiles and validation errors, tagged with `jurisdictionsHash`. */
+export function getJurisdictions() {
+  if (active?.jurisdictionsHash !== JURISDICTIONS_HASH) {
+    active = { ...loadJurisdictions(), jurisdictionsHash: JURISDICTIONS_HASH };
+  }
+  return active;
+}
+
+/** A profile by code (case-insensitive), or null. */
+export function getJurisdiction(code) {
+  if (typeof code !== "string") return null;
+  return getJurisdictions().profiles.get(code.trim().toUpperCase()) || null;
+}
+
+/** Short reference to a profile for signed manifests and audit records. */
+export function jurisdictionRef(profile) {
+  return profile ? { code: profile.code, name: profile.name, sha512: profile.sha512 } : null;
+}
+
+/** System prompt section that grounds chat answers in a jurisdiction. */
+export function jurisdictionPrompt(profile) {
+  const lines = [
+    `Jurisdiction: ${profile.name} (${profile.code}). Cite these legal references where relevant, and do not invent others:`,
+    ...profile.legalReferences.map(r => `- ${r}`)
+  ];
+  if (profile.authorities.length) lines.push(`Competent authorities: ${profile.authorities.join(", ")}`);
+  if (profile.escalationThreshold !== null) {
+    lines.push(`Recommend escalation to these authorities when the assessed risk score reaches ${profile.escalationThreshold} out of 10.`);
+  }
+  return lines.join("\n");
+}
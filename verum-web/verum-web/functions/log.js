@@ -0,0 +1,15 @@
+// Shared pino logger. Log lines can carry user text or upstream error bodies;
+// mask PII in both the merge object and string arguments before anything is
+// written.
+import pino from "pino";
+import { scrubPii, scrubLogObject } from "./chat/redact.js";
+
+export const log = pino({
+  level: "info",
+  formatters: { log: scrubLogObject },
+  hooks: {
+    logMethod(args, method) {
+      method.apply(this, args.map(a => (typeof a === "string" ? scrubPii(a) : a)));
+    }
+  }
+});
@@ -0,0 +1,135 @@
+// Signed manifests published by /v1/verify and /v1/verify-rules. Built here so
+// routes and chat tools hand out byte-identical documents.
+//
+// Every rules pack the service has served is kept in the "rules_manifests"
+// store, keyed by its rulesPackHash and signed without expiry, and each switch
+// of the active pack is logged in "rules_activations". Together they let a
+// client prove which rules applied at a given date, long after a redeploy or
+// reload replaced them.
+import {
+  CONSTITUTION_HASH,
+  MODELPACK_HASH,
+  JURISDICTIONS_HASH,
+  POLICY_TEXT,
+  PRODUCT_ID,
+  RULES_ITEMS,
+  RULES_PACK_HASH,
+  STORE_BACKEND
+} from "./config.js";
+import { signPayload, keyInfo } from "./signing.js";
+import { openStore, makeRecord } from "./stores/index.js";
+
+export async function verifyManifest() {
+  const body = {
+    constitutionHash: CONSTITUTION_HASH,
+    modelPackHash: MODELPACK_HASH ? `core32:${MODELPACK_HASH}` : "missing",
+    jurisdictionsHash: JURISDICTIONS_HASH,
+    policy: POLICY_TEXT,
+    product: PRODUCT_ID,
+    signingKeys: await keyInfo(),
+    timestamp: new Date().toISOString()
+  };
+  return { ...body, signature: await signPayload(body) };
+}
+
+export async function rulesManifest() {
+  const body = {
+    product: PRODUCT_ID,
+    rules: RULES_ITEMS,
+    rulesPackHash: RULES_PACK_HASH,
+    issuedAt: new Date().toISOString()
+  };
+  return { ...body, signature: await signPayload(body) };
+}
+
+// ----- Rules pack history -----
+const versions = () => openStore("rules_manifests");
+const activations = () => openStore("rules_activations");
+
+// The memory backend forgets every version on a cold start, so its history
+// proves nothing about what applied before this instance
+export const RULES_HISTORY_PERSISTENT = STORE_BACKEND !== "memory";
+
+/**
+ * Record the active rules pack: its signed manifest on first sight, and an
+ * activation entry whenever it differs from the last activated pack.
+ *
+ * @returns {Promise<{manifest: Object, activated: boolean}>}
+ */
+export async function recordRulesVersion() {
+  const now = Date.now();
+  const iso = new Date(now).toISOString();
+  const body = {
+    product: PRODUCT_ID,
+    rules: RULES_ITEMS,
+    rulesPackHash: RULES_PACK_HASH,
+    firstSeenAt: iso
+  };
+  let record = await versions().get(RULES_PACK_HASH);
+  if (!record) {
+    const signature = await signPayload(body, { ttlSec: null });
+    ({ record } = await versions().create(makeRecord(RULES_PACK_HASH, { ...body, signature }, { now })));
+  }
+  const last = (await activations().list()).at(-1);
+  const activated = last?.value.rulesPackHash !== RULES_PACK_HASH;
+  if (activated) {
+    await activations().create(makeRecord(`${iso}:${RULES_PACK_HASH.slice(0, 16)}`, {
+      rulesPackHash: RULES_PACK_HASH,
+      previous: last?.value.rulesPackHash || null,
+      activatedAt: iso
+    }, { now }));
+  }
+  return { manifest: record.value, activated };
+}
+
+let recording = null;
+
+/** recordRulesVersion() once per instance; a failed attempt is retried by the next call. */
+export function ensureRulesVersion() {
+  recording ||= recordRulesVersion().catch((e) => {
+    recording = null;
+    throw e;
+  });
+  return recording;
+}
+
+/** The stored signed manifest of a rules pack version, or null. */
+export async function rulesVersion(rulesPackHash) {
+  const record = await versions().get(rulesPackHash);
+  return record ? record.value : null;
+}
+
+/** The rules pack hash that was active at an ISO date, or null before the first activation. */
+export async function rulesVersionAt(at) {
+  const upTo = await activations().list({ to: new Date(Date.parse(at) + 1).toISOString() });
+  return upTo.at(-1)?.value.rulesPackHash || null;
+}
+
+/** Every activation of a rules pack, oldest first. */
+export async function rulesHistory() {
+  return (await activations().list()).map(r => r.value);
+}
+
+/**
+ * Signed comparison of two stored rules pack versions, by file name.
+ *
+ * @returns {Promise<Object|null>} null when either version is unknown.
+ */
+export async function rulesDiff(fromHash, toHash) {
+  const [from, to] = await Promise.all([rulesVersion(fromHash), rulesVersion(toHash)]);
+  if (!from || !to) return null;
+  const before = new Map(from.rules.map(r => [r.name, r]));
+  const after = new Map(to.rules.map(r => [r.name, r]));
+  const body = {
+    product: PRODUCT_ID,
+    from: fromHash,
+    to: toHash,
+    added: to.rules.filter(r => !before.has(r.name)),
+    removed: from.rules.filter(r => !after.has(r.name)),
+    changed: to.rules
+      .filter(r => before.has(r.name) && before.get(r.name).sha512 !== r.sha512)
+      .map(r => ({ name: r.name, from: before.get(r.name), to: r })),
+    issuedAt: new Date().toISOString()
+  };
+  return { ...body, signature: await signPayload(body) };
+}
@@ -0,0 +1,151 @@
+// Minimal bidirectional text ordering for seal PDFs. pdfkit draws a string in
+// one direction (fontkit shapes Arabic/Hebrew runs and reverses their glyphs),
+// so mixed lines - Arabic notes with case numbers, English templates with an
+// Arabic title - are split into directional runs here and drawn in visual
+// order.
+//
+// This is a reduced form of the Unicode Bidirectional Algorithm (UAX #9):
+// strong R/L letters, numbers (which stay left-to-right and follow the
+// preceding strong letter, rule W7), separators and terminators that belong to
+// a number ("1,5", "12.5%", "$40", "-3"; rules W4-W6), neutrals resolved from
+// their neighbours (N1/N2), and run reordering by embedding level (L2).
+// Explicit embeddings and isolates are not supported, and a leading sign joins
+// its number even though UAX #9 leaves it neutral.
+
+const RTL_RANGES = [
+  [0x0590, 0x05ff], // Hebrew
+  [0x0600, 0x065f], [0x066d, 0x06ef], [0x06fa, 0x08ff], // Arabic (less its number punctuation), Syriac, Thaana, NKo, Arabic Extended
+  [0xfb1d, 0xfdff], [0xfe70, 0xfefc], // Hebrew and Arabic presentation forms
+  [0x10800, 0x10fff], [0x1e800, 0x1efff], // historic RTL scripts, Arabic mathematical symbols
+  [0x200f, 0x200f] // RLM
+];
+const NUMBER_RE = /[0-9٠-٩۰-۹]/;
+const NUMBER_SEPARATOR_RE = /[.,:/٫٬+\-]/;
+// European terminators (UAX #9 class ET): percent, per mille, currency, degree
+const NUMBER_TERMINATOR_RE = /[#$%°±¢£¤¥‰‱′″‴٪\u20a0-\u20cf\u2212]/;
+const NUMBER_SIGN_RE = /[+\-\u2212]/;
+const LTR_RE = /[\p{L}\p{M}\p{N}‎]/u;
+const MIRRORED = { "(": ")", ")": "(", "[": "]", "]": "[", "{": "}", "}": "{", "<": ">", ">": "<", "«": "»", "»": "«" };
+
+const isRtlChar = (cp) => RTL_RANGES.some(([a, b]) => cp >= a && cp <= b);
+
+function charType(ch) {
+  if (NUMBER_RE.test(ch)) return "N";
+  if (isRtlChar(ch.codePointAt(0))) return "R";
+  return LTR_RE.test(ch) ? "L" : "ON";
+}
+
+/** True when the text contains right-to-left letters. */
+export function hasRtl(text) {
+  return [...text].some(ch => charType(ch) === "R");
+}
+
+/** Paragraph direction from the first strong letter (UAX #9 P2), or `fallback`. */
+export function detectDirection(text, fallback = "ltr") {
+  for (const ch of text) {
+    const t = charType(ch);
+    if (t === "R") return "rtl";
+    if (t === "L") return "ltr";
+  }
+  return fallback;
+}
+
+/**
+ * Split one line into runs in visual (left-to-right drawing) order.
+ *
+ * @param {string} line - A single line, no line breaks.
+ * @param {"ltr"|"rtl"} [direction] - Paragraph direction.
+ * @returns {{text: string, rtl: boolean}[]} each run's text is in logical
+ *   order; right-to-left runs are reversed by the shaper when drawn (see
+ *   rtlRunText).
+ */
+export function visualRuns(line, direction = "ltr") {
+  const chars = [...line];
+  if (!chars.length) return [];
+  const base = direction === "rtl" ? 1 : 0;
+  const types = chars.map(charType);
+
+  // W4: a separator between two digits belongs to the number ("2024/117", "1,5")
+  for (let i = 1; i < types.length - 1; i++) {
+    if (types[i] === "ON" && NUMBER_SEPARATOR_RE.test(chars[i]) && types[i - 1] === "N" && types[i + 1] === "N") types[i] = "N";
+  }
+  // A sign directly before a number's first digit belongs to it ("-3", "+2")
+  for (let i = 0; i < types.length - 1; i++) {
+    if (types[i] === "ON" && NUMBER_SIGN_RE.test(chars[i]) && types[i + 1] === "N" && types[i - 1] !== "N") types[i] = "N";
+  }
+  // W5: terminators touching a number belong to it ("12.5%", "$40"); W6 leaves
+  // every other separator and terminator neutral
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== "ON" || !NUMBER_TERMINATOR_RE.test(chars[i])) continue;
+    let j = i;
+    while (j < types.length && types[j] === "ON" && NUMBER_TERMINATOR_RE.test(chars[j])) j++;
+    if (types[i - 1] === "N" || types[j] === "N") for (let k = i; k < j; k++) types[k] = "N";
+    i = j;
+  }
+  // W7: numbers after a left-to-right letter (or at the start of an LTR
+  // paragraph) are plain LTR; elsewhere they count as R for neutrals
+  let strong = base ? "R" : "L";
+  const numberAs = types.map(t => {
+    if (t === "L" || t === "R") strong = t;
+    return t === "N" ? (strong === "L" ? "L" : "R") : null;
+  });
+  // N1/N2: neutrals between two strong types of the same direction take it,
+  // otherwise the paragraph direction
+  const resolved = types.map((t, i) => (t === "N" ? numberAs[i] : t));
+  for (let i = 0; i < resolved.length;) {
+    if (resolved[i] !== "ON") {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < resolved.length && resolved[j] === "ON") j++;
+    const before = i > 0 ? resolved[i - 1] : (base ? "R" : "L");
+    const after = j < resolved.length ? resolved[j] : (base ? "R" : "L");
+    const dir = before === after ? before : (base ? "R" : "L");
+    for (let k = i; k < j; k++) resolved[k] = dir;
+    i = j;
+  }
+  // Embedding levels (I1/I2): R is 1, L the next even level, and numbers in
+  // right-to-left context 2 so they read left to right inside it
+  const levels = resolved.map((r, i) => {
+    if (types[i] === "N" && numberAs[i] === "R") return 2;
+    if (r === "R") return 1;
+    return base ? 2 : 0;
+  });
+
+  // Group into level runs, then L2: reverse every sequence at or above each
+  // level from the highest down to the lowest odd level
+  let runs = [];
+  for (let i = 0; i < chars.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.level === levels[i]) last.text += chars[i];
+    else runs.push({ text: chars[i], level: levels[i] });
+  }
+  const max = Math.max(...runs.map(r => r.level));
+  const minOdd = Math.min(...runs.map(r => r.level).filter(l => l % 2), max + 1);
+  for (let level = max; level >= minOdd; level--) {
+    const out = [];
+    for (let i = 0; i < runs.length;) {
+      if (runs[i].level < level) {
+        out.push(runs[i++]);
+        continue;
+      }
+      let j = i;
+      while (j < runs.length && runs[j].level >= level) j++;
+      out.push(...runs.slice(i, j).reverse());
+      i = j;
+    }
+    runs = out;
+  }
+  return runs.map(r => ({ text: r.text, rtl: r.level % 2 === 1 }));
+}
+
+/**
+ * Text to hand to the shaper for a right-to-left run. Brackets are mirrored
+ * (the shaper reverses glyph order but not glyph shapes); runs without RTL
+ * letters are not reversed by the shaper, so they are reversed here.
+ */
+export function rtlRunText(text) {
+  const mirrored = [...text].map(ch => MIRRORED[ch] || ch);
+  return hasRtl(text) ? mirrored.join("") : mirrored.reverse().join("");
+}
@@ -0,0 +1,89 @@
+// Read the machine-readable parts of a sealed PDF back out: embedded files,
+// XMP metadata and the number of revisions (incremental updates).
+import {
+  PDFDocument, PDFName, PDFArray, PDFDict, PDFRawStream, PDFString, PDFHexString,
+  decodePDFRawStream
+} from "pdf-lib";
+
+function streamBytes(stream) {
+  if (!(stream instanceof PDFRawStream)) return null;
+  return Buffer.from(stream.dict.has(PDFName.of("Filter")) ? decodePDFRawStream(stream).decode() : stream.contents);
+}
+
+function text(obj) {
+  return obj instanceof PDFString || obj instanceof PDFHexString ? obj.decodeText() : null;
+}
+
+// Walk an EmbeddedFiles name tree, collecting [name, filespec] pairs
+function walkNameTree(ctx, node, out) {
+  const dict = ctx.lookup(node, PDFDict);
+  const names = dict.lookupMaybe(PDFName.of("Names"), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      out.push([text(names.lookup(i)), names.lookup(i + 1, PDFDict)]);
+    }
+  }
+  const kids = dict.lookupMaybe(PDFName.of("Kids"), PDFArray);
+  if (kids) for (let i = 0; i < kids.size(); i++) walkNameTree(ctx, kids.get(i), out);
+}
+
+// Count revisions along the cross-reference chain: the final startxref points
+// at the newest xref section, and each section's trailer (or xref stream
+// dictionary) names the one before it in /Prev. Unlike counting "%%EOF", this
+// is not fooled by the marker inside embedded files or other streams. pdfkit
+// writes exactly one section.
+function countRevisions(buf) {
+  const s = buf.toString("latin1");
+  const tail = [...s.slice(-1024).matchAll(/startxref\s+(\d+)/g)].at(-1);
+  if (!tail) return 1;
+  const seen = new Set();
+  let offset = Number(tail[1]);
+  while (offset < s.length && !seen.has(offset)) {
+    seen.add(offset);
+    // A classic table ends at its trailer's startxref, an xref stream's
+    // dictionary at the stream keyword
+    const end = s.startsWith("xref", offset) ? s.indexOf("startxref", offset) : s.indexOf("stream", offset);
+    const prev = /\/Prev\s+(\d+)/.exec(s.slice(offset, end < 0 ? undefined : end));
+    if (!prev) break;
+    offset = Number(prev[1]);
+  }
+  // A linearized file adds a first-page section to its single revision
+  const linearized = /\/Linearized\b/.test(s.slice(0, 1024));
+  return Math.max(1, seen.size - (linearized ? 1 : 0));
+}
+
+/**
+ * Extract embedded files, XMP and revision count from a PDF.
+ *
+ * @param {Buffer} buf - PDF bytes.
+ * @returns {Promise<{attachments: Object<string, Buffer>, xmp: string|null, revisions: number, pageCount: number}>}
+ */
+export async function extractSeal(buf) {
+  const pdf = await PDFDocument.load(buf, { updateMetadata: false, ignoreEncryption: true });
+  const ctx = pdf.context;
+  const catalog = pdf.catalog;
+
+  const attachments = {};
+  const namesDict = catalog.lookupMaybe(PDFName.of("Names"), PDFDict);
+  const efTree = namesDict?.get(PDFName.of("EmbeddedFiles"));
+  if (efTree) {
+    const pairs = [];
+    walkNameTree(ctx, efTree, pairs);
+    for (const [name, spec] of pairs) {
+      const ef = spec.lookupMaybe(PDFName.of("EF"), PDFDict);
+      const bytes = ef && streamBytes(ef.lookup(PDFName.of("F")));
+      if (name && bytes) attachments[name] = bytes;
+    }
+  }
+
+  const metadata = catalog.lookupMaybe(PDFName.of("Metadata"), PDFRawStream);
+  const xmp = metadata ? streamBytes(metadata).toString("utf8") : null;
+
+  return { attachments, xmp, revisions: countRevisions(buf), pageCount: pdf.getPageCount() };
+}
+
+// Pull a single vo:<name> value out of the XMP packet
+export function xmpValue(xmp, name) {
+  const m = xmp && new RegExp(`<vo:${name}>([^<]*)</vo:${name}>`).exec(xmp);
+  return m ? m[1] : null;
+}
@@ -0,0 +1,102 @@
+// Strings, text direction and preferred fonts for the sealed PDF's
+// certification page. Font files are looked up in pdf/fonts; missing ones are
+// skipped and every other font there serves as a fallback (see seal-text.js),
+// so e.g. dropping NotoNaskhArabic-Regular.ttf in improves Arabic rendering
+// without a code change. DejaVuSans.ttf is always required.
+//
+// Identifiers (hashes, product ids, custody action codes, RFC 3161 names) are
+// printed as-is in every locale.
+
+export const DEFAULT_SEAL_LOCALE = "en";
+
+export const SEAL_LOCALES = {
+  en: {
+    name: "English",
+    direction: "ltr",
+    fonts: ["DejaVuSans.ttf"],
+    numberFormat: "en-US",
+    strings: {
+      title: "Sealed Verification",
+      product: "Product:",
+      file: (size, type) => `File: ${size} bytes, ${type} (hashed by server)`,
+      unknownType: "unknown type",
+      anchor: "Anchor:",
+      issued: "Issued:",
+      timestamp: (genTime, tsa) => `Timestamp (RFC 3161): ${genTime} by ${tsa}`,
+      custody: (n, actions, from, to) => `Custody: ${n} event${n === 1 ? "" : "s"} (${actions}), ${from} – ${to}`,
+      custodyHead: "Custody head:",
+      custodyBroken: "(chain broken)",
+      jurisdiction: "Jurisdiction:",
+      legalReferences: "Legal references:",
+      authorities: "Authorities:",
+      notes: "Notes:",
+      patentPending: "✔ Patent Pending Verum Omnis",
+      hash: "Hash:",
+      tx: "TX:",
+      tamperEvident: "This document is sealed and tamper-evident.",
+      tsa: "TSA:",
+      tstSerial: "TST serial:"
+    }
+  },
+  fr: {
+    name: "Français",
+    direction: "ltr",
+    fonts: ["DejaVuSans.ttf"],
+    numberFormat: "fr-FR",
+    strings: {
+      title: "Vérification scellée",
+      product: "Produit :",
+      file: (size, type) => `Fichier : ${size} octets, ${type} (empreinte calculée par le serveur)`,
+      unknownType: "type inconnu",
+      anchor: "Ancrage :",
+      issued: "Émis le :",
+      timestamp: (genTime, tsa) => `Horodatage (RFC 3161) : ${genTime} par ${tsa}`,
+      custody: (n, actions, from, to) => `Chaîne de possession : ${n} événement${n === 1 ? "" : "s"} (${actions}), ${from} – ${to}`,
+      custodyHead: "Tête de chaîne :",
+      custodyBroken: "(chaîne rompue)",
+      jurisdiction: "Juridiction :",
+      legalReferences: "Références juridiques :",
+      authorities: "Autorités :",
+      notes: "Notes :",
+      patentPending: "✔ Brevet en instance Verum Omnis",
+      hash: "Empreinte :",
+      tx: "TX :",
+      tamperEvident: "Ce document est scellé ; toute altération est détectable.",
+      tsa: "TSA :",
+      tstSerial: "N° de série TST :"
+    }
+  },
+  ar: {
+    name: "العربية",
+    direction: "rtl",
+    fonts: ["NotoNaskhArabic-Regular.ttf", "DejaVuSans.ttf"],
+    numberFormat: "en-US",
+    strings: {
+      title: "شهادة تحقق مختومة",
+      product: "المنتج:",
+      file: (size, type) => `الملف: ${size} بايت، ${type} (بصمة محسوبة على الخادم)`,
+      unknownType: "نوع غير معروف",
+      anchor: "التثبيت:",
+      issued: "تاريخ الإصدار:",
+      timestamp: (genTime, tsa) => `الطابع الزمني (RFC 3161): ${genTime} من ${tsa}`,
+      custody: (n, actions, from, to) => `سلسلة الحيازة: عدد الأحداث ${n} (${actions})، ${from} – ${to}`,
+      custodyHead: "رأس السلسلة:",
+      custodyBroken: "(السلسلة منقطعة)",
+      jurisdiction: "الاختصاص القضائي:",
+      legalReferences: "المراجع القانونية:",
+      authorities: "الجهات المختصة:",
+      notes: "ملاحظات:",
+      patentPending: "✔ براءة اختراع قيد التسجيل Verum Omnis",
+      hash: "البصمة:",
+      tx: "المعاملة:",
+      tamperEvident: "هذا المستند مختوم وأي تعديل عليه قابل للكشف.",
+      tsa: "جهة الطابع الزمني:",
+      tstSerial: "الرقم التسلسلي للطابع:"
+    }
+  }
+};
+
+/** A locale by code (case-insensitive), or null. */
+export function getSealLocale(code) {
+  return SEAL_LOCALES[String(code || "").toLowerCase()] || null;
+}
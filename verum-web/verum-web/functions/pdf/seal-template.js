@@ -1,108 +1,268 @@
 import PDFDocument from "pdfkit";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import QRCode from "qrcode";
 import { fileURLToPath } from "url";
+import { sealXmp } from "./xmp.js";
+import { HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM } from "../hash-algorithms.js";
+import { SEAL_LOCALES, DEFAULT_SEAL_LOCALE } from "./seal-locales.js";
+import { fontChain, createTextWriter } from "./seal-text.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Names of the machine-readable attachments inside every sealed PDF
+export const MANIFEST_ATTACHMENT = "verum-seal-manifest.json";
+export const JWS_ATTACHMENT = "verum-seal.jws";
+
+// Layouts of the certification page; colours, logo and footer come from the
+// tenant's branding. Corners and columns are mirrored for right-to-left locales.
+export const DEFAULT_SEAL_TEMPLATE = "classic";
+export const SEAL_TEMPLATES = {
+  classic: { description: "Centred logo, watermark and a rounded certification block", watermark: true, band: false },
+  formal: { description: "Coloured header band with logo and title, no watermark, footer rule", watermark: false, band: true }
+};
+
+const DEFAULT_BRANDING = { primaryColor: "#000000", footer: null };
+
+// Exact bytes of the embedded manifest; its SHA-512 identifies the seal
+export function manifestBytes(manifest) {
+  return Buffer.from(JSON.stringify(manifest, null, 2), "utf8");
+}
+
 /**
  * Generate a sealed verification PDF with a watermark, QR code and summary block.
  *
+ * The output is PDF/A-3B. The signed seal manifest is embedded twice as
+ * associated files - as plain JSON and as a self-contained compact JWS - so the
+ * PDF can be verified without our API, and the key values are mirrored into
+ * XMP metadata for archive systems.
+ *
  * @param {Object} options - Options for the PDF.
- * @param {string} options.hash - The SHA-512 hash of the evidence.
+ * @param {string} options.hash - Hex digest of the evidence.
+ * @param {string} [options.hashAlgorithm] - Key of HASH_ALGORITHMS the digest was made with.
  * @param {string} options.title - Title for the document.
- * @param {string} options.notes - Optional notes.
+ * @param {string} options.notes - Optional notes, in any script.
  * @param {string} options.logoPath - Path to the logo to embed.
  * @param {string} options.productId - Identifier for the product/version.
- * @param {Object|null} options.receipt - Optional receipt object with txid, chain and issuedAt.
+ * @param {Object|null} options.receipt - Optional receipt object with txid, chain, issuedAt and
+ *   an optional RFC 3161 `timestamp` (tsa, serialNumber, genTime).
+ * @param {Object|null} [options.file] - Server-hashed upload: size, mimeType (declared) and
+ *   detectedType (sniffed). The file itself is never passed in.
+ * @param {Object|null} [options.jurisdiction] - Jurisdiction profile whose legal references
+ *   are printed (see jurisdictions.js).
+ * @param {Object|null} [options.custody] - summarizeCustody() of the hash's custody chain
+ *   before this seal (see custody-kv.js).
+ * @param {string} [options.template] - Key of SEAL_TEMPLATES.
+ * @param {string} [options.locale] - Key of SEAL_LOCALES.
+ * @param {Object} [options.branding] - Tenant branding: primaryColor ("#rrggbb") and footer.
+ * @param {Object} [options.manifest] - Seal manifest to embed (JSON attachment + XMP).
+ * @param {string} [options.manifestJws] - Compact JWS over the manifest to embed.
  * @returns {PDFDocument} The PDF document instance (caller should pipe it).
  */
-export async function makeSealedPdf({ hash, title, notes, logoPath, productId, receipt }) {
+export async function makeSealedPdf({
+  hash, hashAlgorithm = DEFAULT_HASH_ALGORITHM, title, notes, logoPath, productId, receipt,
+  file = null, jurisdiction = null, custody = null,
+  template = DEFAULT_SEAL_TEMPLATE, locale = DEFAULT_SEAL_LOCALE, branding = {},
+  manifest = null, manifestJws = null
+}) {
+  // PDF/A forbids non-embedded fonts; DejaVuSans ships in pdf/fonts (see README)
+  const fontsDir = path.join(__dirname, "fonts");
+  const fontPath = path.join(fontsDir, "DejaVuSans.ttf");
+  if (!fs.existsSync(fontPath)) throw new Error("seal font missing: pdf/fonts/DejaVuSans.ttf");
+  const layout = SEAL_TEMPLATES[template];
+  const loc = SEAL_LOCALES[locale];
+  if (!layout) throw new Error(`unknown seal template: ${template}`);
+  if (!loc) throw new Error(`unknown seal locale: ${locale}`);
+  const t = loc.strings;
+  const brand = { ...DEFAULT_BRANDING, ...branding };
+  const rtl = loc.direction === "rtl";
+
   const doc = new PDFDocument({
     size: "A4",
-    margins: { top: 56, left: 56, right: 56, bottom: 56 }
+    margins: { top: 56, left: 56, right: 56, bottom: 56 },
+    pdfVersion: "1.7",
+    subset: "PDF/A-3b",
+    font: fontPath,
+    lang: locale,
+    info: {
+      // pdfkit copies these into XMP unescaped
+      Title: (title || t.title).replace(/[<>&]/g, ""),
+      Author: "Verum Omnis AI System",
+      Subject: "Sealed Verification",
+      Keywords: `verum-omnis, seal, ${hash}`,
+      Creator: productId
+    }
   });
+  const w = createTextWriter(doc, { fonts: fontChain(fontsDir, loc.fonts), direction: loc.direction });
+  const { width, height, margins } = doc.page;
+  const contentW = width - margins.left - margins.right;
+  // x of a box given in left-to-right coordinates, mirrored for RTL locales
+  const mx = (x, boxW) => (rtl ? width - x - boxW : x);
 
-  // Embed a font if available (optional)
-  const fontPath = path.join(__dirname, "fonts", "DejaVuSans.ttf");
-  if (fs.existsSync(fontPath)) {
-    doc.registerFont("DejaVuSans", fontPath);
+  // Machine-readable seal: attachments plus XMP
+  let manifestSha512 = null;
+  if (manifest) {
+    const json = manifestBytes(manifest);
+    manifestSha512 = crypto.createHash("sha512").update(json).digest("hex");
+    doc.file(json, {
+      name: MANIFEST_ATTACHMENT,
+      type: "application/json",
+      description: "Verum Omnis seal manifest",
+      relationship: "Data"
+    });
+    doc.appendXML(sealXmp({
+      hash,
+      hashAlgorithm,
+      product: productId,
+      constitutionHash: manifest.constitutionHash,
+      modelPackHash: manifest.modelPackHash,
+      sealedAt: manifest.sealedAt,
+      manifestSha512
+    }));
   }
-
-  // Header logo (centered)
-  if (fs.existsSync(logoPath)) {
-    const { width } = doc.page;
-    const logoW = 140;
-    const x = (width - logoW) / 2;
-    doc.image(logoPath, x, 24, { width: logoW });
+  if (manifestJws) {
+    doc.file(Buffer.from(manifestJws, "utf8"), {
+      name: JWS_ATTACHMENT,
+      type: "application/jose",
+      description: "Signed seal manifest (compact JWS, Ed25519)",
+      relationship: "Data"
+    });
   }
 
-  // Watermark (logo or fallback text)
-  if (fs.existsSync(logoPath)) {
-    const { width, height } = doc.page;
-    const wmW = 360;
-    const wmX = (width - wmW) / 2;
-    const wmY = (height - wmW) / 2;
-    doc.save().opacity(0.08).image(logoPath, wmX, wmY, { width: wmW }).restore();
+  // Tenant footer on every page
+  const footer = () => {
+    if (!brand.footer) return;
+    const { x, y } = doc;
+    if (layout.band) {
+      doc.save().moveTo(margins.left, height - 46).lineTo(width - margins.right, height - 46)
+        .lineWidth(0.5).strokeColor(brand.primaryColor).stroke().restore();
+    }
+    w.text(brand.footer, { x: margins.left, y: height - 40, width: contentW, size: 8, color: "#555", align: "center", dir: "auto" });
+    doc.x = x;
+    doc.y = y;
+  };
+  footer();
+  doc.on("pageAdded", footer);
+
+  const hasLogo = fs.existsSync(logoPath);
+  if (layout.band) {
+    // Header band: logo at the start side, title centred in white
+    doc.save().rect(0, 0, width, 96).fill(brand.primaryColor).restore();
+    if (hasLogo) doc.image(logoPath, mx(margins.left, 110), 18, { fit: [110, 60], align: "center", valign: "center" });
+    w.text(title || t.title, { x: margins.left + 120, y: 38, width: contentW - 240, size: 18, color: "#fff", align: "center", dir: "auto" });
+    doc.y = 120;
   } else {
-    doc.save().opacity(0.06)
-      .font("DejaVuSans")
-      .fontSize(96)
-      .rotate(-25, { origin: [300, 400] })
-      .text("VERUM OMNIS", 120, 300, { align: "center" })
-      .rotate(25)
-      .restore();
+    // Header logo (centered)
+    if (hasLogo) {
+      const logoW = 140;
+      doc.image(logoPath, (width - logoW) / 2, 24, { width: logoW });
+    }
+    doc.moveDown(4);
   }
 
-  doc.moveDown(4);
+  // Watermark (logo or fallback text)
+  if (layout.watermark) {
+    if (hasLogo) {
+      const wmW = 360;
+      const wmX = (width - wmW) / 2;
+      const wmY = (height - wmW) / 2;
+      doc.save().opacity(0.08).image(logoPath, wmX, wmY, { width: wmW }).restore();
+    } else {
+      doc.save().opacity(0.06)
+        .font(fontPath)
+        .fontSize(96)
+        .rotate(-25, { origin: [300, 400] })
+        .text("VERUM OMNIS", 120, 300, { align: "center" })
+        .rotate(25)
+        .restore();
+    }
+  }
 
   // Title
-  doc.font("DejaVuSans").fillColor("#000").fontSize(18).text(title || "Sealed Verification", { align: "center" });
-  doc.moveDown(1);
+  if (!layout.band) {
+    w.text(title || t.title, { size: 18, color: brand.primaryColor, align: "center", dir: "auto" });
+    doc.moveDown(1);
+  }
 
   // Visible hash
-  doc.fontSize(10).text("SHA-512:", { continued: true }).font("DejaVuSans").text(` ${hash}`);
+  w.text(`${HASH_ALGORITHMS[hashAlgorithm].label}: ${hash}`, { size: 10, dir: "ltr", align: rtl ? "end" : "start" });
   doc.moveDown(0.5);
 
   // Receipt summary
   const trunc = (s) => (s ? s.slice(0, 16) + "…" : "");
-  doc.fontSize(10).text(`Product: ${productId}`);
-  if (receipt?.txid) doc.text(`Anchor: ${receipt.chain || "eth"} / ${trunc(receipt.txid)}`);
-  if (receipt?.issuedAt) doc.text(`Issued: ${receipt.issuedAt}`);
+  w.text(`${t.product} ${productId}`);
+  if (file) {
+    const type = file.detectedType || file.mimeType || t.unknownType;
+    w.text(t.file(file.size.toLocaleString(loc.numberFormat), type));
+  }
+  // The chain is whatever the batch publisher reported (ANCHOR_CHAIN)
+  if (receipt?.txid) w.text(`${t.anchor} ${receipt.chain ? `${receipt.chain} / ` : ""}${trunc(receipt.txid)}`);
+  if (receipt?.issuedAt) w.text(`${t.issued} ${receipt.issuedAt}`);
+  if (receipt?.timestamp) w.text(t.timestamp(receipt.timestamp.genTime, receipt.timestamp.tsa));
   doc.moveDown(0.5);
 
+  // Chain of custody before this seal
+  if (custody) {
+    const actions = Object.entries(custody.actions).map(([a, n]) => `${a} ×${n}`).join(", ");
+    w.text(t.custody(custody.length, actions, custody.firstAt, custody.lastAt));
+    w.text(`${t.custodyHead} ${trunc(custody.headSha512)}${custody.intact ? "" : ` ${t.custodyBroken}`}`);
+    doc.moveDown(0.5);
+  }
+
+  // Jurisdiction the evidence is presented under
+  if (jurisdiction) {
+    w.text(`${t.jurisdiction} ${jurisdiction.name} (${jurisdiction.code})`, { size: 11, underline: true });
+    w.text(t.legalReferences, { size: 9 });
+    for (const ref of jurisdiction.legalReferences) {
+      w.text(`• ${ref}`, { size: 9, x: mx(margins.left + 10, contentW - 10), width: contentW - 10 });
+    }
+    if (jurisdiction.authorities.length) w.text(`${t.authorities} ${jurisdiction.authorities.join(", ")}`, { size: 9 });
+    doc.moveDown(0.5);
+  }
+
   // Optional notes
   if (notes) {
     doc.moveDown(0.5);
-    doc.fontSize(11).text("Notes:", { underline: true });
-    doc.fontSize(10).text(notes);
+    w.text(t.notes, { size: 11, underline: true });
+    w.text(notes, { size: 10, dir: "auto" });
   }
 
   // QR code payload summarising the receipt
   const qrPayload = {
     verum: true,
     hash,
+    hashAlgorithm,
     productId,
-    receipt: receipt ? { chain: receipt.chain, txid: receipt.txid, issuedAt: receipt.issuedAt } : null
+    receipt: receipt ? { chain: receipt.chain, txid: receipt.txid, issuedAt: receipt.issuedAt } : null,
+    file: file ? { size: file.size, mimeType: file.detectedType || file.mimeType } : null,
+    jurisdiction: jurisdiction?.code || null,
+    manifestSha512
   };
   const qrDataUrl = await QRCode.toDataURL(JSON.stringify(qrPayload));
   const qrBuf = Buffer.from(qrDataUrl.split(",")[1], "base64");
 
-  // Certification block in bottom-right
-  const { width, height } = doc.page;
-  const blockW = 240, blockH = 110;
-  const x = width - blockW - 56;
-  const y = height - blockH - 56;
+  // Certification block in the bottom corner at the end of the line (right,
+  // or left for RTL): QR code on the outer side, statements beside it
+  const tst = receipt?.timestamp;
+  const blockW = 260;
+  const colW = blockW - 118;
+  const lines = [t.patentPending, `${t.hash} ${hash.slice(0, 16)}…`, ...(receipt?.txid ? [`${t.tx} ${trunc(receipt.txid)}`] : []), t.tamperEvident];
+  const tstLines = tst ? [`${t.tsa} ${tst.tsa}`, `${t.tstSerial} ${tst.serialNumber}`] : [];
+  const colH = lines.reduce((h, l) => h + w.height(l, { size: 9, width: colW }) + 2, 0);
+  const tstH = tstLines.reduce((h, l) => h + w.height(l, { size: 7, width: blockW - 16 }), 0);
+  const blockH = Math.max(106, colH + 22) + (tst ? tstH + 6 : 0);
+  const x = width - blockW - margins.right;
+  const y = height - blockH - margins.bottom;
+  if (doc.y > y - 12) doc.addPage();
 
-  doc.roundedRect(x, y, blockW, blockH, 12).lineWidth(1).stroke();
-  doc.image(qrBuf, x + 8, y + 8, { width: 90 });
-  doc.font("DejaVuSans").fontSize(10).fillColor("#000");
-  doc.text("✔ Patent Pending Verum Omnis", x + 110, y + 14);
-  doc.text(`Hash: ${hash.slice(0, 16)}…`, x + 110, y + 30);
-  if (receipt?.txid) doc.text(`TX: ${trunc(receipt.txid)}`, x + 110, y + 46);
-  doc.text("This document is sealed and tamper-evident.", x + 110, y + 62);
+  doc.roundedRect(mx(x, blockW), y, blockW, blockH, layout.band ? 0 : 12).lineWidth(1).strokeColor(brand.primaryColor).stroke();
+  doc.image(qrBuf, mx(x + 8, 90), y + 8, { width: 90 });
+  let cy = y + 12;
+  for (const line of lines) cy = w.text(line, { x: mx(x + 110, colW), y: cy, width: colW, size: 9 }) + 2;
+  cy = Math.max(y + 104, cy);
+  for (const line of tstLines) cy = w.text(line, { x: mx(x + 8, blockW - 16), y: cy, width: blockW - 16, size: 7 });
 
   doc.end();
   return doc;
-}
\ No newline at end of file
+}
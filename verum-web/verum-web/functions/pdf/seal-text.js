@@ -0,0 +1,204 @@
+// Text drawing for sealed PDFs with wrapping, bidirectional ordering and
+// per-character font fallback. pdfkit's own flow text assumes left-to-right
+// and a single font; this writer lays out each line itself (see bidi.js) and
+// draws it run by run with pdfkit.
+import fs from "fs";
+import path from "path";
+import { openSync } from "fontkit";
+import { visualRuns, detectDirection, rtlRunText, hasRtl } from "./bidi.js";
+
+const FONT_FILE_RE = /\.(ttf|otf)$/i;
+
+// Parsed font files, shared by every document of this instance
+const parsed = new Map();
+
+function openFont(file) {
+  if (!parsed.has(file)) parsed.set(file, openSync(file));
+  return parsed.get(file);
+}
+
+/**
+ * Font fallback chain: the preferred files that exist in `dir`, in order,
+ * followed by every other font file there.
+ *
+ * @returns {{name: string, path: string, font: Object}[]}
+ */
+export function fontChain(dir, preferred) {
+  const all = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => FONT_FILE_RE.test(f)).sort() : [];
+  const names = [...preferred.filter(f => all.includes(f)), ...all.filter(f => !preferred.includes(f))];
+  return names.map(name => ({ name, path: path.join(dir, name), font: openFont(path.join(dir, name)) }));
+}
+
+/**
+ * Bind a writer to a document.
+ *
+ * @param {PDFDocument} doc
+ * @param {Object} options
+ * @param {Object[]} options.fonts - fontChain() output; the first font is the default.
+ * @param {"ltr"|"rtl"} options.direction - Direction of the template's own strings.
+ * @returns {{text: Function, height: Function}}
+ */
+export function createTextWriter(doc, { fonts, direction }) {
+  // First font of the chain that has a glyph; spaces stay with their neighbours.
+  // Fonts are selected by path: pdfkit caches an open font under the key it
+  // was first selected with and re-parses the file for any other key that
+  // resolves to the same font.
+  const glyphFont = new Map();
+  const fontFor = (ch) => {
+    const cp = ch.codePointAt(0);
+    if (!glyphFont.has(cp)) glyphFont.set(cp, (fonts.find(f => f.font.hasGlyphForCodePoint(cp)) || fonts[0]).path);
+    return glyphFont.get(cp);
+  };
+
+  // Split text where the font changes, in logical order
+  function fontRuns(text) {
+    const runs = [];
+    for (const ch of text) {
+      const last = runs[runs.length - 1];
+      const name = /\s/.test(ch) && last ? last.font : fontFor(ch);
+      if (last && last.font === name) last.text += ch;
+      else runs.push({ text: ch, font: name });
+    }
+    return runs;
+  }
+
+  // A features array makes pdfkit shape a segment as a whole instead of word
+  // by word, which right-to-left word order depends on
+  const shapeOpts = (rtl) => (rtl ? { features: [] } : {});
+
+  // Split a bidi run where the font changes; segments come back in drawing order
+  function segments(run, size) {
+    const segs = fontRuns(run.text);
+    if (run.rtl) segs.reverse();
+    return segs.map(s => {
+      const text = run.rtl ? rtlRunText(s.text) : s.text;
+      const opts = shapeOpts(run.rtl);
+      return { text, font: s.font, opts, width: doc.font(s.font).fontSize(size).widthOfString(text, opts) };
+    });
+  }
+
+  const layoutLine = (line, dir, size) => visualRuns(line, dir).flatMap(run => segments(run, size));
+  const lineWidth = (segs) => segs.reduce((w, s) => w + s.width, 0);
+
+  // Width of a word, whitespace run or character, measured once per size.
+  // Line breaking sums these instead of laying out candidate lines.
+  const widths = new Map();
+  function measure(token, size) {
+    const id = `${size}\u0000${token}`;
+    if (!widths.has(id)) {
+      widths.set(id, fontRuns(token).reduce((w, r) => w + doc.font(r.font).fontSize(size).widthOfString(r.text, shapeOpts(hasRtl(r.text))), 0));
+    }
+    return widths.get(id);
+  }
+
+  function wrap(paragraph, size, maxWidth) {
+    const lines = [];
+    let line = "";
+    let lineW = 0;
+    let gap = "";
+    let gapW = 0;
+    for (const token of paragraph.split(/(\s+)/)) {
+      if (!token) continue;
+      if (/^\s/.test(token)) {
+        // Whitespace is kept between words, and as indentation at the start
+        if (line || !lines.length) {
+          gap = token;
+          gapW = measure(token, size);
+        }
+        continue;
+      }
+      const tokenW = measure(token, size);
+      if (lineW + gapW + tokenW <= maxWidth) {
+        line += gap + token;
+        lineW += gapW + tokenW;
+      } else if (tokenW <= maxWidth) {
+        if (line) lines.push(line);
+        line = token;
+        lineW = tokenW;
+      } else {
+        // A single token wider than the line (hashes, URLs) is broken anywhere
+        if (line) lines.push(line);
+        line = "";
+        lineW = 0;
+        for (const ch of token) {
+          const chW = measure(ch, size);
+          if (line && lineW + chW > maxWidth) {
+            lines.push(line);
+            line = "";
+            lineW = 0;
+          }
+          line += ch;
+          lineW += chW;
+        }
+      }
+      gap = "";
+      gapW = 0;
+    }
+    if (line || !lines.length) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Draw text. Without `y` the text flows from doc.y (within `x`/`width`
+   * when given) and starts a new page at the bottom margin; with `y` it is
+   * placed in a fixed box.
+   *
+   * @param {string} str
+   * @param {Object} [opts]
+   * @param {number} [opts.size]
+   * @param {string} [opts.color]
+   * @param {"start"|"center"|"end"} [opts.align] - start is right for RTL text.
+   * @param {"ltr"|"rtl"|"auto"} [opts.dir] - auto uses the first strong letter
+   *   (for user text such as notes); defaults to the template direction.
+   * @param {boolean} [opts.underline]
+   * @param {number} [opts.x]
+   * @param {number} [opts.y]
+   * @param {number} [opts.width]
+   * @returns {number} the y coordinate below the text.
+   */
+  function text(str, { size = 10, color = "#000", align = "start", dir, underline = false, x, y, width } = {}) {
+    const { margins } = doc.page;
+    const d = dir === "auto" ? detectDirection(str, direction) : (dir || direction);
+    const x0 = x ?? margins.left;
+    const w = width ?? doc.page.width - margins.right - x0;
+    const flowing = y === undefined;
+    const lineHeight = doc.font(fonts[0].path).fontSize(size).currentLineHeight(true);
+    let cy = y ?? doc.y;
+    for (const paragraph of String(str).split(/\r?\n/)) {
+      for (const line of wrap(paragraph, size, w)) {
+        if (flowing && cy + lineHeight > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+          cy = doc.page.margins.top;
+        }
+        const segs = layoutLine(line, d, size);
+        const total = lineWidth(segs);
+        const atStart = (align === "start") === (d === "ltr");
+        let cx = align === "center" ? x0 + (w - total) / 2 : (atStart ? x0 : x0 + w - total);
+        for (const s of segs) {
+          doc.font(s.font).fontSize(size).fillColor(color).text(s.text, cx, cy, { lineBreak: false, ...s.opts });
+          cx += s.width;
+        }
+        // pdfkit only underlines text it wrapped itself
+        if (underline && total) {
+          const lw = size < 10 ? 0.5 : Math.floor(size / 10);
+          const ly = cy + lineHeight - lw;
+          doc.save().lineWidth(lw).strokeColor(color).moveTo(cx - total, ly).lineTo(cx, ly).stroke().restore();
+        }
+        cy += lineHeight;
+      }
+    }
+    if (flowing) {
+      doc.x = doc.page.margins.left;
+      doc.y = cy;
+    }
+    return cy;
+  }
+
+  /** Height text() would take in a box of the given width. */
+  function height(str, { size = 10, width }) {
+    const lines = String(str).split(/\r?\n/).reduce((n, p) => n + wrap(p, size, width).length, 0);
+    return lines * doc.font(fonts[0].path).fontSize(size).currentLineHeight(true);
+  }
+
+  return { text, height };
+}
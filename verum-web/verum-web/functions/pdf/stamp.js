@@ -0,0 +1,90 @@
+// Stamp a Verum Omnis seal onto an uploaded PDF: every page gets a QR code,
+// short hash and "page X of Y" overlay, the certification pages from
+// makeSealedPdf are appended, and the signed manifest is attached exactly as in
+// a standalone seal so /v1/seal/verify handles both.
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { PDFDocument, StandardFonts, AFRelationship, PDFName, rgb } from "pdf-lib";
+import { manifestBytes, MANIFEST_ATTACHMENT, JWS_ATTACHMENT } from "./seal-template.js";
+import { sealXmp, xmpPacket } from "./xmp.js";
+import { HASH_ALGORITHMS } from "../hash-algorithms.js";
+
+const STAMP_H = 44;
+
+/**
+ * Stamp `original` and append `certificatePdf`.
+ *
+ * @param {Object} options
+ * @param {Buffer} options.original - The uploaded PDF.
+ * @param {Buffer} options.certificatePdf - Output of makeSealedPdf for the same seal.
+ * @param {string} options.hash - Content hash of `original`.
+ * @param {string} options.productId - Identifier for the product/version.
+ * @param {Object} options.manifest - Seal manifest (embedded as JSON and in XMP).
+ * @param {string} options.manifestJws - Compact JWS over the manifest.
+ * @returns {Promise<Buffer>} The stamped PDF.
+ */
+export async function stampPdf({ original, certificatePdf, hash, productId, manifest, manifestJws }) {
+  let doc;
+  try {
+    doc = await PDFDocument.load(original, { updateMetadata: false });
+  } catch (e) {
+    // pdf-lib refuses encrypted documents unless told to ignore encryption,
+    // and writing into them would corrupt the output
+    throw Object.assign(new Error(/encrypt/i.test(e.message) ? "pdf_encrypted" : "not_a_pdf"), { status: 422 });
+  }
+
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const qrPayload = JSON.stringify({ verum: true, hash, hashAlgorithm: manifest.hashAlgorithm, productId, sealedAt: manifest.sealedAt });
+  const qr = await doc.embedPng(await QRCode.toBuffer(qrPayload, { margin: 1 }));
+
+  const cert = await PDFDocument.load(certificatePdf);
+  const pages = doc.getPages();
+  // Long notes can push the certification block onto a second page
+  const total = pages.length + cert.getPageCount();
+  pages.forEach((page, i) => {
+    const { width } = page.getSize();
+    const x = width - 236, y = 12;
+    page.drawRectangle({
+      x, y, width: 224, height: STAMP_H,
+      color: rgb(1, 1, 1), opacity: 0.85,
+      borderColor: rgb(0, 0, 0), borderWidth: 0.75
+    });
+    page.drawImage(qr, { x: x + 4, y: y + 4, width: STAMP_H - 8, height: STAMP_H - 8 });
+    const tx = x + STAMP_H + 2;
+    page.drawText("Verum Omnis seal", { x: tx, y: y + 30, size: 8, font });
+    page.drawText(`${HASH_ALGORITHMS[manifest.hashAlgorithm].label} ${hash.slice(0, 16)}...`, { x: tx, y: y + 19, size: 7, font });
+    page.drawText(`Page ${i + 1} of ${total}`, { x: tx, y: y + 8, size: 7, font });
+  });
+
+  for (const certPage of await doc.copyPages(cert, cert.getPageIndices())) doc.addPage(certPage);
+
+  const when = new Date(manifest.sealedAt);
+  await doc.attach(manifestBytes(manifest), MANIFEST_ATTACHMENT, {
+    mimeType: "application/json",
+    description: "Verum Omnis seal manifest",
+    creationDate: when,
+    modificationDate: when,
+    afRelationship: AFRelationship.Data
+  });
+  await doc.attach(Buffer.from(manifestJws, "utf8"), JWS_ATTACHMENT, {
+    mimeType: "application/jose",
+    description: "Signed seal manifest (compact JWS, Ed25519)",
+    creationDate: when,
+    modificationDate: when,
+    afRelationship: AFRelationship.Data
+  });
+
+  const xmp = xmpPacket(sealXmp({
+    hash,
+    hashAlgorithm: manifest.hashAlgorithm,
+    product: productId,
+    constitutionHash: manifest.constitutionHash,
+    modelPackHash: manifest.modelPackHash,
+    sealedAt: manifest.sealedAt,
+    manifestSha512: crypto.createHash("sha512").update(manifestBytes(manifest)).digest("hex")
+  }));
+  const metadata = doc.context.stream(xmp, { Type: "Metadata", Subtype: "XML" });
+  doc.catalog.set(PDFName.of("Metadata"), doc.context.register(metadata));
+
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
@@ -0,0 +1,72 @@
+// XMP packet fragment describing a Verum Omnis seal. PDF/A only allows custom
+// XMP properties that are declared through a pdfaExtension schema, so the
+// fragment carries that declaration alongside the values.
+export const VO_XMP_NS = "https://verumglobal.foundation/ns/seal/1.0/";
+
+const PROPERTIES = [
+  ["hash", "Content hash of the sealed evidence (hex)"],
+  ["hashAlgorithm", "Algorithm used for hash"],
+  ["product", "Verum Omnis product/version identifier"],
+  ["constitutionHash", "SHA-512 of the constitution in force when sealed"],
+  ["modelPackHash", "SHA-512 of the model pack in force when sealed"],
+  ["sealedAt", "Seal time (ISO-8601)"],
+  ["manifestSha512", "SHA-512 of the embedded seal manifest JSON"]
+];
+
+function esc(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Build the rdf:Description blocks for a seal.
+ *
+ * @param {Object} values - Keyed by the property names above; missing ones are skipped.
+ * @returns {string} XML to append to the document's XMP metadata.
+ */
+export function sealXmp(values) {
+  const schema = `
+        <rdf:Description rdf:about=""
+            xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+            xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+            xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+            <pdfaExtension:schemas>
+                <rdf:Bag>
+                    <rdf:li rdf:parseType="Resource">
+                        <pdfaSchema:schema>Verum Omnis Seal</pdfaSchema:schema>
+                        <pdfaSchema:namespaceURI>${VO_XMP_NS}</pdfaSchema:namespaceURI>
+                        <pdfaSchema:prefix>vo</pdfaSchema:prefix>
+                        <pdfaSchema:property>
+                            <rdf:Seq>${PROPERTIES.map(([name, description]) => `
+                                <rdf:li rdf:parseType="Resource">
+                                    <pdfaProperty:name>${name}</pdfaProperty:name>
+                                    <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                                    <pdfaProperty:category>external</pdfaProperty:category>
+                                    <pdfaProperty:description>${description}</pdfaProperty:description>
+                                </rdf:li>`).join("")}
+                            </rdf:Seq>
+                        </pdfaSchema:property>
+                    </rdf:li>
+                </rdf:Bag>
+            </pdfaExtension:schemas>
+        </rdf:Description>`;
+  const props = PROPERTIES
+    .filter(([name]) => values[name] != null)
+    .map(([name]) => `
+            <vo:${name}>${esc(values[name])}</vo:${name}>`)
+    .join("");
+  return `${schema}
+        <rdf:Description rdf:about="" xmlns:vo="${VO_XMP_NS}">${props}
+        </rdf:Description>
+        `;
+}
+
+// Wrap rdf:Description blocks in a complete XMP packet, for PDFs whose
+// metadata we write ourselves (pdfkit builds its own packet).
+export function xmpPacket(descriptions) {
+  return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+    <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">${descriptions}
+    </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
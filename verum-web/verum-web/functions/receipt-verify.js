@@ -0,0 +1,132 @@
+// Structured verification of a receipt issued by /v1/anchor or /v1/receipt.
+// Each check reports pass / fail / warn / skip with a short reason, so callers
+// can show exactly why a receipt is or is not trustworthy. A receipt is valid
+// when no check fails; warnings (e.g. a receipt issued under an older
+// constitution) are informational.
+import { compactVerify, importJWK } from "jose";
+import { CONSTITUTION_HASH, MODELPACK_HASH } from "./config.js";
+import { verifyReceiptSignature, keyStatus, canonicalJson, getJwks } from "./signing.js";
+import { getReceipt } from "./receipts-kv.js";
+import { verifyInclusion } from "./anchor/merkle.js";
+import { parseTimestampToken } from "./tsa/client.js";
+import { parseRecordedHash } from "./hash-algorithms.js";
+
+function check(name, status, detail) {
+  return detail ? { name, status, detail } : { name, status };
+}
+
+function decodeHeader(signature) {
+  try {
+    return JSON.parse(Buffer.from(signature.split(".")[0], "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Receipts issued before detached signatures carried a 1-hour JWT; its claims
+// must equal the receipt body. Expiry is deliberately not enforced here.
+async function verifyLegacyJwt(signature, body) {
+  const jwks = await getJwks();
+  const { payload } = await compactVerify(signature, async (header) => {
+    const jwk = jwks.keys.find(k => !header.kid || k.kid === header.kid);
+    if (!jwk) throw new Error("unknown_kid");
+    return importJWK(jwk, "EdDSA");
+  });
+  const { iat, iss, exp, ...claims } = JSON.parse(Buffer.from(payload).toString("utf8"));
+  if (canonicalJson(claims) !== canonicalJson(body)) throw new Error("payload_mismatch");
+}
+
+/**
+ * Verify a receipt.
+ *
+ * @param {Object} receipt - Receipt as returned by the API, including `signature`.
+ * @returns {Promise<{valid: boolean, kid: string|null, keyStatus: string|null, checks: Object[]}>}
+ */
+export async function verifyReceipt(receipt) {
+  const checks = [];
+  const { signature, ...body } = receipt || {};
+
+  // Payload shape: the digest must have the exact length of its algorithm;
+  // receipts issued before algorithms were recorded keep the old hex rule
+  const parsed = parseRecordedHash(body);
+  if (!parsed.ok) {
+    checks.push(check("payload", "fail", `malformed hash: ${parsed.error}`));
+  } else {
+    checks.push(check("payload", "pass", parsed.legacy ? `${parsed.algorithm || "unknown algorithm"} (inferred)` : parsed.algorithm));
+  }
+
+  // Signature and key id
+  const header = typeof signature === "string" ? decodeHeader(signature) : null;
+  const kid = header?.kid || null;
+  const status = kid ? await keyStatus(kid) : null;
+  if (!header) {
+    checks.push(check("signature", "fail", "missing or malformed signature"));
+  } else {
+    if (!kid) checks.push(check("key_id", "warn", "signature predates key ids"));
+    else if (!status) checks.push(check("key_id", "fail", `unknown kid ${kid}`));
+    else checks.push(check("key_id", status === "active" ? "pass" : "warn", `${status} key ${kid}`));
+
+    const detached = signature.split(".")[1] === "";
+    try {
+      if (detached) await verifyReceiptSignature(signature, body);
+      else await verifyLegacyJwt(signature, body);
+      checks.push(check("signature", "pass", detached ? "detached JWS" : "legacy JWT (expiry not enforced)"));
+    } catch (e) {
+      checks.push(check("signature", "fail", e.code || e.message));
+    }
+  }
+
+  // Referenced constitution and model pack
+  checks.push(body.constitutionHash === CONSTITUTION_HASH
+    ? check("constitution", "pass")
+    : check("constitution", "warn", "issued under a different constitution than the one currently served"));
+  checks.push(body.manifestHash === MODELPACK_HASH
+    ? check("model_pack", "pass")
+    : check("model_pack", "warn", "issued under a different model pack than the one currently served"));
+
+  // Our own record of the receipt
+  if (parsed.ok) {
+    const stored = await getReceipt(body.hash);
+    if (!stored) {
+      checks.push(check("store", body.txid || body.anchor ? "warn" : "skip", "no stored receipt for this hash"));
+    } else if (canonicalJson(stored) === canonicalJson(receipt)) {
+      checks.push(check("store", "pass"));
+    } else if (stored.issuedAt === body.issuedAt) {
+      checks.push(check("store", "warn", "an updated version of this receipt exists"));
+    } else {
+      checks.push(check("store", "fail", "stored receipt for this hash differs"));
+    }
+  }
+
+  // Merkle inclusion
+  const anchor = body.anchor;
+  if (anchor?.proof && anchor?.root) {
+    checks.push(verifyInclusion(body.hash, anchor.proof, anchor.root)
+      ? check("merkle_inclusion", "pass")
+      : check("merkle_inclusion", "fail", "proof does not lead to the batch root"));
+  } else {
+    checks.push(check("merkle_inclusion", "skip", anchor ? `batch ${anchor.status}` : "not batched"));
+  }
+
+  // RFC 3161 token covers this hash
+  if (body.timestamp?.token) {
+    try {
+      const info = parseTimestampToken(Buffer.from(body.timestamp.token, "base64"));
+      if (info.hashedMessage !== body.hash) checks.push(check("timestamp", "fail", "token imprint does not match hash"));
+      else if (parsed.algorithm && info.hashAlgorithm !== parsed.algorithm) checks.push(check("timestamp", "fail", `token imprint is ${info.hashAlgorithm}, receipt is ${parsed.algorithm}`));
+      // Only the imprint is checked; the token's CMS signature needs `openssl ts -verify`
+      else checks.push(check("timestamp", "pass", `${info.genTime} by ${info.tsa} (imprint only, TSA signature not verified)`));
+    } catch (e) {
+      checks.push(check("timestamp", "fail", e.message));
+    }
+  } else {
+    checks.push(check("timestamp", "skip"));
+  }
+
+  return {
+    valid: !checks.some(c => c.status === "fail"),
+    kid,
+    keyStatus: status,
+    checks
+  };
+}
@@ -1,12 +1,76 @@
-// In-memory key/value store for receipts. This can be swapped for a persistent store
-// if needed. For strict statelessness, you can remove this and always re-sign
-// receipts on demand.
-const kv = new Map();
+// Receipt store. Receipts are keyed by evidence hash and persisted through the
+// record store selected by STORE_BACKEND (see stores/index.js), so they survive
+// cold starts and are shared across instances when a shared backend is used.
+//
+// Writes are idempotent: the first receipt stored for a hash wins, and later
+// puts for the same hash return that original receipt unchanged until it
+// expires; after that the hash is anchored afresh.
+import { RECEIPT_TTL_DAYS } from "./config.js";
+import { openStore, makeRecord, isExpired } from "./stores/index.js";
 
-export function putReceipt(hash, receipt) {
-  kv.set(hash, receipt);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function store() {
+  return openStore("receipts");
+}
+
+/**
+ * Store a receipt unless one already exists for the hash.
+ *
+ * @param {string} hash - Evidence hash the receipt covers.
+ * @param {Object} receipt - Signed receipt body.
+ * @returns {Promise<{receipt: Object, created: boolean}>} The stored receipt and
+ *   whether this call created it.
+ */
+export async function putReceipt(hash, receipt) {
+  const rec = makeRecord(hash, receipt, { ttlMs: RECEIPT_TTL_DAYS * DAY_MS });
+  const { record, created } = await store().create(rec);
+  return { receipt: record.value, created };
+}
+
+// Replace the stored receipt for a hash (e.g. once its anchor batch is sealed),
+// keeping the original creation time and retention window.
+export async function updateReceipt(hash, receipt) {
+  const s = store();
+  const prev = await s.get(hash);
+  const rec = prev ? { ...prev, value: receipt } : makeRecord(hash, receipt, { ttlMs: RECEIPT_TTL_DAYS * DAY_MS });
+  await s.set(rec);
+  return receipt;
 }
 
-export function getReceipt(hash) {
-  return kv.get(hash) || null;
-}
\ No newline at end of file
+export async function getReceipt(hash) {
+  const record = await store().get(hash);
+  if (!record || isExpired(record)) return null;
+  return record.value;
+}
+
+/**
+ * List stored receipts issued in [from, to), oldest first.
+ *
+ * @param {Object} [query]
+ * @param {string} [query.from] - ISO-8601 lower bound (inclusive).
+ * @param {string} [query.to] - ISO-8601 upper bound (exclusive).
+ * @param {number} [query.limit] - Maximum number of receipts to return.
+ * @returns {Promise<Object[]>}
+ */
+export async function listReceipts({ from, to, limit } = {}) {
+  const records = await store().list({ from, to, limit });
+  return records.map(r => r.value);
+}
+
+// Drop receipts past their retention window (run daily by the
+// purgeReceipts schedule in index.js). Returns the number removed.
+export async function purgeExpiredReceipts() {
+  const s = store();
+  const all = await s.list({ includeExpired: true });
+  const now = Date.now();
+  let removed = 0;
+  for (const r of all) {
+    if (isExpired(r, now)) {
+      await s.delete(r.key);
+      removed += 1;
+    }
+  }
+  if (s.compact) await s.compact();
+  return removed;
+}
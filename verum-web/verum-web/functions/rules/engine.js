@@ -0,0 +1,233 @@
+// Rules engine. Parses the *.json files of the rules pack (assets/rules)
+// against rules/rule.schema.json, and evaluates the rules against evidence
+// metadata submitted by clients. The validator below is hand-written to the
+// schema so the engine carries no extra dependency.
+import fs from "fs";
+import path from "path";
+import { RULES_DIR, RULES_PACK_HASH, sha512Hex } from "../config.js";
+
+export const SEVERITIES = ["info", "low", "medium", "high", "critical"];
+export const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "exists", "missing", "matches", "contains", "before", "after"];
+
+const RULE_KEYS = new Set(["id", "name", "description", "severity", "weight", "message", "tags", "when"]);
+const LEAF_KEYS = new Set(["field", "op", "value", "flags"]);
+const ID_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// ----- Validation -----
+function validateCondition(c, where, errors) {
+  if (!c || typeof c !== "object" || Array.isArray(c)) return errors.push(`${where}: condition must be an object`);
+  const keys = Object.keys(c);
+  for (const group of ["all", "any"]) {
+    if (group in c) {
+      if (keys.length !== 1) errors.push(`${where}: "${group}" cannot be combined with other keys`);
+      if (!Array.isArray(c[group]) || !c[group].length) return errors.push(`${where}.${group}: must be a non-empty array`);
+      c[group].forEach((x, i) => validateCondition(x, `${where}.${group}[${i}]`, errors));
+      return;
+    }
+  }
+  if ("not" in c) {
+    if (keys.length !== 1) errors.push(`${where}: "not" cannot be combined with other keys`);
+    return validateCondition(c.not, `${where}.not`, errors);
+  }
+  for (const k of keys) if (!LEAF_KEYS.has(k)) errors.push(`${where}: unknown key "${k}"`);
+  if (typeof c.field !== "string" || !c.field) errors.push(`${where}.field: required string`);
+  if (!OPERATORS.includes(c.op)) return errors.push(`${where}.op: must be one of ${OPERATORS.join(", ")}`);
+  const needsValue = c.op !== "exists" && c.op !== "missing";
+  if (needsValue && !("value" in c)) errors.push(`${where}.value: required for "${c.op}"`);
+  if ((c.op === "in" || c.op === "nin") && !Array.isArray(c.value)) errors.push(`${where}.value: must be an array for "${c.op}"`);
+  if (c.flags !== undefined && !/^[imsu]*$/.test(c.flags)) errors.push(`${where}.flags: only i, m, s, u allowed`);
+  if (c.op === "matches") {
+    try {
+      new RegExp(c.value, c.flags || "");
+    } catch (e) {
+      errors.push(`${where}.value: invalid regular expression (${e.message})`);
+    }
+  }
+}
+
+function validateRule(r, where, errors) {
+  if (!r || typeof r !== "object" || Array.isArray(r)) return errors.push(`${where}: rule must be an object`);
+  for (const k of Object.keys(r)) if (!RULE_KEYS.has(k)) errors.push(`${where}: unknown key "${k}"`);
+  if (typeof r.id !== "string" || !ID_RE.test(r.id)) errors.push(`${where}.id: required, ${ID_RE}`);
+  if (!SEVERITIES.includes(r.severity)) errors.push(`${where}.severity: must be one of ${SEVERITIES.join(", ")}`);
+  if (r.weight !== undefined && !(typeof r.weight === "number" && r.weight >= 0 && r.weight <= 100)) {
+    errors.push(`${where}.weight: number between 0 and 100`);
+  }
+  for (const k of ["name", "description", "message"]) {
+    if (r[k] !== undefined && typeof r[k] !== "string") errors.push(`${where}.${k}: must be a string`);
+  }
+  if (r.tags !== undefined && !(Array.isArray(r.tags) && r.tags.every(t => typeof t === "string"))) {
+    errors.push(`${where}.tags: must be an array of strings`);
+  }
+  if (!("when" in r)) errors.push(`${where}.when: required`);
+  else validateCondition(r.when, `${where}.when`, errors);
+}
+
+// Rules of one parsed file, with the brain they belong to
+function rulesOf(doc, file) {
+  const brain = path.basename(file, ".json");
+  if (Array.isArray(doc)) return { brain, rules: doc };
+  if (doc && typeof doc === "object" && "rules" in doc) return { brain: doc.brain, rules: doc.rules, extra: doc };
+  return { brain, rules: [doc] };
+}
+
+/**
+ * Parse and validate every *.json file of a rules directory.
+ *
+ * @param {string} [dir] - Defaults to RULES_DIR.
+ * @returns {{rules: Object[], files: Object[], errors: string[]}} `rules`
+ *   carry their `brain` and source `file`; `errors` lists every schema
+ *   violation as "file: path: problem".
+ */
+export function loadRulesPack(dir = RULES_DIR) {
+  const rules = [];
+  const files = [];
+  const errors = [];
+  const names = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort() : [];
+  for (const file of names) {
+    const buf = fs.readFileSync(path.join(dir, file));
+    let doc;
+    try {
+      doc = JSON.parse(buf.toString("utf8"));
+    } catch (e) {
+      errors.push(`${file}: invalid JSON (${e.message})`);
+      continue;
+    }
+    const fileErrors = [];
+    const { brain, rules: list, extra } = rulesOf(doc, file);
+    if (extra) {
+      for (const k of Object.keys(extra)) if (!["brain", "rules", "description"].includes(k)) fileErrors.push(`${file}: unknown key "${k}"`);
+      if (typeof brain !== "string" || !brain) fileErrors.push(`${file}.brain: required string`);
+    }
+    if (!Array.isArray(list)) fileErrors.push(`${file}.rules: must be an array`);
+    else list.forEach((r, i) => validateRule(r, `${file}[${i}]`, fileErrors));
+    errors.push(...fileErrors);
+    if (fileErrors.length) continue;
+    files.push({ name: file, brain, sha512: sha512Hex(buf), rules: list.length });
+    for (const r of list) rules.push({ weight: 1, ...r, brain, file });
+  }
+  const seen = new Map();
+  for (const r of rules) {
+    if (seen.has(r.id)) errors.push(`${r.file}: duplicate rule id "${r.id}" (also in ${seen.get(r.id)})`);
+    else seen.set(r.id, r.file);
+  }
+  return { rules, files, errors };
+}
+
+// Parsed once per rules pack version; reloadAssets() moving RULES_PACK_HASH
+// makes the next call re-parse
+let activePack = null;
+
+/** The parsed rules pack of RULES_DIR, tagged with its `rulesPackHash`. */
+export function getRulesPack() {
+  if (activePack?.rulesPackHash !== RULES_PACK_HASH) {
+    activePack = { ...loadRulesPack(), rulesPackHash: RULES_PACK_HASH };
+  }
+  return activePack;
+}
+
+// ----- Evaluation -----
+function resolve(obj, fieldPath) {
+  let cur = obj;
+  for (const key of fieldPath.split(".")) {
+    if (cur === null || cur === undefined || typeof cur !== "object") return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function operand(metadata, value) {
+  const isRef = value && typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 1 && typeof value.field === "string";
+  return isRef ? resolve(metadata, value.field) : value;
+}
+
+const sameValue = (a, b) => a === b || (typeof a === "object" && typeof b === "object" && JSON.stringify(a) === JSON.stringify(b));
+const asTime = (v) => (v === undefined || v === null || v === "" ? NaN : new Date(v).getTime());
+
+function testLeaf(c, metadata) {
+  const actual = resolve(metadata, c.field);
+  const expected = operand(metadata, c.value);
+  switch (c.op) {
+    case "exists": return actual !== undefined && actual !== null;
+    case "missing": return actual === undefined || actual === null;
+    case "eq": return sameValue(actual, expected);
+    case "ne": return !sameValue(actual, expected);
+    case "gt": return typeof actual === "number" && actual > expected;
+    case "gte": return typeof actual === "number" && actual >= expected;
+    case "lt": return typeof actual === "number" && actual < expected;
+    case "lte": return typeof actual === "number" && actual <= expected;
+    case "in": return Array.isArray(expected) && expected.some(v => sameValue(actual, v));
+    case "nin": return Array.isArray(expected) && !expected.some(v => sameValue(actual, v));
+    case "matches": return typeof actual === "string" && new RegExp(expected, c.flags || "").test(actual);
+    case "contains":
+      if (Array.isArray(actual)) return actual.some(v => sameValue(v, expected));
+      return typeof actual === "string" && actual.includes(String(expected));
+    case "before": return asTime(actual) < asTime(expected);
+    case "after": return asTime(actual) > asTime(expected);
+    default: return false;
+  }
+}
+
+// Returns whether the condition holds and which leaves made it so
+function test(c, metadata, evidence) {
+  if (c.all) {
+    const parts = c.all.map(x => test(x, metadata, []));
+    const ok = parts.every(p => p.ok);
+    if (ok) parts.forEach(p => evidence.push(...p.evidence));
+    return { ok, evidence };
+  }
+  if (c.any) {
+    const parts = c.any.map(x => test(x, metadata, []));
+    const hits = parts.filter(p => p.ok);
+    hits.forEach(p => evidence.push(...p.evidence));
+    return { ok: hits.length > 0, evidence };
+  }
+  if (c.not) return { ok: !test(c.not, metadata, []).ok, evidence };
+  const ok = testLeaf(c, metadata);
+  if (ok) evidence.push({ field: c.field, op: c.op, actual: resolve(metadata, c.field) ?? null });
+  return { ok, evidence };
+}
+
+const fill = (template, metadata) => template.replace(/\{([\w.]+)\}/g, (_, p) => {
+  const v = resolve(metadata, p);
+  return v === undefined ? `{${p}}` : String(v);
+});
+
+/**
+ * Evaluate rules against evidence metadata.
+ *
+ * @param {Object[]} rules - From loadRulesPack().
+ * @param {Object} metadata - Arbitrary JSON describing the evidence.
+ * @param {{only?: string[]}} [opts] - Restrict evaluation to these rule ids.
+ * @returns {{findings: Object[], summary: Object}} one finding per evaluated
+ *   rule; `summary` holds counts, the highest triggered severity and
+ *   `score`, the triggered share of total rule weight (0..1).
+ */
+export function evaluateRules(rules, metadata, { only } = {}) {
+  const selected = only ? rules.filter(r => only.includes(r.id)) : rules;
+  const findings = selected.map(r => {
+    const { ok, evidence } = test(r.when, metadata, []);
+    return {
+      id: r.id,
+      brain: r.brain,
+      name: r.name || r.id,
+      severity: r.severity,
+      weight: r.weight,
+      triggered: ok,
+      ...(ok ? { message: fill(r.message || r.description || r.name || r.id, metadata), evidence } : {})
+    };
+  });
+  const hits = findings.filter(f => f.triggered);
+  const totalWeight = findings.reduce((n, f) => n + f.weight, 0);
+  const hitWeight = hits.reduce((n, f) => n + f.weight, 0);
+  const maxSeverity = hits.reduce((m, f) => (SEVERITIES.indexOf(f.severity) > SEVERITIES.indexOf(m) ? f.severity : m), null);
+  return {
+    findings,
+    summary: {
+      evaluated: findings.length,
+      triggered: hits.length,
+      maxSeverity: maxSeverity ?? "none",
+      score: totalWeight ? Number((hitWeight / totalWeight).toFixed(4)) : 0
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// Verification of a sealed PDF brought back to the API. Mirrors
+// receipt-verify.js: every check reports pass / fail / warn / skip, and the
+// seal is genuine when nothing fails. `reasons` restates the failures and
+// warnings in plain language for the front desk.
+import crypto from "crypto";
+import { verifyReceiptJws, keyStatus, canonicalJson } from "./signing.js";
+import { verifyReceipt } from "./receipt-verify.js";
+import { getSeal } from "./seals-kv.js";
+import { extractSeal, xmpValue } from "./pdf/seal-extract.js";
+import { MANIFEST_ATTACHMENT, JWS_ATTACHMENT } from "./pdf/seal-template.js";
+
+const REASONS = {
+  pdf_parse: "The file could not be read as a PDF.",
+  embedded_manifest: "The PDF does not contain a Verum Omnis seal manifest.",
+  signature: "The seal signature is not valid.",
+  key_id: "The seal was signed with a key Verum Omnis does not recognise.",
+  manifest_match: "The embedded seal details were changed after signing.",
+  xmp: "The document metadata does not match the seal.",
+  revisions: "The PDF was edited after it was sealed.",
+  registry: "This PDF is not byte-for-byte the document Verum Omnis issued.",
+  receipt: "The anchor receipt inside the seal does not verify."
+};
+
+function check(name, status, detail) {
+  return detail ? { name, status, detail } : { name, status };
+}
+
+/**
+ * Verify a sealed PDF produced by makeSealedPdf.
+ *
+ * @param {Buffer} buf - The PDF bytes as received.
+ * @returns {Promise<Object>} { valid, verdict, hash, sealedAt, title, reasons, checks }
+ */
+export async function verifySealedPdf(buf) {
+  const checks = [];
+  const finish = (manifest) => {
+    const valid = !checks.some(c => c.status === "fail");
+    const reasons = checks
+      .filter(c => c.status === "fail" || c.status === "warn")
+      .map(c => `${c.status === "fail" ? "FAIL" : "NOTE"}: ${REASONS[c.name] || c.name}${c.detail ? ` (${c.detail})` : ""}`);
+    return {
+      valid,
+      verdict: valid ? "pass" : "fail",
+      hash: manifest?.hash || null,
+      sealedAt: manifest?.sealedAt || null,
+      title: manifest?.title || null,
+      reasons,
+      checks
+    };
+  };
+
+  let extracted;
+  try {
+    extracted = await extractSeal(buf);
+    checks.push(check("pdf_parse", "pass"));
+  } catch (e) {
+    checks.push(check("pdf_parse", "fail", e.message));
+    return finish(null);
+  }
+
+  const jsonBytes = extracted.attachments[MANIFEST_ATTACHMENT];
+  const jws = extracted.attachments[JWS_ATTACHMENT]?.toString("utf8");
+  if (!jws) {
+    checks.push(check("embedded_manifest", "fail", "no signed manifest attached (sealed before PDF/A-3 seals?)"));
+    return finish(null);
+  }
+  checks.push(check("embedded_manifest", "pass"));
+
+  // The JWS is the source of truth; everything else is compared against it
+  let manifest = null;
+  try {
+    const { payload, protectedHeader } = await verifyReceiptJws(jws);
+    manifest = payload;
+    checks.push(check("signature", "pass"));
+    const status = await keyStatus(protectedHeader.kid);
+    checks.push(status === "active" ? check("key_id", "pass") : check("key_id", "warn", `${status} key ${protectedHeader.kid}`));
+  } catch (e) {
+    checks.push(check("signature", "fail", e.code || e.message));
+    return finish(null);
+  }
+
+  let embedded = null;
+  try { embedded = jsonBytes && JSON.parse(jsonBytes.toString("utf8")); } catch { /* reported below */ }
+  checks.push(embedded && canonicalJson(embedded) === canonicalJson(manifest)
+    ? check("manifest_match", "pass")
+    : check("manifest_match", "fail", embedded ? "JSON manifest differs from signed manifest" : "JSON manifest missing or unreadable"));
+
+  checks.push(xmpValue(extracted.xmp, "hash") === manifest.hash
+    ? check("xmp", "pass")
+    : check("xmp", "fail", "vo:hash missing or different"));
+
+  checks.push(extracted.revisions <= 1
+    ? check("revisions", "pass")
+    : check("revisions", "fail", `${extracted.revisions - 1} incremental update(s) after sealing`));
+
+  // Byte-for-byte comparison with what we issued
+  const manifestSha512 = jsonBytes ? crypto.createHash("sha512").update(jsonBytes).digest("hex") : null;
+  const seal = manifestSha512 ? await getSeal(manifestSha512) : null;
+  const pdfSha512 = crypto.createHash("sha512").update(buf).digest("hex");
+  if (!seal) {
+    checks.push(check("registry", "warn", "no issuance record found; structural checks only"));
+  } else if (seal.pdfSha512 === pdfSha512) {
+    checks.push(check("registry", "pass"));
+  } else {
+    checks.push(check("registry", "fail", "PDF bytes differ from the issued seal"));
+  }
+
+  if (manifest.receipt) {
+    const r = await verifyReceipt(manifest.receipt);
+    const failed = r.checks.filter(c => c.status === "fail").map(c => c.name);
+    checks.push(r.valid ? check("receipt", "pass") : check("receipt", "fail", failed.join(", ")));
+  } else {
+    checks.push(check("receipt", "skip", "hash was not anchored when sealed"));
+  }
+
+  return finish(manifest);
+}
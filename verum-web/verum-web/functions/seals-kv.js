@@ -0,0 +1,25 @@
+// Registry of sealed PDFs. Each seal is keyed by the SHA-512 of its embedded
+// manifest and records the SHA-512 of the exact PDF bytes we returned, so a
+// PDF brought back for verification can be compared byte-for-byte with what
+// was issued. Backed by the same record store as receipts.
+import { openStore, makeRecord } from "./stores/index.js";
+
+function store() {
+  return openStore("seals");
+}
+
+/**
+ * Record an issued seal.
+ *
+ * @param {string} manifestSha512 - SHA-512 of the embedded manifest JSON.
+ * @param {Object} seal - At least { hash, pdfSha512, sealedAt }.
+ */
+export async function registerSeal(manifestSha512, seal) {
+  const { record } = await store().create(makeRecord(manifestSha512, seal));
+  return record.value;
+}
+
+export async function getSeal(manifestSha512) {
+  const record = await store().get(manifestSha512);
+  return record ? record.value : null;
+}
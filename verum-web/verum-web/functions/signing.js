@@ -0,0 +1,214 @@
+// Ed25519 signing keys.
+//
+// VOSIGNINGKEY is the single active signer (PKCS#8 PEM or private JWK).
+// VOVERIFYKEYS holds previously active keys as a JSON array of public JWKs;
+// they are published and accepted for verification but never used to sign, so
+// rotating the signer does not invalidate anything signed before. Every key is
+// identified by a `kid`: the JWK's own kid if it has one, otherwise its RFC 7638
+// thumbprint. Verify-only JWKs may carry a `retiredAt` ISO date.
+//
+// Two signature forms are issued:
+//   signPayload - short-lived JWT (1 hour) for manifests and other live answers
+//   signReceipt - non-expiring detached JWS over the canonical JSON of an
+//                 evidentiary receipt, so it stays verifiable for as long as the
+//                 key is published
+import crypto from "crypto";
+import {
+  SignJWT, CompactSign, compactVerify, importPKCS8, importJWK,
+  calculateJwkThumbprint, jwtVerify, createLocalJWKSet
+} from "jose";
+import { VOSIGNINGKEY, VOSIGNINGKEY_KID, VOSIGNINGKEY_SINCE, VOVERIFYKEYS } from "./config.js";
+
+export const JWKS_PATH = "/.well-known/jwks.json";
+
+function publicJwk(jwk) {
+  const { d, p, q, dp, dq, qi, ...pub } = jwk;
+  return pub;
+}
+
+async function withKid(jwk, kid) {
+  return { ...jwk, kid: kid || jwk.kid || await calculateJwkThumbprint(jwk) };
+}
+
+const VERIFY_JWK_KEYS = new Set(["kty", "crv", "x", "kid", "alg", "use", "retiredAt"]);
+
+function validateVerifyKey(jwk, i) {
+  const where = `VOVERIFYKEYS[${i}]`;
+  if (!jwk || typeof jwk !== "object" || Array.isArray(jwk)) return [`${where}: must be an object`];
+  if ("d" in jwk) return [`${where}: private key material; list public JWKs only`];
+  const errors = Object.keys(jwk).filter(k => !VERIFY_JWK_KEYS.has(k)).map(k => `${where}: unknown key "${k}"`);
+  if (jwk.kty !== "OKP" || jwk.crv !== "Ed25519") errors.push(`${where}: Ed25519 key (kty "OKP", crv "Ed25519")`);
+  if (typeof jwk.x !== "string" || !/^[A-Za-z0-9_-]{43}$/.test(jwk.x)) errors.push(`${where}.x: base64url public key`);
+  if (jwk.kid !== undefined && !(typeof jwk.kid === "string" && jwk.kid)) errors.push(`${where}.kid: non-empty string`);
+  if (jwk.retiredAt !== undefined && Number.isNaN(Date.parse(jwk.retiredAt))) errors.push(`${where}.retiredAt: ISO date`);
+  return errors;
+}
+
+/**
+ * Parse and validate the verify-only keys.
+ *
+ * @param {string} json - VOVERIFYKEYS contents; empty means none.
+ * @returns {{keys: Object[], errors: string[]}} invalid keys are left out.
+ */
+export function parseVerifyKeys(json = VOVERIFYKEYS) {
+  if (!json.trim()) return { keys: [], errors: [] };
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch (e) {
+    return { keys: [], errors: [`VOVERIFYKEYS: invalid JSON (${e.message})`] };
+  }
+  if (!Array.isArray(doc)) return { keys: [], errors: ["VOVERIFYKEYS: must be an array"] };
+  const keys = [];
+  const errors = [];
+  doc.forEach((jwk, i) => {
+    const problems = validateVerifyKey(jwk, i);
+    errors.push(...problems);
+    if (!problems.length) keys.push(jwk);
+  });
+  return { keys, errors };
+}
+
+let verifyKeys = null;
+
+/** Configured verify-only keys, parsed once per instance. */
+export function getVerifyKeys() {
+  if (!verifyKeys) verifyKeys = parseVerifyKeys();
+  return verifyKeys;
+}
+
+let keysPromise = null;
+async function loadKeys() {
+  if (!VOSIGNINGKEY) throw new Error("VOSIGNINGKEY not set");
+  let privateKey, activeJwk;
+  if (VOSIGNINGKEY.includes("BEGIN PRIVATE KEY")) {
+    privateKey = await importPKCS8(VOSIGNINGKEY, "EdDSA");
+    activeJwk = crypto.createPublicKey(VOSIGNINGKEY).export({ format: "jwk" });
+  } else {
+    const jwk = JSON.parse(VOSIGNINGKEY);
+    privateKey = await importJWK(jwk, "EdDSA");
+    activeJwk = publicJwk(jwk);
+  }
+  const active = await withKid({ ...activeJwk, alg: "EdDSA", use: "sig" }, VOSIGNINGKEY_KID);
+
+  const verifyOnly = [];
+  for (const jwk of getVerifyKeys().keys) {
+    const { retiredAt, ...key } = jwk;
+    const withId = await withKid({ ...key, alg: "EdDSA", use: "sig" });
+    if (withId.kid === active.kid) continue;
+    verifyOnly.push({ jwk: withId, retiredAt: retiredAt || null });
+  }
+  const jwks = { keys: [active, ...verifyOnly.map(k => k.jwk)] };
+  return { privateKey, active, verifyOnly, jwks, keySet: createLocalJWKSet(jwks) };
+}
+function keys() {
+  if (!keysPromise) keysPromise = loadKeys().catch(e => { keysPromise = null; throw e; });
+  return keysPromise;
+}
+
+// Public JWK Set served at /.well-known/jwks.json
+export async function getJwks() {
+  return (await keys()).jwks;
+}
+
+// Key rotation metadata surfaced in /v1/verify
+export async function keyInfo() {
+  const { active, verifyOnly } = await keys();
+  return {
+    activeKid: active.kid,
+    activeSince: VOSIGNINGKEY_SINCE || null,
+    verifyOnly: verifyOnly.map(k => ({ kid: k.jwk.kid, retiredAt: k.retiredAt })),
+    jwksUri: JWKS_PATH
+  };
+}
+
+// Short-lived JWT by default; pass ttlSec: null for records that must stay
+// verifiable indefinitely (audit trails).
+export async function signPayload(payload, { ttlSec = 60 * 60 } = {}) {
+  const { privateKey, active } = await keys();
+  const now = Math.floor(Date.now() / 1000);
+  const jwt = new SignJWT(payload)
+    .setProtectedHeader({ alg: "EdDSA", typ: "JWT", kid: active.kid })
+    .setIssuedAt(now)
+    .setIssuer("verum.omnis");
+  if (ttlSec) jwt.setExpirationTime(now + ttlSec);
+  return await jwt.sign(privateKey);
+}
+
+// Deterministic JSON: object keys sorted recursively, no whitespace.
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Sign a receipt body as a detached JWS (RFC 7515 Appendix F). The payload
+ * segment is left empty; verifiers rebuild it from the receipt itself, minus
+ * its `signature` field. There is no expiry.
+ *
+ * @param {Object} body - Receipt without a `signature` field.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.detached=true] - Pass false for a self-contained
+ *   compact JWS carrying the canonical JSON as its payload (used where the
+ *   signature travels without the API, e.g. inside sealed PDFs).
+ * @returns {Promise<string>} "<protected>..<signature>" or a full compact JWS
+ */
+export async function signReceipt(body, { detached = true } = {}) {
+  const { privateKey, active } = await keys();
+  const jws = await new CompactSign(Buffer.from(canonicalJson(body), "utf8"))
+    .setProtectedHeader({ alg: "EdDSA", kid: active.kid, typ: "vo-receipt+jws" })
+    .sign(privateKey);
+  if (!detached) return jws;
+  const [header, , sig] = jws.split(".");
+  return `${header}..${sig}`;
+}
+
+/**
+ * Verify a detached receipt signature against the receipt body.
+ *
+ * @returns {Promise<{protectedHeader: Object}>} Throws if the signature, key id
+ *   or payload does not check out.
+ */
+export async function verifyReceiptSignature(signature, body) {
+  const { keySet } = await keys();
+  const [header, , sig] = signature.split(".");
+  const payload = Buffer.from(canonicalJson(body), "utf8").toString("base64url");
+  const { protectedHeader } = await compactVerify(`${header}.${payload}.${sig}`, keySet, { algorithms: ["EdDSA"] });
+  return { protectedHeader };
+}
+
+/**
+ * Verify a self-contained compact JWS from signReceipt(body, { detached: false }).
+ *
+ * @returns {Promise<{payload: Object, protectedHeader: Object}>}
+ */
+export async function verifyReceiptJws(jws) {
+  const { keySet } = await keys();
+  const { payload, protectedHeader } = await compactVerify(jws, keySet, { algorithms: ["EdDSA"] });
+  return { payload: JSON.parse(Buffer.from(payload).toString("utf8")), protectedHeader };
+}
+
+// "active", "retired" or null for a kid we never published
+export async function keyStatus(kid) {
+  const { active, verifyOnly } = await keys();
+  if (kid === active.kid) return "active";
+  return verifyOnly.some(k => k.jwk.kid === kid) ? "retired" : null;
+}
+
+/**
+ * Verify a JWT against the published key set (active and verify-only keys).
+ *
+ * @param {string} token - Compact JWS.
+ * @param {Object} [opts] - Extra jose jwtVerify options.
+ * @returns {Promise<{payload: Object, protectedHeader: Object}>}
+ */
+export async function verifyToken(token, opts = {}) {
+  const { keySet } = await keys();
+  return jwtVerify(token, keySet, { issuer: "verum.omnis", algorithms: ["EdDSA"], ...opts });
+}
@@ -0,0 +1,81 @@
+// Append-only JSONL record store. Every write appends one line, so the file is
+// an audit trail of everything the instance stored; the in-memory index is
+// rebuilt by replaying the log on open. Suited to single-node or self-hosted
+// deployments with a persistent disk.
+import fs from "fs";
+import path from "path";
+import { matchesQuery, isExpired, updatedRecord } from "./query.js";
+
+export function createFileStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const kv = new Map();
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; } // torn final write
+      if (entry.op === "del") kv.delete(entry.key);
+      else if (entry.op === "set") kv.set(entry.record.key, entry.record);
+    }
+  }
+
+  function append(entry) {
+    fs.appendFileSync(filePath, JSON.stringify(entry) + "\n");
+  }
+
+  return {
+    kind: "file",
+
+    async get(key) {
+      return kv.get(key) || null;
+    },
+
+    async create(record) {
+      const existing = kv.get(record.key);
+      if (existing && !isExpired(existing)) return { record: existing, created: false };
+      append({ op: "set", record });
+      kv.set(record.key, record);
+      return { record, created: true };
+    },
+
+    async set(record) {
+      append({ op: "set", record });
+      kv.set(record.key, record);
+      return record;
+    },
+
+    // Reads and appends synchronously, so updates from one process never interleave
+    async update(key, fn) {
+      const record = updatedRecord(key, kv.get(key), fn);
+      append({ op: "set", record });
+      kv.set(key, record);
+      return record;
+    },
+
+    async delete(key) {
+      if (!kv.has(key)) return;
+      append({ op: "del", key });
+      kv.delete(key);
+    },
+
+    async list(query = {}) {
+      const out = [...kv.values()].filter(r => matchesQuery(r, query));
+      out.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      return query.limit ? out.slice(0, query.limit) : out;
+    },
+
+    // Rewrite the log without expired records. This is the only operation that
+    // does not append; it is what keeps retention from growing the file forever.
+    async compact() {
+      const now = Date.now();
+      for (const [key, record] of kv) {
+        if (isExpired(record, now)) kv.delete(key);
+      }
+      const tmp = `${filePath}.compact`;
+      fs.writeFileSync(tmp, [...kv.values()].map(record => JSON.stringify({ op: "set", record }) + "\n").join(""));
+      fs.renameSync(tmp, filePath);
+    }
+  };
+}
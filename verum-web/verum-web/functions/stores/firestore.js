@@ -0,0 +1,134 @@
+// Firestore-backed record store. Records are documents keyed by record key in
+// a single collection; create() relies on Firestore's create-if-absent
+// semantics (and a transaction over expired records) so concurrent instances
+// cannot both win the same key.
+//
+// Set FIRESTORE_EMULATOR_HOST to run against the local emulator - the Admin SDK
+// picks it up automatically. Configure a Firestore TTL policy on `expiresAtTs`
+// to have the database enforce retention server-side.
+import { isExpired, updatedRecord } from "./query.js";
+
+const ALREADY_EXISTS = 6; // gRPC status code
+// Page size bounds for limited list() reads that skip expired records
+const LIST_PAGE_MIN = 50;
+const LIST_PAGE_MAX = 500;
+
+let dbPromise = null;
+async function defaultDb() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const { initializeApp, getApps } = await import("firebase-admin/app");
+      const { getFirestore } = await import("firebase-admin/firestore");
+      if (!getApps().length) initializeApp();
+      return getFirestore();
+    })();
+  }
+  return dbPromise;
+}
+
+function toDoc(record) {
+  return {
+    ...record,
+    value: JSON.stringify(record.value),
+    expiresAtTs: record.expiresAt ? new Date(record.expiresAt) : null
+  };
+}
+function fromDoc(data) {
+  if (!data) return null;
+  const { expiresAtTs, ...record } = data;
+  return { ...record, value: JSON.parse(record.value) };
+}
+
+export function createFirestoreStore(collectionName, { db } = {}) {
+  const col = async () => (db || await defaultDb()).collection(collectionName);
+  // Keys may contain characters Firestore reserves in document ids.
+  const docId = (key) => encodeURIComponent(key);
+
+  return {
+    kind: "firestore",
+
+    async get(key) {
+      const snap = await (await col()).doc(docId(key)).get();
+      return snap.exists ? fromDoc(snap.data()) : null;
+    },
+
+    async create(record) {
+      const ref = (await col()).doc(docId(record.key));
+      try {
+        await ref.create(toDoc(record));
+        return { record, created: true };
+      } catch (e) {
+        if (e.code !== ALREADY_EXISTS) throw e;
+      }
+      // Taken: keep a live record, replace an expired one the TTL policy has
+      // not removed yet
+      return ref.firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const existing = snap.exists ? fromDoc(snap.data()) : null;
+        if (existing && !isExpired(existing)) return { record: existing, created: false };
+        tx.set(ref, toDoc(record));
+        return { record, created: true };
+      });
+    },
+
+    async set(record) {
+      await (await col()).doc(docId(record.key)).set(toDoc(record));
+      return record;
+    },
+
+    // A transaction, so concurrent instances never lose each other's update
+    async update(key, fn) {
+      const c = await col();
+      const ref = c.doc(docId(key));
+      return c.firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const record = updatedRecord(key, snap.exists ? fromDoc(snap.data()) : null, fn);
+        tx.set(ref, toDoc(record));
+        return record;
+      });
+    },
+
+    async delete(key) {
+      await (await col()).doc(docId(key)).delete();
+    },
+
+    async list({ prefix, from, to, limit, includeExpired = false } = {}) {
+      let out;
+      if (prefix) {
+        // Prefix scans range over the stored key field (document ids are URI
+        // encoded) and apply the time window in-process.
+        const snap = await (await col())
+          .where("key", ">=", prefix)
+          .where("key", "<", prefix + "\uf8ff")
+          .get();
+        out = snap.docs.map(d => fromDoc(d.data()))
+          .filter(r => (!from || r.createdAt >= from) && (!to || r.createdAt < to))
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      } else {
+        let q = (await col()).orderBy("createdAt");
+        if (from) q = q.where("createdAt", ">=", from);
+        if (to) q = q.where("createdAt", "<", to);
+        if (!limit) {
+          out = (await q.get()).docs.map(d => fromDoc(d.data()));
+        } else {
+          // Expired records are only dropped after the read, so read bounded
+          // pages until `limit` live records turn up or the query runs out
+          const pageSize = includeExpired ? limit : Math.min(Math.max(limit * 2, LIST_PAGE_MIN), LIST_PAGE_MAX);
+          out = [];
+          let last = null;
+          for (;;) {
+            const snap = await (last ? q.startAfter(last) : q).limit(pageSize).get();
+            for (const d of snap.docs) {
+              const record = fromDoc(d.data());
+              if (includeExpired || !isExpired(record)) out.push(record);
+            }
+            if (out.length >= limit || snap.docs.length < pageSize) break;
+            last = snap.docs[snap.docs.length - 1];
+          }
+        }
+      }
+      if (!includeExpired) out = out.filter(r => !isExpired(r));
+      return limit ? out.slice(0, limit) : out;
+    }
+  };
+}
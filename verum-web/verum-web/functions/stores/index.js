@@ -0,0 +1,57 @@
+// Record store factory. Every persistent piece of state (receipts, anchor
+// batches, ...) lives in its own named store, backed by whichever adapter
+// STORE_BACKEND selects:
+//
+//   memory    - in-process Map (default; lost on cold start)
+//   file      - append-only JSONL file per store under STORE_DIR
+//   firestore - one Firestore collection per store, prefixed by STORE_COLLECTION_PREFIX
+//
+// All adapters expose the same async interface:
+//   get(key)               -> record | null
+//   create(record)         -> { record, created }   (insert if absent or expired)
+//   set(record)            -> record                (upsert)
+//   update(key, fn)        -> record                (atomic read-modify-write;
+//                             fn(value | null) returns the new value and may
+//                             run more than once, so it must not side-effect)
+//   delete(key)
+//   list({ prefix, from, to, limit, includeExpired }) -> record[] ordered by createdAt
+import path from "path";
+import { STORE_BACKEND, STORE_DIR, STORE_COLLECTION_PREFIX } from "../config.js";
+import { createMemoryStore } from "./memory.js";
+import { createFileStore } from "./file.js";
+import { createFirestoreStore } from "./firestore.js";
+
+export { isExpired } from "./query.js";
+
+const stores = new Map();
+
+export function openStore(name, backend = STORE_BACKEND) {
+  const id = `${backend}:${name}`;
+  if (stores.has(id)) return stores.get(id);
+  let store;
+  switch (backend) {
+    case "memory":
+      store = createMemoryStore();
+      break;
+    case "file":
+      store = createFileStore(path.join(STORE_DIR, `${name}.jsonl`));
+      break;
+    case "firestore":
+      store = createFirestoreStore(`${STORE_COLLECTION_PREFIX}${name}`);
+      break;
+    default:
+      throw new Error(`unknown STORE_BACKEND: ${backend}`);
+  }
+  stores.set(id, store);
+  return store;
+}
+
+// Build a record with consistent timestamps. ttlMs <= 0 means no expiry.
+export function makeRecord(key, value, { ttlMs = 0, now = Date.now() } = {}) {
+  return {
+    key,
+    value,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: ttlMs > 0 ? new Date(now + ttlMs).toISOString() : null
+  };
+}
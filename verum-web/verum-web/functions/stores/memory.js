@@ -0,0 +1,45 @@
+// In-process record store. Fast and dependency-free, but every instance has its
+// own copy and everything is lost on cold start - use it for local runs only.
+import { matchesQuery, isExpired, updatedRecord } from "./query.js";
+
+export function createMemoryStore() {
+  const kv = new Map();
+
+  return {
+    kind: "memory",
+
+    async get(key) {
+      return kv.get(key) || null;
+    },
+
+    // Insert only if the key is new or its record has expired; otherwise hand
+    // back the stored record.
+    async create(record) {
+      const existing = kv.get(record.key);
+      if (existing && !isExpired(existing)) return { record: existing, created: false };
+      kv.set(record.key, record);
+      return { record, created: true };
+    },
+
+    async set(record) {
+      kv.set(record.key, record);
+      return record;
+    },
+
+    async update(key, fn) {
+      const record = updatedRecord(key, kv.get(key), fn);
+      kv.set(key, record);
+      return record;
+    },
+
+    async delete(key) {
+      kv.delete(key);
+    },
+
+    async list(query = {}) {
+      const out = [...kv.values()].filter(r => matchesQuery(r, query));
+      out.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      return query.limit ? out.slice(0, query.limit) : out;
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// Shared filtering and updates for stores that evaluate queries in-process.
+//
+// Every record has the shape { key, value, createdAt, expiresAt } where the
+// timestamps are ISO-8601 strings (expiresAt may be null).
+
+export function isExpired(record, now = Date.now()) {
+  return !!record.expiresAt && Date.parse(record.expiresAt) <= now;
+}
+
+// The record update(key, fn) stores: fn sees a copy of the current value (null
+// for a new or expired record), and a new record never expires.
+export function updatedRecord(key, existing, fn, now = Date.now()) {
+  const live = existing && !isExpired(existing, now) ? existing : null;
+  return {
+    key,
+    value: fn(live ? structuredClone(live.value) : null),
+    createdAt: live ? live.createdAt : new Date(now).toISOString(),
+    expiresAt: live ? live.expiresAt : null
+  };
+}
+
+export function matchesQuery(record, { prefix, from, to, includeExpired = false } = {}) {
+  if (prefix && !record.key.startsWith(prefix)) return false;
+  if (from && record.createdAt < from) return false;
+  if (to && record.createdAt >= to) return false;
+  if (!includeExpired && isExpired(record)) return false;
+  return true;
+}
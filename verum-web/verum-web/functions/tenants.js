@@ -0,0 +1,152 @@
+// Institutional tenants and their API keys, from VOTENANTS (JSON array):
+//
+//   [{
+//     "id": "acme-legal",
+//     "name": "Acme Legal LLP",
+//     "keys": [{ "id": "acme-2026a", "sha512": "<SHA-512 hex of the key>" }],
+//     "rateLimits": { "tight": 300, "normal": 3000 },   // per window, see index.js
+//     "quotas": { "anchor": 10000, "seal": 2000, "chat_tokens": 5000000 },  // soft, per calendar month (UTC)
+//     "branding": {                       // sealed PDFs, all optional
+//       "logo": "acme.png",               // file in assets/branding
+//       "primaryColor": "#0a3d62",
+//       "footer": "Acme Legal LLP - Confidential",
+//       "template": "formal",             // default template and locale, see pdf/
+//       "locale": "fr"
+//     }
+//   }]
+//
+// Only key hashes are configured; clients send the key itself as X-API-Key.
+// Requests without a key stay anonymous and keep the IP-based limits, so
+// private citizens never need an account.
+import fs from "fs";
+import path from "path";
+import { VOTENANTS, BRANDING_DIR, sha512Hex } from "./config.js";
+import { SEAL_TEMPLATES } from "./pdf/seal-template.js";
+import { SEAL_LOCALES } from "./pdf/seal-locales.js";
+
+export const QUOTA_METRICS = ["anchor", "seal", "chat_tokens"];
+export const RATE_LIMIT_TIERS = ["tight", "normal"];
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{1,62}$/;
+const TENANT_KEYS = new Set(["id", "name", "keys", "rateLimits", "quotas", "branding"]);
+const BRANDING_KEYS = ["logo", "primaryColor", "footer", "template", "locale"];
+const LOGO_RE = /^[\w.-]+\.(png|jpe?g)$/i;
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+function validateLimits(obj, allowed, where) {
+  if (obj === undefined) return [];
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return [`${where}: must be an object`];
+  return Object.entries(obj).flatMap(([k, v]) => {
+    if (!allowed.includes(k)) return [`${where}: unknown key "${k}"`];
+    return isCount(v) ? [] : [`${where}.${k}: non-negative integer`];
+  });
+}
+
+function validateBranding(b, where) {
+  if (b === undefined) return [];
+  if (!b || typeof b !== "object" || Array.isArray(b)) return [`${where}: must be an object`];
+  const errors = Object.keys(b).filter(k => !BRANDING_KEYS.includes(k)).map(k => `${where}: unknown key "${k}"`);
+  if (b.logo !== undefined) {
+    if (typeof b.logo !== "string" || !LOGO_RE.test(b.logo)) errors.push(`${where}.logo: PNG or JPEG file name in assets/branding`);
+    else if (!fs.existsSync(path.join(BRANDING_DIR, b.logo))) errors.push(`${where}.logo: assets/branding/${b.logo} not found`);
+  }
+  if (b.primaryColor !== undefined && !(typeof b.primaryColor === "string" && COLOR_RE.test(b.primaryColor))) {
+    errors.push(`${where}.primaryColor: "#rrggbb"`);
+  }
+  if (b.footer !== undefined && !(typeof b.footer === "string" && b.footer.length <= 200)) errors.push(`${where}.footer: string, at most 200 characters`);
+  if (b.template !== undefined && !SEAL_TEMPLATES[b.template]) errors.push(`${where}.template: one of ${Object.keys(SEAL_TEMPLATES).join(", ")}`);
+  if (b.locale !== undefined && !SEAL_LOCALES[b.locale]) errors.push(`${where}.locale: one of ${Object.keys(SEAL_LOCALES).join(", ")}`);
+  return errors;
+}
+
+function validateTenant(t, i) {
+  const where = `tenants[${i}]`;
+  if (!t || typeof t !== "object" || Array.isArray(t)) return [`${where}: must be an object`];
+  const errors = [];
+  for (const k of Object.keys(t)) if (!TENANT_KEYS.has(k)) errors.push(`${where}: unknown key "${k}"`);
+  if (typeof t.id !== "string" || !ID_RE.test(t.id)) errors.push(`${where}.id: required, ${ID_RE}`);
+  if (typeof t.name !== "string" || !t.name.trim()) errors.push(`${where}.name: required string`);
+  if (!Array.isArray(t.keys) || !t.keys.length) {
+    errors.push(`${where}.keys: required non-empty array`);
+  } else {
+    t.keys.forEach((k, j) => {
+      if (typeof k?.id !== "string" || !ID_RE.test(k.id)) errors.push(`${where}.keys[${j}].id: required, ${ID_RE}`);
+      if (typeof k?.sha512 !== "string" || !/^[a-f0-9]{128}$/.test(k.sha512)) errors.push(`${where}.keys[${j}].sha512: SHA-512 hex of the key`);
+    });
+  }
+  errors.push(...validateLimits(t.rateLimits, RATE_LIMIT_TIERS, `${where}.rateLimits`));
+  errors.push(...validateLimits(t.quotas, QUOTA_METRICS, `${where}.quotas`));
+  errors.push(...validateBranding(t.branding, `${where}.branding`));
+  return errors;
+}
+
+/**
+ * Parse and validate a tenants document.
+ *
+ * @param {string} json - VOTENANTS contents; empty means no tenants.
+ * @returns {{tenants: Map<string, Object>, byKeyHash: Map<string, Object>, errors: string[]}}
+ *   invalid tenants are left out; `byKeyHash` maps a key's SHA-512 to
+ *   { tenant, keyId }.
+ */
+export function loadTenants(json = VOTENANTS) {
+  const tenants = new Map();
+  const byKeyHash = new Map();
+  const errors = [];
+  if (!json.trim()) return { tenants, byKeyHash, errors };
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch (e) {
+    return { tenants, byKeyHash, errors: [`VOTENANTS: invalid JSON (${e.message})`] };
+  }
+  if (!Array.isArray(doc)) return { tenants, byKeyHash, errors: ["VOTENANTS: must be an array"] };
+  doc.forEach((t, i) => {
+    const problems = validateTenant(t, i);
+    if (!problems.length && tenants.has(t.id)) problems.push(`tenants[${i}]: duplicate id "${t.id}"`);
+    for (const k of problems.length ? [] : t.keys) {
+      if (byKeyHash.has(k.sha512)) problems.push(`tenants[${i}]: key "${k.id}" is already assigned`);
+    }
+    errors.push(...problems);
+    if (problems.length) return;
+    const { logo, ...branding } = t.branding || {};
+    const tenant = {
+      id: t.id, name: t.name, rateLimits: t.rateLimits || {}, quotas: t.quotas || {},
+      branding: { ...branding, logoPath: logo ? path.join(BRANDING_DIR, logo) : null }
+    };
+    tenants.set(t.id, tenant);
+    for (const k of t.keys) byKeyHash.set(k.sha512, { tenant, keyId: k.id });
+  });
+  return { tenants, byKeyHash, errors };
+}
+
+let loaded = null;
+
+/** Configured tenants, parsed once per instance. */
+export function getTenants() {
+  if (!loaded) loaded = loadTenants();
+  return loaded;
+}
+
+/** A tenant by id, or null. */
+export function getTenant(id) {
+  return getTenants().tenants.get(id) || null;
+}
+
+/**
+ * Express middleware: resolves X-API-Key to `req.tenant` ({ id, name, keyId,
+ * rateLimits, quotas, branding }), or null for anonymous requests. An unknown key is
+ * rejected rather than downgraded to anonymous, so a typo never silently
+ * drops a client to citizen limits.
+ */
+export function tenantAuth(req, res, next) {
+  const key = req.get("x-api-key");
+  if (!key) {
+    req.tenant = null;
+    return next();
+  }
+  const hit = getTenants().byKeyHash.get(sha512Hex(key));
+  if (!hit) return res.status(401).json({ ok: false, error: "invalid_api_key" });
+  req.tenant = { ...hit.tenant, keyId: hit.keyId };
+  next();
+}
@@ -0,0 +1,86 @@
+// Chat audit records: hash-only, signed, and verifiable with the published
+// JWKS. A signing key is set before config.js loads.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { jwtVerify, createLocalJWKSet, decodeJwt } from "jose";
+
+process.env.VOSIGNINGKEY = crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" });
+const { sha512Hex } = await import("../config.js");
+const { verifyToken, getJwks, canonicalJson } = await import("../signing.js");
+const { signChatAudit, verifyChatAudit, hashMessages, CHAT_AUDIT_TYPE } = await import("../chat/audit.js");
+
+const SECRET = "Jane Example lives at 12 Harbour Road";
+const messages = [
+  { role: "user", content: `Summarise the statement of ${SECRET}.` },
+  { role: "assistant", content: "Which statement?" },
+  { role: "user", content: "The signed one from March." }
+];
+const answers = [
+  { provider: "mock", model: "mock-a", message: `The statement says ${SECRET} signed in March.` },
+  { provider: "mock", model: "mock-b", message: "It was signed in March." }
+];
+const toolCalls = [{ provider: "mock", model: "mock-a", name: "get_receipt", ok: true, result: { found: true, note: SECRET } }];
+
+const audit = () => signChatAudit({
+  provider: "verum",
+  messages,
+  systemPrompt: "You are the Verum Omnis assistant.",
+  answers,
+  winner: answers[0],
+  consensus: "pass",
+  sims: [{ i: 0, j: 1, score: 0.812345 }],
+  method: "claims",
+  threshold: 1,
+  toolCalls
+});
+
+test("the record holds hashes of canonical JSON and of the texts, never the texts", async () => {
+  const { record, jwt } = await audit();
+  assert.equal(record.type, CHAT_AUDIT_TYPE);
+  assert.equal(record.inputSha512, sha512Hex(canonicalJson(messages)));
+  // Key order in the client's messages does not change the input hash
+  assert.equal(hashMessages(messages.map(m => ({ content: m.content, role: m.role }))), record.inputSha512);
+  assert.equal(record.messageSha512, sha512Hex(answers[0].message));
+  assert.deepEqual(record.answers.map(a => a.sha512), answers.map(a => sha512Hex(a.message)));
+  assert.equal(record.toolCalls[0].resultSha512, sha512Hex(canonicalJson(toolCalls[0].result)));
+  assert.deepEqual(record.sims, [{ i: 0, j: 1, score: 0.8123 }]);
+
+  const token = JSON.stringify(decodeJwt(jwt));
+  for (const text of [SECRET, "Harbour", "signed one from March", "Verum Omnis assistant", "It was signed in March."]) {
+    assert.ok(!token.includes(text), `audit token leaks "${text}"`);
+    assert.ok(!JSON.stringify(record).includes(text), `audit record leaks "${text}"`);
+  }
+});
+
+test("the token verifies with verifyToken and with the published JWKS alone", async () => {
+  const { record, jwt } = await audit();
+  const { payload } = await verifyToken(jwt);
+  assert.equal(canonicalJson((({ iat, iss, ...rest }) => rest)(payload)), canonicalJson(record));
+  assert.equal(payload.exp, undefined);
+
+  const { payload: viaJwks, protectedHeader } = await jwtVerify(jwt, createLocalJWKSet(await getJwks()), { issuer: "verum.omnis" });
+  assert.equal(protectedHeader.alg, "EdDSA");
+  assert.equal(viaJwks.messageSha512, record.messageSha512);
+});
+
+test("a conversation is checked against the recorded hashes", async () => {
+  const { jwt } = await audit();
+  const ok = await verifyChatAudit(jwt, { messages, message: answers[0].message });
+  assert.equal(ok.valid, true);
+  assert.deepEqual(ok.checks.map(c => c.status), ["pass", "pass", "pass"]);
+
+  const altered = await verifyChatAudit(jwt, { messages: [...messages.slice(0, 2), { role: "user", content: "The unsigned one." }], message: "Something else." });
+  assert.equal(altered.valid, false);
+  assert.deepEqual(altered.checks.map(c => [c.name, c.status]), [["signature", "pass"], ["input", "fail"], ["answer", "fail"]]);
+});
+
+test("a tampered token fails the signature check", async () => {
+  const { jwt } = await audit();
+  const [header, payload, sig] = jwt.split(".");
+  const body = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  const forged = `${header}.${Buffer.from(JSON.stringify({ ...body, consensus: "fail" })).toString("base64url")}.${sig}`;
+  const out = await verifyChatAudit(forged);
+  assert.equal(out.valid, false);
+  assert.equal(out.checks[0].status, "fail");
+});
@@ -0,0 +1,199 @@
+// Anchor batches on the memory store, published through the local JSON-RPC
+// stand-in. The clock is moved by replacing Date.now.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createLocalRpcServer } from "../anchor/local-rpc.js";
+
+const WINDOW_MS = 60_000;
+const server = createLocalRpcServer();
+// Count requests and let a test make the next few fail like an outage would
+const rpcHandler = server.listeners("request")[0];
+let rpcRequests = 0;
+let failNext = 0;
+server.removeAllListeners("request");
+server.on("request", (req, res) => {
+  rpcRequests += 1;
+  if (failNext > 0) {
+    failNext -= 1;
+    return res.writeHead(503).end("unavailable");
+  }
+  rpcHandler(req, res);
+});
+
+let batches, receipts, merkle, stores;
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.STORE_BACKEND = "memory";
+  process.env.ANCHOR_BATCH_WINDOW_SEC = String(WINDOW_MS / 1000);
+  process.env.ANCHOR_PUBLISHER = "jsonrpc";
+  process.env.ANCHOR_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+  batches = await import("../anchor/batches.js");
+  receipts = await import("../receipts-kv.js");
+  merkle = await import("../anchor/merkle.js");
+  stores = await import("../stores/index.js");
+});
+after(() => server.close());
+
+const sign = async (payload) => crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+const evidence = (label) => crypto.createHash("sha512").update(label).digest("hex");
+const realNow = Date.now();
+let nextWindow = 1;
+
+// Each test gets its own window so the batches never overlap
+function freshWindow() {
+  return Math.floor(realNow / WINDOW_MS) * WINDOW_MS + (nextWindow++) * WINDOW_MS;
+}
+
+async function anchorAt(t, now, hash) {
+  t.mock.method(Date, "now", () => now);
+  const win = await batches.enqueueLeaf(hash);
+  const receipt = { ok: true, chain: null, txid: null, hash, anchor: { status: "pending", ...win } };
+  receipt.signature = await sign(receipt);
+  await receipts.putReceipt(hash, receipt);
+  t.mock.restoreAll();
+  return receipt;
+}
+
+function closeWindow(t, start) {
+  t.mock.method(Date, "now", () => start + WINDOW_MS + 10_000);
+}
+
+async function rpc(method, params) {
+  const resp = await fetch(process.env.ANCHOR_RPC_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params })
+  });
+  return (await resp.json()).result;
+}
+
+test("a pending receipt is anchored with a verifiable proof once its window closes", async (t) => {
+  const start = freshWindow();
+  const hashes = ["a", "b", "c"].map(evidence);
+  const pending = [];
+  for (const h of hashes) pending.push(await anchorAt(t, start + 1_000, h));
+
+  // Still open: nothing to seal yet
+  t.mock.method(Date, "now", () => start + 2_000);
+  assert.equal(await batches.sealBatch(pending[0].anchor.batchId, sign), null);
+  assert.equal((await batches.finalizeReceipt(pending[0], sign)).anchor.status, "pending");
+  t.mock.restoreAll();
+
+  closeWindow(t, start);
+  const receipt = await batches.finalizeReceipt(pending[0], sign);
+  assert.equal(receipt.anchor.status, "anchored");
+  assert.equal(receipt.chain, "local");
+  assert.match(receipt.txid, /^0x[a-f0-9]{64}$/);
+  assert.equal(receipt.anchor.leafCount, 3);
+  assert.equal(receipt.anchor.root, merkle.merkleRoot([...hashes].sort()));
+  assert.equal(merkle.verifyInclusion(receipt.hash, receipt.anchor.proof, receipt.anchor.root), true);
+  assert.equal(receipt.signature, await sign((({ signature, ...body }) => body)(receipt)));
+  assert.equal((await rpc("vo_getRoot", [receipt.txid])).root, receipt.anchor.root);
+
+  // Sealing finalized the other receipts in the batch as well
+  for (const h of hashes.slice(1)) {
+    const other = await receipts.getReceipt(h);
+    assert.equal(other.anchor.status, "anchored");
+    assert.equal(other.txid, receipt.txid);
+  }
+});
+
+test("sealing is idempotent and publishes each batch once", async (t) => {
+  const start = freshWindow();
+  const { anchor } = await anchorAt(t, start + 1_000, evidence("idempotent"));
+  closeWindow(t, start);
+
+  const before = rpcRequests;
+  const results = await Promise.all([batches.sealBatch(anchor.batchId, sign), batches.sealBatch(anchor.batchId, sign)]);
+  const again = await batches.sealBatch(anchor.batchId, sign);
+  assert.equal(rpcRequests - before, 1);
+
+  const winner = results.find(Boolean);
+  assert.equal(winner.status, "published");
+  assert.equal(again.txid, winner.txid);
+  assert.equal(again.root, winner.root);
+  assert.equal(winner.publishingBy, undefined);
+  assert.deepEqual(await batches.sealDueBatches(sign), []);
+});
+
+test("an instance holding the publishing claim is left alone until the claim goes stale", async (t) => {
+  const start = freshWindow();
+  const { anchor } = await anchorAt(t, start + 1_000, evidence("claimed"));
+  const sealAt = start + WINDOW_MS + 10_000;
+  closeWindow(t, start);
+
+  // Another instance created the batch and claimed it, then went quiet
+  const leaves = [evidence("claimed")];
+  await stores.openStore("anchor_batches").create(stores.makeRecord(anchor.batchId, {
+    batchId: anchor.batchId,
+    closesAt: anchor.closesAt,
+    algorithm: merkle.MERKLE_ALGORITHM,
+    root: merkle.merkleRoot(leaves),
+    leafCount: 1,
+    leaves,
+    status: "publishing",
+    sealedAt: new Date(sealAt).toISOString(),
+    publishingBy: "other-instance",
+    publishingUntil: new Date(sealAt + 60_000).toISOString()
+  }));
+  assert.equal(await batches.sealBatch(anchor.batchId, sign), null);
+  t.mock.restoreAll();
+
+  t.mock.method(Date, "now", () => sealAt + 60_001);
+  const batch = await batches.sealBatch(anchor.batchId, sign);
+  assert.equal(batch.status, "published");
+  assert.equal(batch.publishingBy, undefined);
+});
+
+test("a leaf that arrives after its batch was sealed moves to the open batch", async (t) => {
+  const start = freshWindow();
+  const { anchor } = await anchorAt(t, start + 1_000, evidence("on time"));
+  closeWindow(t, start);
+  await batches.sealBatch(anchor.batchId, sign);
+  t.mock.restoreAll();
+
+  // Stored under the sealed batch but never part of its leaves
+  const late = { ok: true, chain: null, txid: null, hash: evidence("late"), anchor: { ...anchor } };
+  late.signature = await sign(late);
+  await receipts.putReceipt(late.hash, late);
+
+  const later = freshWindow() + 1_000;
+  t.mock.method(Date, "now", () => later);
+  const moved = await batches.finalizeReceipt(late, sign);
+  assert.equal(moved.anchor.status, "pending");
+  assert.equal(moved.anchor.batchId, batches.batchWindow(later).batchId);
+  assert.notEqual(moved.anchor.batchId, anchor.batchId);
+  assert.deepEqual(await receipts.getReceipt(late.hash), moved);
+  t.mock.restoreAll();
+
+  closeWindow(t, later - 1_000);
+  const anchored = await batches.finalizeReceipt(moved, sign);
+  assert.equal(anchored.anchor.status, "anchored");
+  assert.equal(anchored.anchor.leafCount, 1);
+});
+
+test("a publisher outage leaves receipts pending and does not stop other batches", async (t) => {
+  const first = freshWindow();
+  const second = freshWindow();
+  const stuck = await anchorAt(t, first + 1_000, evidence("outage"));
+  const other = await anchorAt(t, second + 1_000, evidence("unaffected"));
+  closeWindow(t, second);
+
+  failNext = 1;
+  assert.deepEqual(await batches.finalizeReceipt(stuck, sign), stuck);
+  const failed = await batches.getBatch(stuck.anchor.batchId);
+  assert.equal(failed.status, "publishing");
+  // The failed attempt released its claim so the next pass can retry at once
+  assert.equal(failed.publishingBy, undefined);
+
+  failNext = 1;
+  const sealed = await batches.sealDueBatches(sign);
+  assert.deepEqual(sealed.map(b => b.batchId), [other.anchor.batchId]);
+  assert.equal((await receipts.getReceipt(stuck.hash)).anchor.status, "pending");
+  assert.equal((await receipts.getReceipt(other.hash)).anchor.status, "anchored");
+
+  const retried = await batches.sealDueBatches(sign);
+  assert.deepEqual(retried.map(b => b.batchId), [stuck.anchor.batchId]);
+  assert.equal((await receipts.getReceipt(stuck.hash)).anchor.status, "anchored");
+});
@@ -0,0 +1,51 @@
+// Visual run ordering for mixed Arabic, Latin and numbers in seal PDFs.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { visualRuns, detectDirection, hasRtl, rtlRunText } from "../pdf/bidi.js";
+
+const texts = (line, dir) => visualRuns(line, dir).map(r => r.text);
+
+test("paragraph direction comes from the first strong letter", () => {
+  assert.equal(detectDirection("12 مرحبا abc"), "rtl");
+  assert.equal(detectDirection("Case مرحبا"), "ltr");
+  assert.equal(detectDirection("12.5%", "rtl"), "rtl");
+  assert.equal(hasRtl("Case 12"), false);
+  assert.equal(hasRtl("שלום"), true);
+});
+
+test("single-direction lines are one run", () => {
+  assert.deepEqual(visualRuns("Case 2024/117", "ltr"), [{ text: "Case 2024/117", rtl: false }]);
+  assert.deepEqual(visualRuns("مرحبا بالعالم", "rtl"), [{ text: "مرحبا بالعالم", rtl: true }]);
+  assert.deepEqual(visualRuns("", "rtl"), []);
+});
+
+test("a percentage stays whole inside right-to-left text", () => {
+  assert.deepEqual(texts("مرحبا 12.5% abc", "rtl"), ["abc", " ", "12.5%", "مرحبا "]);
+  assert.deepEqual(texts("مرحبا 12.5% abc", "ltr"), ["12.5%", "مرحبا ", " abc"]);
+  assert.deepEqual(texts("خصم ٪50", "rtl"), ["٪50", "خصم "]);
+});
+
+test("currency symbols and signs join their number", () => {
+  assert.deepEqual(texts("المبلغ $40 فقط", "rtl"), [" فقط", "$40", "المبلغ "]);
+  assert.deepEqual(texts("المبلغ 40€ فقط", "rtl"), [" فقط", "40€", "المبلغ "]);
+  assert.deepEqual(texts("الرصيد -3 نقاط", "rtl"), [" نقاط", "-3", "الرصيد "]);
+  assert.deepEqual(texts("الفرق +2.5 نقطة", "rtl"), [" نقطة", "+2.5", "الفرق "]);
+});
+
+test("separators between digits belong to the number, elsewhere they are neutral", () => {
+  assert.deepEqual(texts("قضية 2024-117", "rtl"), ["2024-117", "قضية "]);
+  assert.deepEqual(texts("قضية 1,5 و 3", "rtl"), ["3", " و ", "1,5", "قضية "]);
+  assert.deepEqual(texts("قضية - 3", "rtl"), ["3", "قضية - "]);
+  assert.deepEqual(texts("٣٫٥ مرحبا", "rtl"), [" مرحبا", "٣٫٥"]);
+});
+
+test("numbers after a Latin word stay in the Latin run", () => {
+  assert.deepEqual(texts("ملاحظة Case 117 هنا", "rtl"), [" هنا", "Case 117", "ملاحظة "]);
+  assert.deepEqual(texts("Invoice مرحبا 5%", "ltr"), ["Invoice ", "5%", "مرحبا "]);
+});
+
+test("right-to-left runs mirror brackets and reverse runs without letters", () => {
+  assert.equal(rtlRunText("(مرحبا)"), ")مرحبا(");
+  assert.equal(rtlRunText(" - "), " - ");
+  assert.equal(rtlRunText("(: "), " :)");
+});
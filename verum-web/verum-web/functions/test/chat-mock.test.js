@@ -0,0 +1,102 @@
+// The /v1/chat flow on the deterministic mock provider: consensus, tool calls
+// and SSE streaming. Offline: MOCK_LLM is switched on before config.js loads.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.MOCK_LLM = "on";
+const { verumPanel } = await import("../chat/consensus.js");
+const { callWithTools } = await import("../chat/tools.js");
+const { openSse, readSse } = await import("../chat/sse.js");
+
+const PANEL = [
+  { provider: "mock", model: "mock-a" },
+  { provider: "mock", model: "mock-b" },
+  { provider: "mock", model: "dissent-c" }
+];
+const ask = (content) => [{ role: "system", content: "test" }, { role: "user", content }];
+
+// Just enough of an Express response for openSse
+function fakeResponse() {
+  const res = {
+    body: "",
+    writableEnded: false,
+    status() { return res; },
+    setHeader() {},
+    flushHeaders() {},
+    write(s) { res.body += s; },
+    end() { res.writableEnded = true; }
+  };
+  return res;
+}
+
+test("mock answers are deterministic", async () => {
+  const [a, b] = await Promise.all([
+    callWithTools("mock", "mock-a", ask("How many entries?"), 0.2),
+    callWithTools("mock", "mock-a", ask("How many entries?"), 0.2)
+  ]);
+  assert.equal(a.message, b.message);
+  assert.equal(a.provider, "mock");
+  assert.equal(a.finishReason, "stop");
+  assert.equal(a.usage.totalTokens, a.usage.inputTokens + a.usage.outputTokens);
+});
+
+test("panel consensus passes on the agreeing members and reports the dissent", async () => {
+  const out = await verumPanel(ask("How many entries are in the register?"), 0.2, PANEL);
+  assert.equal(out.consensus, "pass");
+  assert.equal(out.method, "claims");
+  assert.deepEqual(out.panel.map(p => p.ok), [true, true, true]);
+  assert.notEqual(out.winner.model, "dissent-c");
+  assert.ok(out.claims.disputed.some(d => d.type === "verdict" && d.value === "no"));
+  assert.ok(out.claims.disputed.some(d => d.type === "entity" && d.value === "lisbon"));
+});
+
+test("panel consensus fails without an agreeing pair", async () => {
+  const out = await verumPanel(ask("How many entries?"), 0.2, [PANEL[0], PANEL[2]]);
+  assert.equal(out.consensus, "fail");
+  assert.equal(out.winner, null);
+});
+
+test("the mock calls get_receipt for a hash and answers from the result", async () => {
+  const hash = "ab".repeat(64);
+  const runs = [];
+  const out = await callWithTools("mock", "mock-a", ask(`Was ${hash} anchored?`), 0.2, { tools: true, onTool: (run) => runs.push(run) });
+  assert.equal(out.toolCalls.length, 1);
+  assert.deepEqual(runs, out.toolCalls);
+  assert.equal(out.toolCalls[0].name, "get_receipt");
+  assert.equal(out.toolCalls[0].ok, true);
+  assert.deepEqual(out.toolCalls[0].result, { found: false, hash });
+  assert.match(out.message, /get_receipt tool reported/);
+});
+
+test("streamed panel deltas round-trip through the event stream", async () => {
+  const res = fakeResponse();
+  const sse = openSse(res);
+  const out = await verumPanel(ask("How many entries?"), 0.2, PANEL, {
+    onDelta: (m, delta) => sse.send("delta", { model: m.model, delta }),
+    onResult: (m, r) => sse.send("model", { model: m.model, ...r })
+  });
+  sse.send("done", { ok: true, message: out.winner.message });
+  sse.end();
+
+  const events = [];
+  // Split mid-line to exercise reassembly across chunks
+  const bytes = Buffer.from(res.body);
+  for await (const ev of readSse([bytes.subarray(0, 37), bytes.subarray(37)])) events.push({ event: ev.event, ...JSON.parse(ev.data) });
+  for (const member of out.successes) {
+    const text = events.filter(e => e.event === "delta" && e.model === member.model).map(e => e.delta).join("");
+    assert.equal(text, member.message);
+  }
+  assert.equal(events.filter(e => e.event === "model").length, PANEL.length);
+  assert.deepEqual(events.at(-1), { event: "done", ok: true, message: out.winner.message });
+  assert.equal(res.writableEnded, true);
+});
+
+test("panel members without credentials are reported, not called", async () => {
+  const results = [];
+  const out = await verumPanel(ask("How many entries?"), 0.2, [PANEL[0], PANEL[1], { provider: "openai", model: "gpt-4o-mini" }], {
+    onResult: (m, r) => results.push({ provider: m.provider, ...r })
+  });
+  assert.equal(out.consensus, "pass");
+  assert.deepEqual(out.panel[2], { provider: "openai", model: "gpt-4o-mini", ok: false, error: "openai_not_configured", kind: "not_configured", latencyMs: 0 });
+  assert.deepEqual(results.find(r => r.provider === "openai"), { provider: "openai", ok: false, error: "openai_not_configured", kind: "not_configured", latencyMs: 0 });
+});
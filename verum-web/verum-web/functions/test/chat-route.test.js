@@ -0,0 +1,79 @@
+// POST /v1/chat through the Express app on the mock provider: a single
+// provider, the "verum" panel and SSE streaming. MOCK_LLM, VERUM_PANEL and a
+// signing key are set before config.js loads.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+process.env.MOCK_LLM = "on";
+process.env.VERUM_PANEL = "mock:mock-a,mock:mock-b,mock:dissent-c";
+process.env.VOSIGNINGKEY = crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" });
+const { app } = await import("../index.js");
+const { readSse } = await import("../chat/sse.js");
+const { verifyChatAudit } = await import("../chat/audit.js");
+
+let server, base;
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const chat = (body) => fetch(`${base}/v1/chat`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body)
+});
+const messages = [{ role: "user", content: "How many entries are in the register?" }];
+
+test("a single provider answers with message, usage and a signed audit", async () => {
+  const resp = await chat({ provider: "mock", model: "mock-a", messages, tools: false });
+  assert.equal(resp.status, 200);
+  const body = await resp.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.provider, "mock");
+  assert.equal(body.model, "mock-a");
+  assert.equal(body.finishReason, "stop");
+  assert.equal(typeof body.message, "string");
+  assert.equal(body.usage.totalTokens, body.usage.inputTokens + body.usage.outputTokens);
+  const audit = await verifyChatAudit(body.audit.jwt, { messages, message: body.message });
+  assert.equal(audit.valid, true);
+});
+
+test("unknown providers and empty conversations are rejected", async () => {
+  const unknown = await chat({ provider: "nope", messages });
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).error, "unknown_provider");
+  const empty = await chat({ provider: "mock", messages: [] });
+  assert.equal(empty.status, 400);
+  assert.equal((await empty.json()).error, "messages array required");
+});
+
+test("provider verum runs the configured panel and reports the dissent", async () => {
+  const resp = await chat({ provider: "verum", messages, tools: false });
+  assert.equal(resp.status, 200);
+  const body = await resp.json();
+  assert.equal(body.consensus, "pass");
+  assert.equal(body.consensusMethod, "claims");
+  assert.deepEqual(body.panel.map(p => p.model), ["mock-a", "mock-b", "dissent-c"]);
+  assert.equal(body.winnerProvider, "mock");
+  assert.notEqual(body.model, "dissent-c");
+  assert.ok(body.claims.disputed.length > 0);
+});
+
+test("stream: true sends deltas and ends with the same contract as a done event", async () => {
+  const resp = await chat({ provider: "mock", model: "mock-a", messages, stream: true });
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get("content-type"), /^text\/event-stream/);
+  const events = [];
+  for await (const ev of readSse(resp.body)) events.push({ event: ev.event, ...JSON.parse(ev.data) });
+
+  const done = events.at(-1);
+  assert.equal(done.event, "done");
+  assert.equal(done.ok, true);
+  assert.equal(done.model, "mock-a");
+  const text = events.filter(e => e.event === "delta").map(e => e.delta).join("");
+  assert.equal(text, done.message);
+  assert.ok(done.audit.jwt);
+});
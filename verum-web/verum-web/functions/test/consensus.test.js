@@ -0,0 +1,125 @@
+// Claim extraction and 2-of-3 consensus on canned answers. Offline: no
+// provider is called.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractClaims, compareClaims } from "../chat/claims.js";
+import { consensus2of3 } from "../chat/consensus.js";
+import { parseVerumPanel } from "../config.js";
+
+const answer = (message, model = "m") => ({ provider: "mock", model, message });
+
+const GENEVA = "Yes. The Geneva registry lists 1,250 entries, the first filed on March 3, 2021 by Acme Holdings.";
+const GENEVA_REWORDED = "Yes - according to the Geneva registry there are 1250 entries; Acme Holdings filed the first one on 2021-03-03.";
+
+test("extractClaims normalizes verdicts, dates, numbers and entities", () => {
+  assert.deepEqual(extractClaims(GENEVA), {
+    verdict: ["yes"],
+    date: ["2021-03-03"],
+    number: ["1250"],
+    entity: ["geneva", "acme holdings"]
+  });
+});
+
+test("extractClaims ignores list markers and sentence-start words", () => {
+  const c = extractClaims("1. Compute the hash.\n2. Compare it with 42 receipts held by Verum Omnis.");
+  assert.deepEqual(c.number, ["42"]);
+  assert.deepEqual(c.entity, ["verum omnis"]);
+});
+
+test("compareClaims agrees on reworded answers", () => {
+  const c = compareClaims(extractClaims(GENEVA), extractClaims(GENEVA_REWORDED));
+  assert.equal(c.score, 1);
+  assert.deepEqual(c.disputed, []);
+});
+
+test("compareClaims treats extra detail as elaboration", () => {
+  const c = compareClaims(extractClaims("There are 1250 entries."), extractClaims("There are 1250 entries, 17 of them sealed."));
+  assert.equal(c.score, 1);
+});
+
+test("compareClaims scores the share of agreed claims", () => {
+  const c = compareClaims(extractClaims(GENEVA), extractClaims(GENEVA.replace("1,250", "1,350")));
+  // yes, 2021-03-03, geneva and acme holdings agreed; both figures disputed
+  assert.equal(c.score, 4 / 6);
+  assert.deepEqual(c.disputed, ["number:1250", "number:1350"]);
+});
+
+test("compareClaims disputes a single different name", () => {
+  const c = compareClaims(extractClaims(GENEVA), extractClaims(GENEVA.replace("Acme Holdings", "Apex Holdings")));
+  assert.ok(c.score < 1);
+  assert.ok(c.disputed.includes("entity:apex holdings"));
+});
+
+test("compareClaims zeroes the score on opposite verdicts", () => {
+  const c = compareClaims(extractClaims("Yes, the seal is valid."), extractClaims("No, the seal is valid."));
+  assert.equal(c.score, 0);
+  assert.deepEqual(c.disputed, ["verdict:yes", "verdict:no"]);
+});
+
+test("compareClaims returns null without comparable claims", () => {
+  assert.equal(compareClaims(extractClaims("it depends on the case"), extractClaims("hard to say")).score, null);
+});
+
+test("consensus passes on two agreeing answers and reports the dissent", () => {
+  const c = consensus2of3([answer(GENEVA, "a"), answer(GENEVA_REWORDED, "b"), answer(GENEVA.replace("1,250", "980"), "c")], { method: "claims" });
+  assert.equal(c.consensus, "pass");
+  assert.deepEqual(c.pair.map(r => r.model).sort(), ["a", "b"]);
+  assert.ok(c.claims.disputed.some(d => d.type === "number" && d.value === "980"));
+});
+
+test("consensus fails when every pair disagrees on one number", () => {
+  const c = consensus2of3([answer(GENEVA), answer(GENEVA.replace("1,250", "1,350")), answer(GENEVA.replace("1,250", "1,450"))], { method: "claims" });
+  assert.equal(c.consensus, "fail");
+  assert.equal(c.winner, null);
+});
+
+test("consensus fails when many claims agree but one name differs", () => {
+  const long = "Yes. Filed 2021-03-03 in Geneva: 1250 entries, 17 sealed, 4 disputed, 2 withdrawn, 9 pending, by Acme Holdings.";
+  const c = consensus2of3([answer(long), answer(long.replace("Acme Holdings", "Apex Holdings"))], { method: "claims" });
+  assert.equal(c.consensus, "fail");
+  assert.equal(c.sims[0].basis, "claims");
+  // 8 agreed of 10 compared claims: a lower threshold tolerates the dispute
+  const lenient = consensus2of3([answer(long), answer(long.replace("Acme Holdings", "Apex Holdings"))], { method: "claims", threshold: 0.75 });
+  assert.equal(lenient.sims[0].score, 0.8);
+  assert.equal(lenient.consensus, "pass");
+});
+
+test("consensus fails on a yes/no conflict", () => {
+  const c = consensus2of3([answer("Yes, 3 receipts match."), answer("No, 3 receipts match.")], { method: "claims" });
+  assert.equal(c.consensus, "fail");
+});
+
+test("text fallback pairs are held to the jaccard threshold", () => {
+  // Word overlap 0.73: below the claims default, above the jaccard one
+  const a = "the hash was computed over the uploaded document bytes and stored";
+  const b = "the hash was computed over the uploaded document bytes only";
+  const c = consensus2of3([answer(a), answer(b)], { method: "claims" });
+  assert.equal(c.sims[0].basis, "text");
+  assert.equal(c.sims[0].threshold, 0.6);
+  assert.equal(c.threshold, 1);
+  assert.equal(c.consensus, "pass");
+  assert.equal(consensus2of3([answer(a), answer("the hash is stored")], { method: "claims" }).consensus, "fail");
+});
+
+test("jaccard method keeps word-overlap scoring", () => {
+  const c = consensus2of3([answer("the seal is valid"), answer("the seal is valid")], { method: "jaccard" });
+  assert.equal(c.consensus, "pass");
+  assert.equal(c.sims[0].basis, "text");
+});
+
+test("VERUM_PANEL entries without provider:model are reported by position", () => {
+  assert.deepEqual(parseVerumPanel("openai:gpt-4o-mini, mock:mock-a"), {
+    panel: [{ provider: "openai", model: "gpt-4o-mini" }, { provider: "mock", model: "mock-a" }],
+    errors: []
+  });
+  // Only the first colon splits; model names may contain more
+  assert.deepEqual(parseVerumPanel("local:llama3:8b").panel, [{ provider: "local", model: "llama3:8b" }]);
+  assert.deepEqual(parseVerumPanel("openai:gpt-4o-mini,gpt-4o,:model,mock:"), {
+    panel: [{ provider: "openai", model: "gpt-4o-mini" }],
+    errors: [
+      'VERUM_PANEL[1]: "gpt-4o" is not provider:model',
+      'VERUM_PANEL[2]: ":model" is not provider:model',
+      'VERUM_PANEL[3]: "mock:" is not provider:model'
+    ]
+  });
+});
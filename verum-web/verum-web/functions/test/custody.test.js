@@ -0,0 +1,25 @@
+// Custody chains on the memory store.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendCustody, getCustodyChain, verifyCustodyChain } from "../custody-kv.js";
+
+const event = { action: "anchor", actor: "anonymous" };
+
+test("appends link each entry to the one before", async () => {
+  const hash = "c1".repeat(64);
+  const first = await appendCustody(hash, event);
+  const second = await appendCustody(hash, { ...event, action: "receipt" });
+  assert.equal(first.seq, 0);
+  assert.equal(first.prevEntrySha512, null);
+  assert.equal(second.seq, 1);
+  assert.equal(second.prevEntrySha512, first.entrySha512);
+  assert.deepEqual(verifyCustodyChain(await getCustodyChain(hash)), { intact: true, brokenAt: null });
+});
+
+test("concurrent appends form one intact chain", async () => {
+  const hash = "c2".repeat(64);
+  await Promise.all(Array.from({ length: 8 }, () => appendCustody(hash, event)));
+  const chain = await getCustodyChain(hash);
+  assert.deepEqual(chain.map(e => e.seq), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(verifyCustodyChain(chain).intact, true);
+});
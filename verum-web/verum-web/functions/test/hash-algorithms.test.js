@@ -0,0 +1,34 @@
+// Strict hash parsing and the legacy rules for receipts stored before it.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHash, parseRecordedHash, recordAlgorithm, toMultihash } from "../hash-algorithms.js";
+
+const hex = (chars) => "ab".repeat(chars / 2);
+
+test("bare digests default to sha512", () => {
+  assert.deepEqual(parseHash(hex(128)), { ok: true, algorithm: "sha512", hash: hex(128) });
+  const short = parseHash(hex(64));
+  assert.equal(short.error, "hash_length_mismatch");
+  assert.deepEqual(short.candidates, ["sha256"]);
+  assert.equal(parseHash(hex(64), "sha256").ok, true);
+});
+
+test("multihashes name their own algorithm", () => {
+  const mh = toMultihash("sha256", hex(64));
+  assert.deepEqual(parseHash(mh), { ok: true, algorithm: "sha256", hash: hex(64), multihash: mh });
+  assert.equal(parseHash(mh, "sha512").error, "multihash_algorithm_conflict");
+});
+
+test("legacy records infer their algorithm from the digest length", () => {
+  assert.equal(recordAlgorithm({ hash: hex(64) }), "sha256");
+  assert.equal(recordAlgorithm({ hash: hex(96) }), "sha384");
+  assert.equal(recordAlgorithm({ hash: hex(128) }), "sha512");
+  assert.equal(recordAlgorithm({ hash: hex(100) }), null);
+  assert.equal(recordAlgorithm({ hash: hex(64), hashAlgorithm: "sha3-512" }), "sha3-512");
+});
+
+test("legacy records keep the old hex rule", () => {
+  assert.deepEqual(parseRecordedHash({ hash: hex(96) }), { ok: true, algorithm: "sha384", hash: hex(96), legacy: true });
+  assert.equal(parseRecordedHash({ hash: hex(62) }).ok, false);
+  assert.equal(parseRecordedHash({ hash: hex(96), hashAlgorithm: "sha512" }).error, "hash_length_mismatch");
+});
@@ -0,0 +1,36 @@
+// Jurisdiction profiles, including the shipped sample.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadJurisdictions, getJurisdiction, jurisdictionPrompt } from "../jurisdictions.js";
+
+test("the shipped UAE profile loads and grounds the chat prompt", () => {
+  assert.deepEqual(loadJurisdictions().errors, []);
+  const uae = getJurisdiction(" uae ");
+  assert.equal(uae.code, "UAE");
+  assert.match(uae.sha512, /^[a-f0-9]{128}$/);
+  const prompt = jurisdictionPrompt(uae);
+  for (const ref of uae.legalReferences) assert.ok(prompt.includes(ref));
+  assert.match(prompt, /7\.5 out of 10/);
+});
+
+test("invalid and duplicate profiles are reported and skipped", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vo-jur-"));
+  const write = (name, doc) => fs.writeFileSync(path.join(dir, name), JSON.stringify(doc));
+  write("a.json", { code: "ZA", name: "South Africa", legalReferences: ["ECTA 25 of 2002"] });
+  write("b.json", { code: "ZA", name: "Again", legalReferences: ["x"] });
+  write("c.json", { code: "za", name: "", legalReferences: "x", escalationThreshold: 11, court: "x" });
+  const { profiles, errors } = loadJurisdictions(dir);
+  assert.deepEqual([...profiles.keys()], ["ZA"]);
+  assert.deepEqual(errors, [
+    'b.json: duplicate code "ZA" (also in a.json)',
+    'c.json: unknown key "court"',
+    "c.json.code: required, /^[A-Z]{2,8}(?:-[A-Z0-9]{1,8})?$/",
+    "c.json.name: required string",
+    "c.json.legalReferences: required array of strings",
+    "c.json.escalationThreshold: number between 0 and 10"
+  ]);
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,50 @@
+// Merkle roots and inclusion proofs.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { merkleRoot, inclusionProof, verifyInclusion, leafHash } from "../anchor/merkle.js";
+
+const leaf = (n) => crypto.createHash("sha512").update(`leaf ${n}`).digest("hex");
+const node = (l, r) => crypto.createHash("sha512")
+  .update(Buffer.from([0x01])).update(Buffer.from(l, "hex")).update(Buffer.from(r, "hex")).digest("hex");
+
+test("an empty list has no root and a single leaf is its own leaf hash", () => {
+  assert.equal(merkleRoot([]), null);
+  assert.equal(merkleRoot([leaf(0)]), leafHash(leaf(0)));
+  assert.deepEqual(inclusionProof([leaf(0)], 0), []);
+});
+
+test("leaf hashes are domain-separated from interior nodes", () => {
+  const expected = crypto.createHash("sha512").update(Buffer.from([0x00])).update(Buffer.from(leaf(0), "hex")).digest("hex");
+  assert.equal(leafHash(leaf(0)), expected);
+  assert.equal(merkleRoot([leaf(0), leaf(1)]), node(leafHash(leaf(0)), leafHash(leaf(1))));
+});
+
+test("an odd node is promoted to the next level unchanged", () => {
+  const [a, b, c] = [0, 1, 2].map(leaf).map(leafHash);
+  assert.equal(merkleRoot([leaf(0), leaf(1), leaf(2)]), node(node(a, b), c));
+  // The promoted leaf skips the level it has no sibling on
+  assert.deepEqual(inclusionProof([leaf(0), leaf(1), leaf(2)], 2), [{ side: "left", hash: node(a, b) }]);
+});
+
+test("every leaf's proof verifies against the root", () => {
+  for (const size of [1, 2, 3, 5, 8, 13]) {
+    const leaves = Array.from({ length: size }, (_, i) => leaf(i));
+    const root = merkleRoot(leaves);
+    leaves.forEach((l, i) => assert.equal(verifyInclusion(l, inclusionProof(leaves, i), root), true, `size ${size} leaf ${i}`));
+  }
+});
+
+test("a proof fails for another leaf, a tampered sibling or another root", () => {
+  const leaves = Array.from({ length: 5 }, (_, i) => leaf(i));
+  const root = merkleRoot(leaves);
+  const proof = inclusionProof(leaves, 1);
+  assert.equal(verifyInclusion(leaf(2), proof, root), false);
+  assert.equal(verifyInclusion(leaf(1), [{ ...proof[0], hash: leafHash(leaf(9)) }, ...proof.slice(1)], root), false);
+  assert.equal(verifyInclusion(leaf(1), proof, merkleRoot(leaves.slice(0, 4))), false);
+});
+
+test("proofs for indexes outside the tree are refused", () => {
+  assert.throws(() => inclusionProof([leaf(0)], 1), /leaf_index_out_of_range/);
+  assert.throws(() => inclusionProof([leaf(0)], -1), /leaf_index_out_of_range/);
+});
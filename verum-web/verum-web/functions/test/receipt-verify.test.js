@@ -0,0 +1,121 @@
+// Structured receipt verification: signatures, key ids, referenced hashes and
+// Merkle proofs. A signing key is set before config.js loads.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { CompactSign, importPKCS8 } from "jose";
+
+process.env.VOSIGNINGKEY = crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" });
+const { CONSTITUTION_HASH, MODELPACK_HASH } = await import("../config.js");
+const { signReceipt, signPayload, canonicalJson } = await import("../signing.js");
+const { verifyReceipt } = await import("../receipt-verify.js");
+const { putReceipt } = await import("../receipts-kv.js");
+const { merkleRoot, inclusionProof, MERKLE_ALGORITHM } = await import("../anchor/merkle.js");
+
+const digest = (s) => crypto.createHash("sha512").update(s).digest("hex");
+
+function receiptBody(hash = digest("evidence"), extra = {}) {
+  return {
+    ok: true,
+    chain: null,
+    txid: null,
+    hash,
+    hashAlgorithm: "sha512",
+    manifestHash: MODELPACK_HASH,
+    constitutionHash: CONSTITUTION_HASH,
+    product: "test",
+    issuedAt: new Date().toISOString(),
+    ...extra
+  };
+}
+const signed = async (body) => ({ ...body, signature: await signReceipt(body) });
+const checkOf = (out, name) => out.checks.find(c => c.name === name);
+
+test("a detached JWS over an untouched receipt verifies", async () => {
+  const receipt = await signed(receiptBody(digest("stored")));
+  await putReceipt(receipt.hash, receipt);
+  const out = await verifyReceipt(receipt);
+  assert.equal(out.valid, true);
+  assert.equal(out.keyStatus, "active");
+  assert.ok(out.kid);
+  assert.deepEqual(checkOf(out, "signature"), { name: "signature", status: "pass", detail: "detached JWS" });
+  for (const name of ["payload", "key_id", "constitution", "model_pack", "store"]) {
+    assert.equal(checkOf(out, name).status, "pass", name);
+  }
+  assert.equal(checkOf(out, "merkle_inclusion").status, "skip");
+  assert.equal(checkOf(out, "timestamp").status, "skip");
+});
+
+test("a tampered payload fails the signature check", async () => {
+  const receipt = await signed(receiptBody(digest("tampered")));
+  const out = await verifyReceipt({ ...receipt, issuedAt: "2020-01-01T00:00:00.000Z" });
+  assert.equal(out.valid, false);
+  assert.equal(checkOf(out, "signature").status, "fail");
+  // The key itself is still ours
+  assert.equal(checkOf(out, "key_id").status, "pass");
+});
+
+test("a signature under a key we never published fails on key id and signature", async () => {
+  const body = receiptBody(digest("foreign"));
+  const foreign = await importPKCS8(crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" }), "EdDSA");
+  const jws = await new CompactSign(Buffer.from(canonicalJson(body), "utf8"))
+    .setProtectedHeader({ alg: "EdDSA", kid: "foreign-key", typ: "vo-receipt+jws" })
+    .sign(foreign);
+  const [header, , sig] = jws.split(".");
+  const out = await verifyReceipt({ ...body, signature: `${header}..${sig}` });
+  assert.equal(out.valid, false);
+  assert.equal(out.keyStatus, null);
+  assert.deepEqual(checkOf(out, "key_id"), { name: "key_id", status: "fail", detail: "unknown kid foreign-key" });
+  assert.equal(checkOf(out, "signature").status, "fail");
+});
+
+test("a missing or garbled signature fails", async () => {
+  const body = receiptBody(digest("unsigned"));
+  for (const signature of [undefined, "not-a-jws"]) {
+    const out = await verifyReceipt({ ...body, signature });
+    assert.equal(out.valid, false);
+    assert.deepEqual(checkOf(out, "signature"), { name: "signature", status: "fail", detail: "missing or malformed signature" });
+  }
+});
+
+test("receipts issued under another constitution or model pack are flagged but stay valid", async () => {
+  const receipt = await signed(receiptBody(digest("old pack"), { constitutionHash: digest("old constitution"), manifestHash: digest("old model pack") }));
+  const out = await verifyReceipt(receipt);
+  assert.equal(out.valid, true);
+  assert.equal(checkOf(out, "signature").status, "pass");
+  assert.equal(checkOf(out, "constitution").status, "warn");
+  assert.equal(checkOf(out, "model_pack").status, "warn");
+});
+
+test("a Merkle proof must lead from the receipt's hash to the batch root", async () => {
+  const leaves = ["a", "b", "c", "d", "e"].map(digest).sort();
+  const anchor = (hash, index) => ({
+    status: "sealed",
+    batchId: "2026-01-01T00:00:00.000Z",
+    algorithm: MERKLE_ALGORITHM,
+    root: merkleRoot(leaves),
+    leafIndex: index,
+    leafCount: leaves.length,
+    proof: inclusionProof(leaves, index)
+  });
+
+  const good = await verifyReceipt(await signed(receiptBody(leaves[2], { anchor: anchor(leaves[2], 2) })));
+  assert.equal(checkOf(good, "merkle_inclusion").status, "pass");
+  assert.equal(good.valid, true);
+
+  // A correctly signed receipt carrying another leaf's proof
+  const wrong = await verifyReceipt(await signed(receiptBody(leaves[2], { anchor: anchor(leaves[2], 3) })));
+  assert.deepEqual(checkOf(wrong, "merkle_inclusion"), { name: "merkle_inclusion", status: "fail", detail: "proof does not lead to the batch root" });
+  assert.equal(wrong.valid, false);
+});
+
+test("legacy receipts signed as a JWT over the body still verify", async () => {
+  const body = receiptBody(digest("legacy"));
+  const out = await verifyReceipt({ ...body, signature: await signPayload(body) });
+  assert.equal(out.valid, true);
+  assert.deepEqual(checkOf(out, "signature"), { name: "signature", status: "pass", detail: "legacy JWT (expiry not enforced)" });
+
+  // The JWT's claims must equal the receipt it is attached to
+  const mismatched = await verifyReceipt({ ...body, product: "other", signature: await signPayload(body) });
+  assert.deepEqual(checkOf(mismatched, "signature"), { name: "signature", status: "fail", detail: "payload_mismatch" });
+});
@@ -0,0 +1,42 @@
+// PII redaction: what is replaced, and the look-alikes that must survive.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor, rehydrate } from "../chat/redact.js";
+
+const redact = (text) => createRedactor().redact(text);
+
+test("formatted and keyword-led phone numbers are redacted", () => {
+  for (const phone of ["+27 82 555 1234", "+442079460958", "082 555 1234", "(021) 555-1234", "555-123-4567", "01 23 45 67 89"]) {
+    assert.equal(redact(`call ${phone} today`), "call [PHONE_1] today", phone);
+  }
+  assert.equal(redact("phone: 0825551234"), "phone: [PHONE_1]");
+  assert.equal(redact("Tel. 2125551234"), "Tel. [PHONE_1]");
+});
+
+test("bare digit runs, amounts and dates are not phone numbers", () => {
+  for (const text of [
+    "the claim is for 1250000000 rand",
+    "case 2024117003 was heard",
+    "reference 123456789",
+    "1 250 000 000 in damages",
+    "1.250.000.000 in damages",
+    "filed 2024-05-01 at 10:30",
+    "filed 2024-05-01 1234"
+  ]) {
+    assert.equal(redact(text), text);
+  }
+});
+
+test("other identifiers keep their precedence over phone numbers", () => {
+  assert.equal(redact("card 4111 1111 1111 1111"), "card [CARD_1]");
+  assert.equal(redact("SSN 123-45-6789"), "SSN [ID_1]");
+  assert.equal(redact("ID number 8001015009087"), "ID number [ID_1]");
+});
+
+test("placeholders are stable and rehydrate", () => {
+  const r = createRedactor();
+  const out = r.redact("+27 82 555 1234 or +27 82 555 1234, mail a@b.co");
+  assert.equal(out, "[PHONE_1] or [PHONE_1], mail [EMAIL_1]");
+  assert.equal(rehydrate(out, r.vault), "+27 82 555 1234 or +27 82 555 1234, mail a@b.co");
+  assert.deepEqual(r.summary(), { redacted: 2, byType: { phone: 1, email: 1 } });
+});
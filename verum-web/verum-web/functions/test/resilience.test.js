@@ -0,0 +1,130 @@
+// Deadline, retry and circuit breaker behaviour of resilientCall under mocked
+// timers; nothing here waits on the real clock.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resilientCall, breakerAllowed, breakerSnapshot, parseRetryAfter } from "../chat/resilience.js";
+import { LLM_BREAKER_THRESHOLD, LLM_BREAKER_COOLDOWN_MS } from "../config.js";
+
+const reject = (kind) => Object.assign(new Error(kind), { kind });
+const upstream = (status, retryAfter) => Object.assign(new Error(`upstream ${status}`), { status, retryAfter });
+// Let pending promise callbacks run between timer ticks
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Drive mocked timers until `promise` settles, `stepMs` at a time
+async function runTimers(t, promise, stepMs) {
+  let done = false;
+  const tracked = promise.finally(() => { done = true; });
+  tracked.catch(() => {});
+  for (let i = 0; i < 100 && !done; i++) {
+    await settle();
+    if (!done) t.mock.timers.tick(stepMs);
+  }
+  return tracked;
+}
+
+test("retries stop once the retry budget is spent", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 1) });
+  let calls = 0;
+  const call = resilientCall("test:retry-budget", async () => {
+    calls += 1;
+    throw upstream(503, "1");
+  }, { retries: 2, deadlineMs: 60_000, onReject: reject });
+  await assert.rejects(runTimers(t, call, 1_000), /upstream 503/);
+  assert.equal(calls, 3);
+});
+
+test("a retry that would outlast the deadline is not attempted", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 1) });
+  let calls = 0;
+  const call = resilientCall("test:retry-deadline", async () => {
+    calls += 1;
+    throw upstream(429, "30");
+  }, { retries: 5, deadlineMs: 10_000, onReject: reject });
+  await assert.rejects(runTimers(t, call, 1_000), /upstream 429/);
+  assert.equal(calls, 1);
+});
+
+test("caller errors are not retried", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 1) });
+  let calls = 0;
+  await assert.rejects(resilientCall("test:caller-error", async () => {
+    calls += 1;
+    throw upstream(400);
+  }, { retries: 2, onReject: reject }), /upstream 400/);
+  assert.equal(calls, 1);
+});
+
+test("the breaker opens after the threshold of consecutive failures", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 1) });
+  const key = "test:opens";
+  let calls = 0;
+  const failing = () => resilientCall(key, async () => {
+    calls += 1;
+    throw upstream(500);
+  }, { retries: 0, onReject: reject });
+
+  for (let i = 0; i < LLM_BREAKER_THRESHOLD; i++) await assert.rejects(failing(), /upstream 500/);
+  assert.equal(breakerSnapshot()[key].state, "open");
+  assert.equal(breakerSnapshot()[key].retryAt, new Date(Date.now() + LLM_BREAKER_COOLDOWN_MS).toISOString());
+  assert.equal(breakerAllowed(key), false);
+
+  // Rejected without reaching the provider
+  await assert.rejects(failing(), (e) => e.kind === "breaker_open");
+  assert.equal(calls, LLM_BREAKER_THRESHOLD);
+});
+
+test("a half-open breaker lets exactly one probe through", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 1) });
+  const key = "test:half-open";
+  for (let i = 0; i < LLM_BREAKER_THRESHOLD; i++) {
+    await assert.rejects(resilientCall(key, async () => { throw upstream(502); }, { retries: 0, onReject: reject }));
+  }
+  t.mock.timers.tick(LLM_BREAKER_COOLDOWN_MS);
+  assert.equal(breakerSnapshot()[key].state, "half_open");
+
+  let finishProbe;
+  const probe = resilientCall(key, () => new Promise(resolve => { finishProbe = resolve; }), { retries: 0, deadlineMs: 60_000, onReject: reject });
+  let second = 0;
+  await assert.rejects(resilientCall(key, async () => { second += 1; }, { onReject: reject }), (e) => e.kind === "breaker_open");
+  assert.equal(second, 0);
+
+  finishProbe("ok");
+  assert.equal(await probe, "ok");
+  assert.equal(breakerSnapshot()[key].state, "closed");
+  assert.equal(await resilientCall(key, async () => "again", { onReject: reject }), "again");
+});
+
+test("a failed probe opens the breaker again", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 1) });
+  const key = "test:probe-fails";
+  for (let i = 0; i < LLM_BREAKER_THRESHOLD; i++) {
+    await assert.rejects(resilientCall(key, async () => { throw upstream(503); }, { retries: 0, onReject: reject }));
+  }
+  t.mock.timers.tick(LLM_BREAKER_COOLDOWN_MS);
+  await assert.rejects(resilientCall(key, async () => { throw upstream(503); }, { retries: 0, onReject: reject }), /upstream 503/);
+  assert.equal(breakerSnapshot()[key].state, "open");
+  assert.equal(breakerAllowed(key), false);
+});
+
+test("the deadline aborts the underlying call", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 1) });
+  let seen;
+  const call = resilientCall("test:deadline", (signal) => new Promise((resolve, rejectCall) => {
+    seen = signal;
+    signal.addEventListener("abort", () => rejectCall(new Error("aborted upstream")));
+  }), { deadlineMs: 5_000, onReject: reject });
+  await settle();
+  t.mock.timers.tick(4_999);
+  assert.equal(seen.aborted, false);
+  t.mock.timers.tick(1);
+  await assert.rejects(call, (e) => e.kind === "timeout");
+  assert.equal(seen.aborted, true);
+});
+
+test("Retry-After accepts seconds and HTTP dates", () => {
+  const now = Date.UTC(2026, 0, 1);
+  assert.equal(parseRetryAfter("2", now), 2_000);
+  assert.equal(parseRetryAfter(new Date(now + 5_000).toUTCString(), now), 5_000);
+  assert.equal(parseRetryAfter("soon", now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
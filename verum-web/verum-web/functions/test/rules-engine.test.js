@@ -0,0 +1,122 @@
+// Rules pack validation and evaluation, including the shipped sample pack.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadRulesPack, evaluateRules } from "../rules/engine.js";
+
+function packDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vo-rules-"));
+  for (const [name, doc] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof doc === "string" ? doc : JSON.stringify(doc));
+  }
+  return dir;
+}
+
+const rule = (id, when, extra = {}) => ({ id, severity: "low", when, ...extra });
+
+test("the shipped sample pack validates", () => {
+  const pack = loadRulesPack();
+  assert.deepEqual(pack.errors, []);
+  assert.ok(pack.rules.length > 0);
+  assert.ok(pack.rules.every(r => r.brain === "integrity"));
+});
+
+test("the three file shapes load with their brain", () => {
+  const dir = packDir({
+    "single.json": rule("a", { field: "x", op: "exists" }),
+    "list.json": [rule("b", { field: "x", op: "exists" })],
+    "grouped.json": { brain: "timeline", rules: [rule("c", { field: "x", op: "exists" })] },
+    "notes.txt": "hashed, not evaluated"
+  });
+  const pack = loadRulesPack(dir);
+  assert.deepEqual(pack.errors, []);
+  assert.deepEqual(pack.rules.map(r => [r.id, r.brain, r.weight]), [["c", "timeline", 1], ["b", "list", 1], ["a", "single", 1]]);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("the validator reports every schema violation and skips the file", () => {
+  const dir = packDir({
+    "bad.json": [
+      { id: "has space", severity: "urgent", weight: 500, extra: 1, when: { field: "x", op: "like" } },
+      rule("in-needs-array", { field: "x", op: "in", value: "a" }),
+      rule("bad-regex", { field: "x", op: "matches", value: "(", flags: "g" }),
+      rule("mixed-group", { all: [{ field: "x", op: "exists" }], field: "y" }),
+      rule("empty-any", { any: [] }),
+      { id: "no-when", severity: "info" }
+    ],
+    "broken.json": "{ not json"
+  });
+  const { rules, errors } = loadRulesPack(dir);
+  assert.equal(rules.length, 0);
+  for (const expected of [
+    'bad.json[0]: unknown key "extra"',
+    "bad.json[0].id: required",
+    "bad.json[0].severity: must be one of",
+    "bad.json[0].weight: number between 0 and 100",
+    "bad.json[0].when.op: must be one of",
+    'bad.json[1].when.value: must be an array for "in"',
+    "bad.json[2].when.flags: only i, m, s, u allowed",
+    "bad.json[2].when.value: invalid regular expression",
+    'bad.json[3].when: "all" cannot be combined with other keys',
+    "bad.json[4].when.any: must be a non-empty array",
+    "bad.json[5].when: required",
+    "broken.json: invalid JSON"
+  ]) {
+    assert.ok(errors.some(e => e.startsWith(expected)), `missing error: ${expected}\n${errors.join("\n")}`);
+  }
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("duplicate rule ids across files are reported", () => {
+  const dir = packDir({
+    "a.json": [rule("same", { field: "x", op: "exists" })],
+    "b.json": [rule("same", { field: "x", op: "exists" })]
+  });
+  assert.deepEqual(loadRulesPack(dir).errors, ['b.json: duplicate rule id "same" (also in a.json)']);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("operators, groups and field references evaluate against metadata", () => {
+  const metadata = {
+    size: 2048,
+    type: "application/pdf",
+    tags: ["scan", "signed"],
+    producer: "Adobe Photoshop 25",
+    created: "2024-01-01T00:00:00Z",
+    modified: "2024-03-01T00:00:00Z",
+    files: [{ name: "contract.pdf" }]
+  };
+  const cases = [
+    [{ field: "size", op: "gt", value: 1024 }, true],
+    [{ field: "size", op: "lte", value: 1024 }, false],
+    [{ field: "type", op: "in", value: ["application/pdf", "image/png"] }, true],
+    [{ field: "type", op: "nin", value: ["application/pdf"] }, false],
+    [{ field: "tags", op: "contains", value: "signed" }, true],
+    [{ field: "producer", op: "matches", value: "photoshop", flags: "i" }, true],
+    [{ field: "files.0.name", op: "eq", value: "contract.pdf" }, true],
+    [{ field: "author", op: "missing" }, true],
+    [{ field: "modified", op: "after", value: { field: "created" } }, true],
+    [{ field: "modified", op: "before", value: "2024-02-01" }, false],
+    [{ all: [{ field: "size", op: "exists" }, { field: "author", op: "exists" }] }, false],
+    [{ any: [{ field: "size", op: "exists" }, { field: "author", op: "exists" }] }, true],
+    [{ not: { field: "size", op: "eq", value: 2048 } }, false]
+  ];
+  const rules = cases.map(([when], i) => ({ ...rule(`r${i}`, when), weight: 1, brain: "t" }));
+  const { findings } = evaluateRules(rules, metadata);
+  assert.deepEqual(findings.map(f => f.triggered), cases.map(([, expected]) => expected));
+});
+
+test("findings fill messages and the summary weighs triggered rules", () => {
+  const rules = [
+    { ...rule("hit", { field: "size", op: "gt", value: 10 }, { severity: "high", message: "size is {size}, by {author}" }), weight: 3, brain: "t" },
+    { ...rule("miss", { field: "size", op: "lt", value: 10 }), weight: 1, brain: "t" }
+  ];
+  const { findings, summary } = evaluateRules(rules, { size: 42 });
+  assert.equal(findings[0].message, "size is 42, by {author}");
+  assert.deepEqual(findings[0].evidence, [{ field: "size", op: "gt", actual: 42 }]);
+  assert.equal(findings[1].message, undefined);
+  assert.deepEqual(summary, { evaluated: 2, triggered: 1, maxSeverity: "high", score: 0.75 });
+  assert.equal(evaluateRules(rules, { size: 42 }, { only: ["miss"] }).summary.evaluated, 1);
+});
@@ -0,0 +1,42 @@
+// Revision counting follows the xref chain, not "%%EOF" markers.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "pdf-lib";
+import { extractSeal } from "../pdf/seal-extract.js";
+
+async function makePdf({ useObjectStreams }) {
+  const pdf = await PDFDocument.create();
+  pdf.addPage();
+  // An uncompressed stream, such as an embedded PDF, can hold its own %%EOF
+  pdf.context.register(pdf.context.stream("%PDF-1.4\n%%EOF\n"));
+  const bytes = Buffer.from(await pdf.save({ useObjectStreams }));
+  return { bytes, root: pdf.context.trailerInfo.Root.toString(), size: pdf.context.largestObjectNumber + 1 };
+}
+
+// Append an incremental update that re-saves the Info dictionary
+function appendUpdate({ bytes, root, size }) {
+  const prev = Number(/startxref\s+(\d+)\s*%%EOF\s*$/.exec(bytes.toString("latin1"))[1]);
+  const body = `\n${size} 0 obj\n<< /Producer (editor) >>\nendobj\n`;
+  const xrefAt = bytes.length + body.length;
+  const objAt = String(bytes.length + 1).padStart(10, "0");
+  const update = body +
+    `xref\n0 1\n0000000000 65535 f \n${size} 1\n${objAt} 00000 n \n` +
+    `trailer\n<< /Size ${size + 1} /Root ${root} /Info ${size} 0 R /Prev ${prev} >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return { bytes: Buffer.concat([bytes, Buffer.from(update, "latin1")]), root, size: size + 1 };
+}
+
+for (const useObjectStreams of [false, true]) {
+  const kind = useObjectStreams ? "xref stream" : "xref table";
+
+  test(`a single ${kind} is one revision despite embedded %%EOF markers`, async () => {
+    const pdf = await makePdf({ useObjectStreams });
+    assert.ok(pdf.bytes.toString("latin1").match(/%%EOF/g).length > 1);
+    assert.equal((await extractSeal(pdf.bytes)).revisions, 1);
+  });
+
+  test(`incremental updates after a ${kind} are counted`, async () => {
+    const once = appendUpdate(await makePdf({ useObjectStreams }));
+    assert.equal((await extractSeal(once.bytes)).revisions, 2);
+    assert.equal((await extractSeal(appendUpdate(once).bytes)).revisions, 3);
+  });
+}
@@ -0,0 +1,109 @@
+// /v1/seal/verify logic on a freshly sealed PDF: the untouched seal, an
+// incremental update and a byte-level edit. A signing key is set before
+// config.js loads.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+process.env.VOSIGNINGKEY = crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" });
+const { signReceipt } = await import("../signing.js");
+const { makeSealedPdf, manifestBytes } = await import("../pdf/seal-template.js");
+const { registerSeal } = await import("../seals-kv.js");
+const { verifySealedPdf } = await import("../seal-verify.js");
+
+const sha512 = (buf) => crypto.createHash("sha512").update(buf).digest("hex");
+const checkOf = (out, name) => out.checks.find(c => c.name === name);
+
+// Seal a hash the way POST /v1/seal does in certificate mode
+async function seal({ title = "Seal Verify Title", register = true } = {}) {
+  const hash = sha512(crypto.randomBytes(16));
+  const manifest = { type: "verum.seal", mode: "certificate", hash, hashAlgorithm: "sha512", title, receipt: null, sealedAt: new Date().toISOString() };
+  const doc = await makeSealedPdf({
+    hash, hashAlgorithm: "sha512", title, notes: "", productId: "test", receipt: null,
+    manifest, manifestJws: await signReceipt(manifest, { detached: false })
+  });
+  const chunks = [];
+  doc.on("data", c => chunks.push(c));
+  const bytes = await new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+  if (register) await registerSeal(sha512(manifestBytes(manifest)), { hash, pdfSha512: sha512(bytes), sealedAt: manifest.sealedAt, mode: "certificate" });
+  return { bytes, hash };
+}
+
+// Append an incremental update that re-saves the Info dictionary, as an
+// editor would after changing the document
+function appendUpdate(bytes) {
+  const text = bytes.toString("latin1");
+  const trailer = text.slice(text.lastIndexOf("trailer"));
+  const root = /\/Root (\d+ \d+ R)/.exec(trailer)[1];
+  const size = Number(/\/Size (\d+)/.exec(trailer)[1]);
+  const prev = Number(/startxref\s+(\d+)\s*%%EOF\s*$/.exec(text)[1]);
+  const body = `\n${size} 0 obj\n<< /Producer (editor) >>\nendobj\n`;
+  const objAt = String(bytes.length + 1).padStart(10, "0");
+  const update = body +
+    `xref\n0 1\n0000000000 65535 f \n${size} 1\n${objAt} 00000 n \n` +
+    `trailer\n<< /Size ${size + 1} /Root ${root} /Info ${size} 0 R /Prev ${prev} >>\nstartxref\n${bytes.length + body.length}\n%%EOF\n`;
+  return Buffer.concat([bytes, Buffer.from(update, "latin1")]);
+}
+
+// Overwrite the last occurrence of `from` with a same-length string, leaving
+// every offset in the file intact
+function editBytes(bytes, from, to) {
+  assert.equal(from.length, to.length);
+  const at = bytes.lastIndexOf(Buffer.from(from, "latin1"));
+  assert.ok(at > 0, `${from} not found`);
+  const out = Buffer.from(bytes);
+  out.write(to, at, "latin1");
+  return out;
+}
+
+test("an untouched seal passes every check", async () => {
+  const { bytes, hash } = await seal();
+  const out = await verifySealedPdf(bytes);
+  assert.equal(out.valid, true);
+  assert.equal(out.verdict, "pass");
+  assert.equal(out.hash, hash);
+  assert.deepEqual(out.reasons, []);
+  for (const name of ["pdf_parse", "embedded_manifest", "signature", "key_id", "manifest_match", "xmp", "revisions", "registry"]) {
+    assert.equal(checkOf(out, name).status, "pass", name);
+  }
+  assert.equal(checkOf(out, "receipt").status, "skip");
+});
+
+test("an incremental update after sealing fails the revision count", async () => {
+  const { bytes } = await seal();
+  const out = await verifySealedPdf(appendUpdate(bytes));
+  assert.equal(out.valid, false);
+  assert.deepEqual(checkOf(out, "revisions"), { name: "revisions", status: "fail", detail: "1 incremental update(s) after sealing" });
+  // The signed manifest itself is untouched
+  assert.equal(checkOf(out, "signature").status, "pass");
+  assert.equal(checkOf(out, "manifest_match").status, "pass");
+});
+
+test("a byte-level edit is caught by the issued PDF hash recorded under the manifest hash", async () => {
+  const { bytes } = await seal({ title: "Original Title" });
+  const tampered = editBytes(bytes, "Original Title", "Modified Title");
+  const out = await verifySealedPdf(tampered);
+  assert.equal(out.valid, false);
+  // Structure, signature and manifest survive the edit; only the bytes differ
+  for (const name of ["pdf_parse", "signature", "manifest_match", "xmp", "revisions"]) {
+    assert.equal(checkOf(out, name).status, "pass", name);
+  }
+  assert.deepEqual(checkOf(out, "registry"), { name: "registry", status: "fail", detail: "PDF bytes differ from the issued seal" });
+  assert.ok(out.reasons.some(r => r.startsWith("FAIL: This PDF is not byte-for-byte")));
+});
+
+test("without an issuance record only the structural checks apply", async () => {
+  const { bytes } = await seal({ register: false });
+  const out = await verifySealedPdf(bytes);
+  assert.equal(out.valid, true);
+  assert.deepEqual(checkOf(out, "registry"), { name: "registry", status: "warn", detail: "no issuance record found; structural checks only" });
+});
+
+test("files that are not sealed PDFs fail early", async () => {
+  const notPdf = await verifySealedPdf(Buffer.from("plain text"));
+  assert.equal(notPdf.valid, false);
+  assert.equal(checkOf(notPdf, "pdf_parse").status, "fail");
+});
@@ -0,0 +1,40 @@
+// VOVERIFYKEYS parsing: bad entries are reported and left out, never fatal.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { parseVerifyKeys } from "../signing.js";
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+const pub = publicKey.export({ format: "jwk" });
+
+test("empty means no verify-only keys", () => {
+  assert.deepEqual(parseVerifyKeys(""), { keys: [], errors: [] });
+});
+
+test("public Ed25519 JWKs are accepted", () => {
+  const key = { ...pub, kid: "2025a", retiredAt: "2026-01-01T00:00:00Z" };
+  assert.deepEqual(parseVerifyKeys(JSON.stringify([key])), { keys: [key], errors: [] });
+});
+
+test("malformed documents are reported instead of thrown", () => {
+  assert.match(parseVerifyKeys("[{").errors[0], /^VOVERIFYKEYS: invalid JSON/);
+  assert.deepEqual(parseVerifyKeys(JSON.stringify(pub)).errors, ["VOVERIFYKEYS: must be an array"]);
+});
+
+test("invalid keys are left out with a reason", () => {
+  const out = parseVerifyKeys(JSON.stringify([
+    pub,
+    privateKey.export({ format: "jwk" }),
+    { kty: "RSA", n: "x", e: "AQAB" },
+    { ...pub, retiredAt: "soon" }
+  ]));
+  assert.deepEqual(out.keys, [pub]);
+  assert.deepEqual(out.errors, [
+    "VOVERIFYKEYS[1]: private key material; list public JWKs only",
+    "VOVERIFYKEYS[2]: unknown key \"n\"",
+    "VOVERIFYKEYS[2]: unknown key \"e\"",
+    "VOVERIFYKEYS[2]: Ed25519 key (kty \"OKP\", crv \"Ed25519\")",
+    "VOVERIFYKEYS[2].x: base64url public key",
+    "VOVERIFYKEYS[3].retiredAt: ISO date"
+  ]);
+});
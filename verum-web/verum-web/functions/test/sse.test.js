@@ -0,0 +1,29 @@
+// Reading upstream event streams, whatever the chunk boundaries.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readSse } from "../chat/sse.js";
+
+async function read(chunks) {
+  const out = [];
+  for await (const ev of readSse(chunks.map(c => Buffer.from(c)))) out.push(ev);
+  return out;
+}
+
+test("CRLF split across chunks does not end the event early", async () => {
+  const events = await read(["event: a\r", "\ndata: 1\r\n\r", "\nevent: b\r\ndata: 2\r\n\r\n"]);
+  assert.deepEqual(events, [{ event: "a", data: "1" }, { event: "b", data: "2" }]);
+});
+
+test("bare CR and LF line endings are accepted", async () => {
+  assert.deepEqual(await read(["data: x\r\r", "data: y\n", "data: z\n\n"]), [
+    { event: "message", data: "x" },
+    { event: "message", data: "y\nz" }
+  ]);
+});
+
+test("multi-byte characters split across chunks are decoded", async () => {
+  const bytes = Buffer.from("data: é\n\n");
+  const events = [];
+  for await (const ev of readSse([bytes.subarray(0, 7), bytes.subarray(7)])) events.push(ev);
+  assert.deepEqual(events, [{ event: "message", data: "é" }]);
+});
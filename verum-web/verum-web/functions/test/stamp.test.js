@@ -0,0 +1,122 @@
+// Stamp mode: the stamped pages and appended certification pages, rejected
+// uploads, and what POST /v1/seal?mode=stamp records. A signing key is set
+// before config.js loads.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import zlib from "zlib";
+import { PDFDocument as PdfLib, PDFArray } from "pdf-lib";
+import PDFKit from "pdfkit";
+
+process.env.VOSIGNINGKEY = crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" });
+const { app } = await import("../index.js");
+const { stampPdf } = await import("../pdf/stamp.js");
+const { extractSeal } = await import("../pdf/seal-extract.js");
+const { MANIFEST_ATTACHMENT } = await import("../pdf/seal-template.js");
+const { getSeal } = await import("../seals-kv.js");
+const { getCustodyChain } = await import("../custody-kv.js");
+const { verifySealedPdf } = await import("../seal-verify.js");
+
+const sha512 = (buf) => crypto.createHash("sha512").update(buf).digest("hex");
+
+let server, base;
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+async function blankPdf(pages) {
+  const doc = await PdfLib.create();
+  for (let i = 0; i < pages; i++) doc.addPage().drawText(`original page ${i + 1}`);
+  return Buffer.from(await doc.save());
+}
+
+function encryptedPdf() {
+  const doc = new PDFKit({ userPassword: "secret", ownerPassword: "owner" });
+  doc.text("confidential");
+  const chunks = [];
+  doc.on("data", c => chunks.push(c));
+  const done = new Promise(resolve => doc.on("end", () => resolve(Buffer.concat(chunks))));
+  doc.end();
+  return done;
+}
+
+// Strings drawn on a page (pdf-lib writes them as hex Tj operands)
+async function pageTexts(bytes) {
+  const doc = await PdfLib.load(bytes);
+  return doc.getPages().map(page => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray ? contents.asArray().map(r => doc.context.lookup(r)) : [contents];
+    const source = streams.map(s => {
+      const raw = Buffer.from(s.contents);
+      try { return zlib.inflateSync(raw).toString("latin1"); } catch { return raw.toString("latin1"); }
+    }).join("\n");
+    return [...source.matchAll(/<([0-9A-Fa-f]*)> Tj/g)].map(m => Buffer.from(m[1], "hex").toString("latin1"));
+  });
+}
+
+function upload(pdf, name = "original.pdf") {
+  const form = new FormData();
+  form.append("file", new Blob([pdf], { type: "application/pdf" }), name);
+  return fetch(`${base}/v1/seal?mode=stamp`, { method: "POST", body: form });
+}
+
+test("every original page is stamped and every certification page appended", async () => {
+  const hash = "ab".repeat(64);
+  const out = await stampPdf({
+    original: await blankPdf(3),
+    certificatePdf: await blankPdf(2),
+    hash,
+    productId: "test",
+    manifest: { hash, hashAlgorithm: "sha512", sealedAt: new Date().toISOString() },
+    manifestJws: "header.payload.signature"
+  });
+  const texts = await pageTexts(out);
+  assert.equal(texts.length, 5);
+  for (let i = 0; i < 3; i++) {
+    assert.ok(texts[i].includes(`original page ${i + 1}`));
+    assert.ok(texts[i].includes(`Page ${i + 1} of 5`), `page ${i + 1} footer`);
+    assert.ok(texts[i].includes(`SHA-512 ${hash.slice(0, 16)}...`));
+  }
+  // Certification pages are appended as they are, without a stamp
+  assert.deepEqual(texts.slice(3).map(t => t.filter(s => s.startsWith("Page "))), [[], []]);
+  assert.ok(texts[3].includes("original page 1"));
+});
+
+test("uploads that are not PDFs or are encrypted are refused with 422", async () => {
+  const notPdf = await upload(Buffer.from("just some text"), "notes.pdf");
+  assert.equal(notPdf.status, 422);
+  assert.deepEqual(await notPdf.json(), { ok: false, error: "not_a_pdf" });
+
+  const encrypted = await upload(await encryptedPdf());
+  assert.equal(encrypted.status, 422);
+  assert.deepEqual(await encrypted.json(), { ok: false, error: "pdf_encrypted" });
+});
+
+test("the original and stamped hashes are both recorded", async () => {
+  const original = await blankPdf(2);
+  const resp = await upload(original);
+  assert.equal(resp.status, 200);
+  assert.equal(resp.headers.get("content-type"), "application/pdf");
+  const out = Buffer.from(await resp.arrayBuffer());
+  const hash = sha512(original);
+  const outputHash = sha512(out);
+  assert.equal(resp.headers.get("x-vo-hash"), hash);
+  assert.equal(resp.headers.get("x-vo-output-hash"), outputHash);
+
+  const manifestSha512 = sha512((await extractSeal(out)).attachments[MANIFEST_ATTACHMENT]);
+  const seal = await getSeal(manifestSha512);
+  assert.equal(seal.hash, hash);
+  assert.equal(seal.pdfSha512, outputHash);
+  assert.equal(seal.mode, "stamp");
+
+  const custody = await getCustodyChain(hash);
+  assert.deepEqual(custody.at(-1).details, { mode: "stamp", manifestSha512, pdfSha512: outputHash });
+
+  // The stamped file verifies like a standalone seal
+  const verified = await verifySealedPdf(out);
+  assert.equal(verified.valid, true);
+  assert.equal(verified.hash, hash);
+});
@@ -0,0 +1,94 @@
+// Firestore store listing: limits hold once expired records are filtered out.
+// The first tests use an in-process stand-in for the few query methods list()
+// needs; the last one runs against the emulator when FIRESTORE_EMULATOR_HOST
+// is set.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createFirestoreStore } from "../stores/firestore.js";
+
+// Just enough of a Firestore collection: set, and ordered, filtered, paged reads
+function fakeDb() {
+  const docs = new Map();
+  const reads = { queries: 0, docs: 0 };
+  const query = ({ order = null, filters = [], max = Infinity, after = null } = {}) => ({
+    orderBy: (field) => query({ order: field, filters, max, after }),
+    where: (field, op, value) => query({ order, filters: [...filters, { field, op, value }], max, after }),
+    limit: (n) => query({ order, filters, max: n, after }),
+    startAfter: (snap) => query({ order, filters, max, after: snap }),
+    async get() {
+      let rows = [...docs.entries()].map(([id, data]) => ({ id, data: () => structuredClone(data) }));
+      for (const { field, op, value } of filters) {
+        rows = rows.filter(r => (op === ">=" ? r.data()[field] >= value : op === "<" ? r.data()[field] < value : true));
+      }
+      if (order) rows.sort((a, b) => a.data()[order].localeCompare(b.data()[order]) || a.id.localeCompare(b.id));
+      if (after) rows = rows.slice(rows.findIndex(r => r.id === after.id) + 1);
+      rows = rows.slice(0, max);
+      reads.queries += 1;
+      reads.docs += rows.length;
+      return { docs: rows };
+    }
+  });
+  return {
+    reads,
+    collection: () => ({
+      ...query(),
+      doc: (id) => ({ async set(data) { docs.set(id, structuredClone(data)); } })
+    })
+  };
+}
+
+const base = Date.UTC(2026, 0, 1);
+const at = (i) => new Date(base + i * 1000).toISOString();
+
+// `expired` old records followed by `live` newer ones
+async function seed(store, { expired, live }) {
+  const past = new Date(Date.now() - 60_000).toISOString();
+  for (let i = 0; i < expired + live; i++) {
+    await store.set({ key: `r${String(i).padStart(3, "0")}`, value: { i }, createdAt: at(i), expiresAt: i < expired ? past : null });
+  }
+}
+
+test("a limit is met from live records behind many expired ones", async () => {
+  const db = fakeDb();
+  const store = createFirestoreStore("receipts", { db });
+  await seed(store, { expired: 120, live: 10 });
+  const out = await store.list({ limit: 5 });
+  assert.deepEqual(out.map(r => r.value.i), [120, 121, 122, 123, 124]);
+  // Read in bounded pages, never the whole collection in one query
+  assert.ok(db.reads.queries > 1);
+  assert.ok(db.reads.docs < 130 + 50);
+});
+
+test("limits apply to the query itself, with or without expired records", async () => {
+  const db = fakeDb();
+  const store = createFirestoreStore("receipts", { db });
+  await seed(store, { expired: 3, live: 200 });
+  assert.deepEqual((await store.list({ limit: 4 })).map(r => r.value.i), [3, 4, 5, 6]);
+  assert.equal(db.reads.docs, 50);
+  assert.deepEqual((await store.list({ limit: 4, includeExpired: true })).map(r => r.value.i), [0, 1, 2, 3]);
+  assert.equal(db.reads.docs, 54);
+});
+
+test("a limit larger than what is left returns every live record in the window", async () => {
+  const store = createFirestoreStore("receipts", { db: fakeDb() });
+  await seed(store, { expired: 60, live: 40 });
+  const out = await store.list({ from: at(50), to: at(90), limit: 100 });
+  assert.deepEqual(out.map(r => r.value.i), Array.from({ length: 30 }, (_, k) => 60 + k));
+  assert.equal((await store.list()).length, 40);
+});
+
+test("list honours limits against the Firestore emulator", {
+  skip: !process.env.FIRESTORE_EMULATOR_HOST && "FIRESTORE_EMULATOR_HOST not set"
+}, async () => {
+  process.env.GCLOUD_PROJECT ||= "demo-verum";
+  const store = createFirestoreStore(`test_list_${crypto.randomUUID()}`);
+  await seed(store, { expired: 60, live: 10 });
+  try {
+    assert.deepEqual((await store.list({ limit: 3 })).map(r => r.value.i), [60, 61, 62]);
+    assert.deepEqual((await store.list({ limit: 3, includeExpired: true })).map(r => r.value.i), [0, 1, 2]);
+    assert.equal((await store.list({ from: at(65) })).length, 5);
+  } finally {
+    for (let i = 0; i < 70; i++) await store.delete(`r${String(i).padStart(3, "0")}`);
+  }
+});
@@ -0,0 +1,70 @@
+// Record store adapters that run offline (memory and file).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createMemoryStore } from "../stores/memory.js";
+import { createFileStore } from "../stores/file.js";
+
+const bump = (v) => ({ n: (v?.n || 0) + 1 });
+
+test("memory update reads, modifies and writes one record", async () => {
+  const store = createMemoryStore();
+  await store.update("k", bump);
+  const r = await store.update("k", bump);
+  assert.deepEqual(r.value, { n: 2 });
+  assert.deepEqual((await store.get("k")).value, { n: 2 });
+});
+
+test("update hands fn a copy of the stored value", async () => {
+  const store = createMemoryStore();
+  await store.set({ key: "k", value: { n: 1 }, createdAt: new Date().toISOString(), expiresAt: null });
+  await store.update("k", (v) => {
+    v.n = 5;
+    throw new Error("abort");
+  }).catch(() => {});
+  assert.deepEqual((await store.get("k")).value, { n: 1 });
+});
+
+test("file update survives reopening the log", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vo-store-")), "counters.jsonl");
+  const store = createFileStore(file);
+  for (let i = 0; i < 3; i++) await store.update("k", bump);
+  assert.deepEqual((await createFileStore(file).get("k")).value, { n: 3 });
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+for (const [kind, open] of [["memory", () => createMemoryStore()], ["file", (dir) => createFileStore(path.join(dir, "receipts.jsonl"))]]) {
+  test(`${kind} create keeps a live record and replaces an expired one`, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vo-store-"));
+    const store = open(dir);
+    const past = new Date(Date.now() - 1000).toISOString();
+    await store.set({ key: "old", value: 1, createdAt: past, expiresAt: past });
+    await store.create({ key: "live", value: 1, createdAt: past, expiresAt: null });
+
+    const replaced = await store.create({ key: "old", value: 2, createdAt: new Date().toISOString(), expiresAt: null });
+    assert.equal(replaced.created, true);
+    assert.equal((await store.get("old")).value, 2);
+
+    const kept = await store.create({ key: "live", value: 2, createdAt: new Date().toISOString(), expiresAt: null });
+    assert.equal(kept.created, false);
+    assert.equal(kept.record.value, 1);
+    fs.rmSync(dir, { recursive: true });
+  });
+}
+
+test("listReceipts returns receipts in [from, to), oldest first", async () => {
+  const { putReceipt, listReceipts } = await import("../receipts-kv.js");
+  const startedAt = [];
+  for (const hash of ["list-a", "list-b", "list-c"]) {
+    await new Promise(r => setTimeout(r, 5));
+    startedAt.push(new Date().toISOString());
+    await putReceipt(hash, { hash });
+  }
+  const hashes = (receipts) => receipts.map(r => r.hash);
+  assert.deepEqual(hashes(await listReceipts()), ["list-a", "list-b", "list-c"]);
+  assert.deepEqual(hashes(await listReceipts({ from: startedAt[1] })), ["list-b", "list-c"]);
+  assert.deepEqual(hashes(await listReceipts({ from: startedAt[1], to: startedAt[2] })), ["list-b"]);
+  assert.deepEqual(hashes(await listReceipts({ limit: 2 })), ["list-a", "list-b"]);
+});
@@ -0,0 +1,66 @@
+// VOTENANTS validation and API key resolution.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadTenants } from "../tenants.js";
+import { sha512Hex } from "../config.js";
+
+const key = (id, secret) => ({ id, sha512: sha512Hex(secret) });
+const acme = { id: "acme-legal", name: "Acme Legal LLP", keys: [key("acme-1", "s3cret")], quotas: { seal: 10 } };
+
+test("a valid tenant is indexed by its key hashes", () => {
+  const { tenants, byKeyHash, errors } = loadTenants(JSON.stringify([acme]));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(tenants.get("acme-legal").quotas, { seal: 10 });
+  assert.deepEqual(tenants.get("acme-legal").rateLimits, {});
+  const hit = byKeyHash.get(sha512Hex("s3cret"));
+  assert.equal(hit.keyId, "acme-1");
+  assert.equal(hit.tenant.id, "acme-legal");
+});
+
+test("an empty document means no tenants", () => {
+  assert.deepEqual(loadTenants("  ").errors, []);
+  assert.equal(loadTenants("").tenants.size, 0);
+});
+
+test("malformed documents are rejected whole", () => {
+  assert.match(loadTenants("{").errors[0], /^VOTENANTS: invalid JSON/);
+  assert.deepEqual(loadTenants("{}").errors, ["VOTENANTS: must be an array"]);
+});
+
+test("invalid tenants are reported and left out", () => {
+  const bad = {
+    id: "Bad Id",
+    name: " ",
+    keys: [{ id: "k", sha512: "abc" }],
+    rateLimits: { burst: 5 },
+    quotas: { seal: -1 },
+    branding: { primaryColor: "red", logo: "logo.gif", template: "nope" },
+    plan: "gold"
+  };
+  const { tenants, errors } = loadTenants(JSON.stringify([bad, acme]));
+  assert.deepEqual([...tenants.keys()], ["acme-legal"]);
+  for (const expected of [
+    'tenants[0]: unknown key "plan"',
+    "tenants[0].id: required",
+    "tenants[0].name: required string",
+    "tenants[0].keys[0].id: required",
+    "tenants[0].keys[0].sha512: SHA-512 hex of the key",
+    'tenants[0].rateLimits: unknown key "burst"',
+    "tenants[0].quotas.seal: non-negative integer",
+    "tenants[0].branding.logo: PNG or JPEG file name in assets/branding",
+    'tenants[0].branding.primaryColor: "#rrggbb"',
+    "tenants[0].branding.template: one of"
+  ]) {
+    assert.ok(errors.some(e => e.startsWith(expected)), `missing error: ${expected}\n${errors.join("\n")}`);
+  }
+});
+
+test("duplicate tenant ids and shared keys are rejected", () => {
+  const { tenants, errors } = loadTenants(JSON.stringify([
+    acme,
+    { ...acme, name: "Copy" },
+    { id: "other-firm", name: "Other", keys: [key("other-1", "s3cret")] }
+  ]));
+  assert.deepEqual([...tenants.keys()], ["acme-legal"]);
+  assert.deepEqual(errors, ['tenants[1]: duplicate id "acme-legal"', 'tenants[2]: key "other-1" is already assigned']);
+});
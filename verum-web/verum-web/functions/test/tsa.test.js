@@ -0,0 +1,82 @@
+// RFC 3161 client against the local TSA stand-in: request round trip, response
+// checks and malformed DER.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createLocalTsa, createLocalTsaServer } from "../tsa/local-tsa.js";
+import {
+  buildTimestampRequest, parseTimestampToken, parseTimestampResponse, timestampReply, requestTimestamp
+} from "../tsa/client.js";
+import { seq, int } from "../tsa/der.js";
+
+const hashHex = crypto.createHash("sha512").update("tsa evidence").digest("hex");
+const tsa = createLocalTsa();
+const server = createLocalTsaServer();
+let url;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+// A request and the local TSA's answer to it
+function exchange(hash = hashHex, opts) {
+  const req = buildTimestampRequest(hash, opts);
+  return { req, respDer: tsa.respond(req.der) };
+}
+
+test("requestTimestamp round-trips through the local TSA over HTTP", async () => {
+  const ts = await requestTimestamp(hashHex, { url });
+  assert.equal(ts.standard, "RFC3161");
+  assert.equal(ts.tsa, "CN=Verum Omnis Local TSA");
+  assert.equal(ts.hashAlgorithm, "sha512");
+  assert.equal(ts.signatureVerified, false);
+  assert.ok(!Number.isNaN(Date.parse(ts.genTime)));
+  const info = parseTimestampToken(Buffer.from(ts.token, "base64"));
+  assert.equal(info.hashedMessage, hashHex);
+  assert.equal(info.serialNumber, ts.serialNumber);
+});
+
+test("a token answering another digest is rejected", () => {
+  const { req, respDer } = exchange();
+  const other = crypto.createHash("sha512").update("other evidence").digest("hex");
+  assert.throws(() => parseTimestampResponse(respDer, { hashHex: other, nonce: req.nonce }), /^Error: tsa_imprint_mismatch$/);
+});
+
+test("a token carrying another nonce is rejected", () => {
+  const { req, respDer } = exchange();
+  assert.throws(() => parseTimestampResponse(respDer, { hashHex, nonce: req.nonce + 1n }), /^Error: tsa_nonce_mismatch$/);
+});
+
+test("a rejection status is reported with the TSA's reason", () => {
+  const respDer = tsa.respond(Buffer.from("not a request"));
+  assert.throws(() => parseTimestampResponse(respDer, { hashHex }), /^Error: tsa_rejection: badDataFormat$/);
+});
+
+test("a stored token re-wrapped by timestampReply parses as a granted response", () => {
+  const { req, respDer } = exchange(hashHex, { nonce: 42n });
+  const { token } = parseTimestampResponse(respDer, { hashHex, nonce: req.nonce });
+  const { token: again, info } = parseTimestampResponse(timestampReply(token.toString("base64")), { hashHex, nonce: 42n });
+  assert.deepEqual(again, token);
+  assert.equal(info.nonce, 42n);
+});
+
+test("malformed DER fails with a DER error instead of a TypeError", () => {
+  const { respDer } = exchange();
+  const { token } = parseTimestampResponse(respDer, { hashHex });
+  const cases = [
+    Buffer.alloc(0),
+    Buffer.from([0x30]),
+    token.subarray(0, 40),
+    seq(int(1)),
+    seq(),
+    Buffer.from([0x30, 0x85, 1, 2, 3, 4, 5])
+  ];
+  for (const der of cases) {
+    assert.throws(() => parseTimestampToken(der), (e) => !(e instanceof TypeError) && /^(der|tsa)_/.test(e.message), der.toString("hex"));
+  }
+  // A granted status followed by something that is not a token
+  assert.throws(() => parseTimestampResponse(seq(seq(int(0)), seq()), { hashHex }), /^Error: der_unexpected_structure$/);
+  assert.throws(() => parseTimestampResponse(seq(), { hashHex }), /^Error: der_unexpected_structure$/);
+});
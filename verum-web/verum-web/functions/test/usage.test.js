@@ -0,0 +1,50 @@
+// Monthly usage counters and statements on the memory store.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recordUsage, getUsage, usageStatement, usagePeriod } from "../usage-kv.js";
+
+const tenant = (id) => ({ id, name: id, keyId: `${id}-k1`, quotas: { seal: 5 } });
+
+test("usagePeriod is the UTC calendar month", () => {
+  assert.equal(usagePeriod(new Date("2026-01-31T23:59:59Z")), "2026-01");
+  assert.equal(usagePeriod(new Date("2026-02-01T00:00:00Z")), "2026-02");
+});
+
+test("counters total each metric by endpoint and by key", async () => {
+  const t = tenant("count-firm");
+  await recordUsage(t, { metric: "requests", endpoint: "/v1/seal" });
+  await recordUsage(t, { metric: "seal", endpoint: "/v1/seal" });
+  await recordUsage({ ...t, keyId: "count-firm-k2" }, { metric: "chat_tokens", endpoint: "/v1/chat", quantity: 120 });
+  await recordUsage(t, { metric: "chat_tokens", endpoint: "/v1/chat", quantity: 30 });
+
+  assert.deepEqual(await getUsage(t.id), { requests: 1, anchor: 0, seal: 1, chat_tokens: 150 });
+  assert.deepEqual(await getUsage("nobody"), { requests: 0, anchor: 0, seal: 0, chat_tokens: 0 });
+  assert.deepEqual(await getUsage(t.id, "2000-01"), { requests: 0, anchor: 0, seal: 0, chat_tokens: 0 });
+
+  const s = await usageStatement(t);
+  assert.deepEqual(s.byEndpoint["/v1/chat"], { chat_tokens: 150 });
+  assert.deepEqual(s.byKey["count-firm-k2"], { chat_tokens: 120 });
+  // Plain request counts are totals only; billable events are kept
+  assert.equal(s.events, 3);
+  assert.match(s.eventsSha512, /^[a-f0-9]{128}$/);
+  assert.deepEqual(s.quotas, { seal: 5 });
+  assert.equal(s.final, false);
+});
+
+test("concurrent events are all counted", async () => {
+  const t = tenant("busy-firm");
+  await Promise.all(Array.from({ length: 20 }, () => recordUsage(t, { metric: "anchor", endpoint: "/v1/anchor" })));
+  assert.equal((await getUsage(t.id)).anchor, 20);
+});
+
+test("unknown metrics are refused", async () => {
+  await assert.rejects(recordUsage(tenant("x-firm"), { metric: "pages", endpoint: "/v1/seal" }), /unknown usage metric/);
+});
+
+test("a past month's statement is final and bounded by the month", async () => {
+  const s = await usageStatement(tenant("old-firm"), "2024-02");
+  assert.equal(s.from, "2024-02-01T00:00:00.000Z");
+  assert.equal(s.to, "2024-03-01T00:00:00.000Z");
+  assert.equal(s.final, true);
+  assert.equal(s.events, 0);
+});
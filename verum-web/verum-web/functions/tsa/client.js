@@ -0,0 +1,165 @@
+// RFC 3161 Time-Stamp Protocol client. Sends a TimeStampReq over HTTP to a
+// TSA and returns the DER-encoded TimeStampToken plus the fields worth showing
+// to a human (TSA name, serial number, genTime, policy).
+//
+// The token is parsed and its imprint and nonce checked against the request,
+// but its CMS signature and the TSA certificate are not verified here;
+// receipts say so with `signatureVerified: false`. Verify the token with
+// `openssl ts -verify` against the TSA's CA (see /v1/receipt?format=tsr).
+import crypto from "crypto";
+import { fetch as undiciFetch } from "undici";
+import { TSA_URL, TSA_POLICY_OID } from "../config.js";
+import { HASH_ALGORITHMS } from "../hash-algorithms.js";
+import {
+  seq, octets, nul, bool, int, oid,
+  decode, child, decodeOid, decodeInt, decodeTime, decodeName
+} from "./der.js";
+
+export const OID_SIGNED_DATA = "1.2.840.113549.1.7.2";
+export const OID_TST_INFO    = "1.2.840.113549.1.9.16.1.4";
+
+// Digest algorithm by digest length in bytes, for callers that do not name one
+const DIGEST_OIDS = {
+  32: { name: "sha256", oid: "2.16.840.1.101.3.4.2.1" },
+  48: { name: "sha384", oid: "2.16.840.1.101.3.4.2.2" },
+  64: { name: "sha512", oid: "2.16.840.1.101.3.4.2.3" }
+};
+export const DIGEST_BY_OID = {
+  ...Object.fromEntries(Object.values(DIGEST_OIDS).map(d => [d.oid, d.name])),
+  ...Object.fromEntries(Object.entries(HASH_ALGORITHMS).map(([name, a]) => [a.oid, name]))
+};
+
+const PKI_STATUS = ["granted", "grantedWithMods", "rejection", "waiting", "revocationWarning", "revocationNotification"];
+
+/**
+ * Build a DER TimeStampReq over an existing hex digest.
+ *
+ * @param {string} hashHex - Digest in hex.
+ * @param {Object} [opts]
+ * @param {string} [opts.algorithm] - A HASH_ALGORITHMS name; inferred from the
+ *   digest length (SHA-256/384/512) when omitted.
+ * @param {bigint} [opts.nonce] - Request nonce; random when omitted.
+ * @param {string} [opts.policy] - Requested TSA policy OID.
+ * @returns {{der: Buffer, nonce: bigint, algorithm: string}}
+ */
+export function buildTimestampRequest(hashHex, { algorithm, nonce, policy = TSA_POLICY_OID } = {}) {
+  const digest = Buffer.from(hashHex, "hex");
+  const alg = algorithm
+    ? (HASH_ALGORITHMS[algorithm] && { name: algorithm, oid: HASH_ALGORITHMS[algorithm].oid })
+    : DIGEST_OIDS[digest.length];
+  if (!alg) throw new Error("tsa_unsupported_digest_length");
+  const n = nonce ?? BigInt("0x" + crypto.randomBytes(8).toString("hex"));
+  const der = seq(
+    int(1),
+    seq(seq(oid(alg.oid), nul()), octets(digest)),
+    policy ? oid(policy) : null,
+    int(n),
+    bool(true) // certReq: ask for the TSA certificate so the token is self-contained
+  );
+  return { der, nonce: n, algorithm: alg.name };
+}
+
+/**
+ * Locate and parse the TSTInfo inside a TimeStampToken (CMS ContentInfo).
+ *
+ * @throws {Error} der_* or tsa_token_* when the token is not a well-formed
+ *   timestamp token.
+ */
+export function parseTimestampToken(tokenDer) {
+  const contentInfo = decode(tokenDer);
+  if (decodeOid(child(contentInfo, 0)) !== OID_SIGNED_DATA) throw new Error("tsa_token_not_signed_data");
+  const signedData = child(child(contentInfo, 1, 0xa0), 0, 0x30);
+  const encap = child(signedData, 2, 0x30);
+  if (decodeOid(child(encap, 0)) !== OID_TST_INFO) throw new Error("tsa_token_not_tstinfo");
+  const tstInfoDer = child(child(encap, 1, 0xa0), 0, 0x04).value;
+  const tstInfo = decode(tstInfoDer);
+  const tst = tstInfo.children || [];
+
+  const imprint = child(tstInfo, 2, 0x30);
+  const digestOid = decodeOid(child(child(imprint, 0, 0x30), 0));
+  const out = {
+    policy: decodeOid(child(tstInfo, 1)),
+    hashAlgorithm: DIGEST_BY_OID[digestOid] || digestOid,
+    hashedMessage: child(imprint, 1, 0x04).value.toString("hex"),
+    serialNumber: decodeInt(child(tstInfo, 3)).toString(16),
+    genTime: decodeTime(child(tstInfo, 4, 0x18)),
+    nonce: null,
+    tsa: null
+  };
+  for (const node of tst.slice(5)) {
+    if (node.tag === 0x02) out.nonce = decodeInt(node);
+    // tsa [0] EXPLICIT GeneralName; directoryName is [4]
+    if (node.tag === 0xa0 && node.children[0]?.tag === 0xa4) out.tsa = decodeName(child(node.children[0], 0, 0x30));
+  }
+  return out;
+}
+
+/**
+ * Parse a DER TimeStampResp and check it answers the given request.
+ *
+ * @returns {{token: Buffer, info: Object}}
+ * @throws {Error} tsa_<status> for a refused request, tsa_imprint_mismatch or
+ *   tsa_nonce_mismatch for a token that answers another request, der_* for
+ *   malformed DER.
+ */
+export function parseTimestampResponse(respDer, { hashHex, nonce }) {
+  const resp = decode(respDer);
+  const statusInfo = child(resp, 0, 0x30).children;
+  const status = Number(decodeInt(statusInfo[0]));
+  if (status > 1) {
+    const text = statusInfo[1]?.children?.map(c => c.value.toString("utf8")).join("; ");
+    throw new Error(`tsa_${PKI_STATUS[status] || "status_" + status}${text ? ": " + text : ""}`);
+  }
+  if (!resp.children[1]) throw new Error("tsa_no_token");
+  const token = Buffer.from(resp.children[1].raw);
+  const info = parseTimestampToken(token);
+  if (info.hashedMessage !== hashHex.toLowerCase()) throw new Error("tsa_imprint_mismatch");
+  if (nonce !== undefined && info.nonce !== nonce) throw new Error("tsa_nonce_mismatch");
+  return { token, info };
+}
+
+// Re-wrap a stored token (base64 DER) as a granted TimeStampResp (.tsr).
+export function timestampReply(tokenB64) {
+  return seq(seq(int(0)), Buffer.from(tokenB64, "base64"));
+}
+
+/**
+ * Request an RFC 3161 timestamp token over a hex digest.
+ *
+ * @param {string} hashHex - Digest to timestamp.
+ * @param {Object} [opts]
+ * @param {string} [opts.url] - TSA endpoint; defaults to TSA_URL.
+ * @param {string} [opts.algorithm] - Digest algorithm (see buildTimestampRequest).
+ * @returns {Promise<Object>} Receipt-ready timestamp: tsa, serialNumber,
+ *   genTime, policy, hashAlgorithm, the base64 DER token and
+ *   `signatureVerified: false` (the CMS signature is left to the verifier).
+ */
+export async function requestTimestamp(hashHex, { url = TSA_URL, algorithm } = {}) {
+  if (!url) throw new Error("TSA_URL not set");
+  const req = buildTimestampRequest(hashHex, { algorithm });
+  const ac = new AbortController();
+  const timeout = setTimeout(() => ac.abort(), 15_000);
+  try {
+    const resp = await undiciFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/timestamp-query", "Accept": "application/timestamp-reply" },
+      body: req.der,
+      signal: ac.signal
+    });
+    if (!resp.ok) throw new Error(`tsa ${resp.status}: ${await resp.text()}`);
+    const respDer = Buffer.from(await resp.arrayBuffer());
+    const { token, info } = parseTimestampResponse(respDer, { hashHex, nonce: req.nonce });
+    return {
+      standard: "RFC3161",
+      tsa: info.tsa || new URL(url).host,
+      serialNumber: info.serialNumber,
+      genTime: info.genTime,
+      policy: info.policy,
+      hashAlgorithm: info.hashAlgorithm,
+      token: token.toString("base64"),
+      signatureVerified: false
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
@@ -0,0 +1,162 @@
+// Minimal DER encoder/decoder - just enough ASN.1 for RFC 3161 requests,
+// responses and the CMS structures inside a timestamp token.
+
+// ----- Encoding -----
+function encodeLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  while (n > 0) { bytes.unshift(n & 0xff); n >>= 8; }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+export function tlv(tag, content) {
+  return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+export const seq = (...children) => tlv(0x30, Buffer.concat(children.filter(Boolean)));
+export const set = (...children) => tlv(0x31, Buffer.concat(children.filter(Boolean)));
+export const octets = (buf) => tlv(0x04, buf);
+export const nul = () => Buffer.from([0x05, 0x00]);
+export const bool = (b) => tlv(0x01, Buffer.from([b ? 0xff : 0x00]));
+export const utf8 = (s) => tlv(0x0c, Buffer.from(s, "utf8"));
+export const explicit = (n, child) => tlv(0xa0 | n, child);
+// Context-specific tag replacing a constructed child's own tag
+export const implicit = (n, child) => Buffer.concat([Buffer.from([0xa0 | n]), child.subarray(1)]);
+
+export function int(value) {
+  let hex = BigInt(value).toString(16);
+  if (hex.length % 2) hex = "0" + hex;
+  let buf = Buffer.from(hex, "hex");
+  if (buf[0] & 0x80) buf = Buffer.concat([Buffer.from([0]), buf]);
+  return tlv(0x02, buf);
+}
+
+export function oid(dotted) {
+  const parts = dotted.split(".").map(Number);
+  const bytes = [40 * parts[0] + parts[1]];
+  for (const p of parts.slice(2)) {
+    const chunk = [p & 0x7f];
+    let v = Math.floor(p / 128);
+    while (v > 0) { chunk.unshift((v & 0x7f) | 0x80); v = Math.floor(v / 128); }
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+export function genTime(date) {
+  const s = date.toISOString().replace(/[-:T]/g, "").replace(/\.(\d+)Z$/, (m, ms) => {
+    const frac = ms.replace(/0+$/, "");
+    return frac ? `.${frac}Z` : "Z";
+  });
+  return tlv(0x18, Buffer.from(s, "ascii"));
+}
+
+export function utcTime(date) {
+  const s = date.toISOString().slice(2, 19).replace(/[-:T]/g, "") + "Z";
+  return tlv(0x17, Buffer.from(s, "ascii"));
+}
+
+export function bitString(buf) {
+  return tlv(0x03, Buffer.concat([Buffer.from([0]), buf]));
+}
+
+// ----- Decoding -----
+
+/**
+ * Decode one DER element starting at `offset`.
+ *
+ * @returns {{tag: number, constructed: boolean, value: Buffer, raw: Buffer,
+ *   children: Object[]|null, end: number}}
+ * @throws {Error} der_truncated / der_length_unsupported on malformed input.
+ */
+export function decode(buf, offset = 0) {
+  if (offset + 2 > buf.length) throw new Error("der_truncated");
+  const tag = buf[offset];
+  let len = buf[offset + 1];
+  let hdr = 2;
+  if (len & 0x80) {
+    const n = len & 0x7f;
+    // Indefinite lengths are BER only; more than 4 bytes is no real element
+    if (n === 0 || n > 4) throw new Error("der_length_unsupported");
+    if (offset + 2 + n > buf.length) throw new Error("der_truncated");
+    len = 0;
+    for (let i = 0; i < n; i++) len = len * 256 + buf[offset + 2 + i];
+    hdr += n;
+  }
+  const start = offset + hdr;
+  const end = start + len;
+  if (end > buf.length) throw new Error("der_truncated");
+  const value = buf.subarray(start, end);
+  const constructed = !!(tag & 0x20);
+  let children = null;
+  if (constructed) {
+    children = [];
+    let p = 0;
+    while (p < value.length) {
+      const child = decode(value, p);
+      children.push(child);
+      p = child.end;
+    }
+  }
+  return { tag, constructed, value, raw: buf.subarray(offset, end), children, end };
+}
+
+/**
+ * Child `index` of a constructed element, checked against the expected tag.
+ * Lets parsers walk a structure without tripping over missing children.
+ *
+ * @throws {Error} der_unexpected_structure when the child is absent or has
+ *   another tag.
+ */
+export function child(node, index, tag) {
+  const c = node?.children?.[index];
+  if (!c || (tag !== undefined && c.tag !== tag)) throw new Error("der_unexpected_structure");
+  return c;
+}
+
+export function decodeOid(node) {
+  if (node?.tag !== 0x06 || !node.value.length) throw new Error("der_unexpected_structure");
+  const b = node.value;
+  const parts = [Math.floor(b[0] / 40), b[0] % 40];
+  let v = 0;
+  for (let i = 1; i < b.length; i++) {
+    v = v * 128 + (b[i] & 0x7f);
+    if (!(b[i] & 0x80)) { parts.push(v); v = 0; }
+  }
+  return parts.join(".");
+}
+
+export function decodeInt(node) {
+  if (node?.tag !== 0x02) throw new Error("der_unexpected_structure");
+  return BigInt("0x" + (node.value.toString("hex") || "0"));
+}
+
+export function decodeTime(node) {
+  // GeneralizedTime YYYYMMDDHHMMSS[.fff]Z
+  const s = node.value.toString("ascii");
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/.exec(s);
+  if (!m) return s;
+  return new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${m[7] || ""}Z`).toISOString();
+}
+
+const NAME_ATTRS = {
+  "2.5.4.3": "CN", "2.5.4.6": "C", "2.5.4.7": "L", "2.5.4.8": "ST",
+  "2.5.4.10": "O", "2.5.4.11": "OU", "1.2.840.113549.1.9.1": "E"
+};
+
+// Render an X.501 Name as "CN=..., O=..."
+export function decodeName(node) {
+  return (node.children || [])
+    .flatMap(rdn => rdn.children || [])
+    .map(atv => {
+      const type = decodeOid(child(atv, 0));
+      return `${NAME_ATTRS[type] || type}=${child(atv, 1).value.toString("utf8")}`;
+    })
+    .join(", ");
+}
+
+// Build an X.501 Name from { CN, O, C, ... }
+export function name(attrs) {
+  const byShort = Object.fromEntries(Object.entries(NAME_ATTRS).map(([k, v]) => [v, k]));
+  return seq(...Object.entries(attrs).map(([k, v]) => set(seq(oid(byShort[k]), utf8(v)))));
+}
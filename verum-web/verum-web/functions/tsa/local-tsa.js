@@ -0,0 +1,135 @@
+// Local RFC 3161 TSA stand-in. Answers TimeStampReqs with a CMS SignedData
+// token signed with ECDSA P-256/SHA-512 under a self-signed certificate that
+// is embedded in every token, so `openssl ts -verify` accepts its output. It
+// is not a trusted timestamp authority - it exists so the TSA client and
+// receipt flow can be exercised without network access.
+//
+//   node tsa/local-tsa.js [port]      (default 3161)
+import http from "http";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import {
+  seq, set, octets, nul, bool, int, oid, utf8, explicit, implicit, genTime, utcTime,
+  bitString, name, decode, child, decodeOid, decodeInt
+} from "./der.js";
+import { OID_SIGNED_DATA, OID_TST_INFO, DIGEST_BY_OID } from "./client.js";
+import { log } from "../log.js";
+
+const OID_SHA512        = "2.16.840.1.101.3.4.2.3";
+const OID_ECDSA_SHA512  = "1.2.840.10045.4.3.4";
+const OID_CONTENT_TYPE  = "1.2.840.113549.1.9.3";
+const OID_MSG_DIGEST    = "1.2.840.113549.1.9.4";
+const OID_SIGNING_CERT2 = "1.2.840.113549.1.9.16.2.47";
+const OID_EXT_KEY_USAGE = "2.5.29.37";
+const OID_KP_TIMESTAMP  = "1.3.6.1.5.5.7.3.8";
+const LOCAL_POLICY      = "1.3.6.1.4.1.55555.3161.1";
+
+// Self-signed X.509 v3 certificate with the critical timeStamping EKU that
+// RFC 3161 requires of a TSA certificate.
+function selfSignedCert(subject, privateKey, publicKey, serial) {
+  const now = Date.now();
+  const tbs = seq(
+    explicit(0, int(2)),
+    int(serial),
+    seq(oid(OID_ECDSA_SHA512)),
+    subject,
+    seq(utcTime(new Date(now - 60_000)), utcTime(new Date(now + 365 * 24 * 3600_000))),
+    subject,
+    publicKey.export({ type: "spki", format: "der" }),
+    explicit(3, seq(seq(oid(OID_EXT_KEY_USAGE), bool(true), octets(seq(oid(OID_KP_TIMESTAMP))))))
+  );
+  return seq(tbs, seq(oid(OID_ECDSA_SHA512)), bitString(crypto.sign("sha512", tbs, privateKey)));
+}
+
+function statusOnly(status, text) {
+  return seq(seq(int(status), text ? seq(utf8(text)) : null));
+}
+
+/**
+ * Create an in-process TSA.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.commonName] - CN placed in the token's tsa field.
+ * @param {crypto.KeyObject} [opts.privateKey] - EC P-256 signing key; generated when omitted.
+ * @returns {{respond: (reqDer: Buffer) => Buffer, certificate: Buffer}}
+ */
+export function createLocalTsa({ commonName = "Verum Omnis Local TSA", privateKey } = {}) {
+  const key = privateKey || crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+  const publicKey = crypto.createPublicKey(key);
+  const subject = name({ CN: commonName });
+  const certSerial = BigInt("0x" + crypto.randomBytes(8).toString("hex"));
+  const certificate = selfSignedCert(subject, key, publicKey, certSerial);
+  const certHash = crypto.createHash("sha256").update(certificate).digest();
+  let serial = BigInt(Date.now()) * 1000n;
+
+  function respond(reqDer) {
+    let req, imprint, algOid;
+    try {
+      req = decode(reqDer);
+      imprint = child(req, 1, 0x30);
+      algOid = decodeOid(child(child(imprint, 0, 0x30), 0));
+    } catch {
+      return statusOnly(2, "badDataFormat");
+    }
+    if (!DIGEST_BY_OID[algOid]) return statusOnly(2, "badAlg");
+    const nonce = req.children.find((n, i) => i > 1 && n.tag === 0x02);
+
+    serial += 1n;
+    const tstInfo = seq(
+      int(1),
+      oid(LOCAL_POLICY),
+      imprint.raw,
+      int(serial),
+      genTime(new Date()),
+      nonce ? int(decodeInt(nonce)) : null,
+      explicit(0, explicit(4, subject))
+    );
+
+    const signedAttrs = [
+      seq(oid(OID_CONTENT_TYPE), set(oid(OID_TST_INFO))),
+      seq(oid(OID_MSG_DIGEST), set(octets(crypto.createHash("sha512").update(tstInfo).digest()))),
+      seq(oid(OID_SIGNING_CERT2), set(seq(seq(seq(octets(certHash))))))
+    ];
+    // Signed attributes are signed as a SET, then stored with an implicit [0] tag
+    const attrSet = set(...signedAttrs);
+    const signature = crypto.sign("sha512", attrSet, key);
+    const signerInfo = seq(
+      int(1),
+      seq(subject, int(certSerial)), // sid: issuerAndSerialNumber
+      seq(oid(OID_SHA512), nul()),
+      implicit(0, attrSet),
+      seq(oid(OID_ECDSA_SHA512)),
+      octets(signature)
+    );
+    const signedData = seq(
+      int(3),
+      set(seq(oid(OID_SHA512), nul())),
+      seq(oid(OID_TST_INFO), explicit(0, octets(tstInfo))),
+      implicit(0, set(certificate)),
+      set(signerInfo)
+    );
+    const token = seq(oid(OID_SIGNED_DATA), explicit(0, signedData));
+    return seq(seq(int(0)), token);
+  }
+
+  return { respond, certificate };
+}
+
+export function createLocalTsaServer(opts) {
+  const tsa = createLocalTsa(opts);
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", c => chunks.push(c));
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/timestamp-reply");
+      res.end(tsa.respond(Buffer.concat(chunks)));
+    });
+  });
+  server.tsa = tsa;
+  return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2] || 3161);
+  createLocalTsaServer().listen(port, () => log.info({ port }, "local TSA listening"));
+}
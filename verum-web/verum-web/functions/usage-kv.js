@@ -0,0 +1,107 @@
+// Per-tenant usage metering. Month totals are counters - one record per tenant
+// and month in the "usage_totals" store, keyed "<tenant>:<YYYY-MM>" and bumped
+// with an atomic update per event (by metric, endpoint and API key) - so quota
+// checks and statements read a single record however busy the tenant is, and
+// concurrent instances cannot lose counts.
+//
+// Billable events - anchors, seals and chat tokens - are also appended to the
+// "usage" store under "<tenant>:<YYYY-MM>:<at>:<nonce>" and never updated, so
+// a statement can be reconciled line by line against its eventsSha512. Plain
+// request counts live in the counters only. Anonymous callers are never
+// metered.
+import crypto from "crypto";
+import { openStore, makeRecord } from "./stores/index.js";
+import { canonicalJson } from "./signing.js";
+import { PRODUCT_ID, sha512Hex } from "./config.js";
+
+export const USAGE_METRICS = ["requests", "anchor", "seal", "chat_tokens"];
+
+// Metrics whose individual events are kept for the statement hash
+const BILLABLE_METRICS = ["anchor", "seal", "chat_tokens"];
+
+const events = () => openStore("usage");
+const counters = () => openStore("usage_totals");
+
+/** Calendar month (UTC) of a date as "YYYY-MM". */
+export const usagePeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const emptyTotals = () => Object.fromEntries(USAGE_METRICS.map(m => [m, 0]));
+
+function addEvent(totals, e) {
+  totals[e.metric] = (totals[e.metric] || 0) + e.quantity;
+  return totals;
+}
+
+// Month counters, or empty ones before the tenant's first event
+async function monthCounters(tenantId, period) {
+  const record = await counters().get(`${tenantId}:${period}`);
+  return record ? record.value : { totals: emptyTotals(), byEndpoint: {}, byKey: {} };
+}
+
+async function listEvents(tenantId, period) {
+  // Key order (time, then nonce) keeps eventsSha512 stable across backends
+  const records = await events().list({ prefix: `${tenantId}:${period}:` });
+  return records.sort((a, b) => a.key.localeCompare(b.key)).map(r => r.value);
+}
+
+/** Month-to-date totals per metric for a tenant. */
+export async function getUsage(tenantId, period = usagePeriod()) {
+  return { ...emptyTotals(), ...(await monthCounters(tenantId, period)).totals };
+}
+
+/**
+ * Meter a usage event.
+ *
+ * @param {Object} tenant - `req.tenant`.
+ * @param {Object} event
+ * @param {string} event.metric - One of USAGE_METRICS.
+ * @param {string} event.endpoint - Route path, e.g. "/v1/anchor".
+ * @param {number} [event.quantity] - Units (requests, anchors, seals or tokens).
+ * @returns {Promise<Object>} the event.
+ */
+export async function recordUsage(tenant, { metric, endpoint, quantity = 1 }) {
+  if (!USAGE_METRICS.includes(metric)) throw new Error(`unknown usage metric: ${metric}`);
+  const now = new Date();
+  const period = usagePeriod(now);
+  const event = { tenant: tenant.id, keyId: tenant.keyId, metric, endpoint, quantity, at: now.toISOString() };
+  if (BILLABLE_METRICS.includes(metric)) {
+    const key = `${tenant.id}:${period}:${event.at}:${crypto.randomBytes(6).toString("hex")}`;
+    await events().create(makeRecord(key, event, { now: now.getTime() }));
+  }
+  await counters().update(`${tenant.id}:${period}`, (value) => {
+    const c = value || { totals: emptyTotals(), byEndpoint: {}, byKey: {} };
+    addEvent(c.totals, event);
+    addEvent(c.byEndpoint[endpoint] ||= {}, event);
+    addEvent(c.byKey[event.keyId] ||= {}, event);
+    return c;
+  });
+  return event;
+}
+
+/**
+ * Unsigned monthly usage statement for a tenant: totals, breakdowns by
+ * endpoint and by API key, quotas, and the SHA-512 over the canonical JSON of
+ * every billable event so the anchor, seal and chat token totals can be
+ * reconciled line by line. `final` is false while the month is still running.
+ */
+export async function usageStatement(tenant, period = usagePeriod()) {
+  const [c, billable] = await Promise.all([monthCounters(tenant.id, period), listEvents(tenant.id, period)]);
+  const [y, m] = period.split("-").map(Number);
+  const to = new Date(Date.UTC(y, m, 1)).toISOString();
+  return {
+    type: "vo-usage-statement",
+    product: PRODUCT_ID,
+    tenant: { id: tenant.id, name: tenant.name },
+    period,
+    from: new Date(Date.UTC(y, m - 1, 1)).toISOString(),
+    to,
+    final: Date.now() >= Date.parse(to),
+    totals: { ...emptyTotals(), ...c.totals },
+    byEndpoint: c.byEndpoint,
+    byKey: c.byKey,
+    quotas: tenant.quotas,
+    events: billable.length,
+    eventsSha512: sha512Hex(canonicalJson(billable)),
+    issuedAt: new Date().toISOString()
+  };
+}